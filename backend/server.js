@@ -3,8 +3,33 @@ const multer = require("multer");
 const fs = require("fs");
 const path = require("path");
 const sharp = require("sharp");
-const { PDFDocument } = require("pdf-lib");
+const { PDFDocument, pushGraphicsState, popGraphicsState, rectangle, clip, endPath } = require("pdf-lib");
 const crypto = require('crypto');
+const { encodeBmp, decodeBmp } = require('./utils/bmp');
+const { embedRasterSvg, traceRasterSvg, MAX_TRACE_DIMENSION } = require('./utils/svg');
+const { renderPdfPages, MIN_DPI } = require('./utils/pdfRenderer');
+const { extractPdfStructure } = require('./utils/pdfStructure');
+const { documentFormats } = require('./utils/documentWriters');
+const { createJobStore, splitJobSecrets } = require('./utils/jobStore');
+const { createJobWorker, createZipBuffer, progressOf } = require('./utils/jobWorker');
+const { applyPagePlan } = require('./utils/pagePlan');
+const { splitPdf, splitStrategies } = require('./utils/pdfSplit');
+const { compressPdf, getCompressionPreset } = require('./utils/pdfCompress');
+const { decryptPdf, encryptPdf, reprotectPdf, loadPdfDocument } = require('./utils/pdfEncryption');
+const { parseWatermarkOptions, prepareWatermark, watermarkPdf, watermarkImage } = require('./utils/watermark');
+const { parseTransformOptions, transformImage } = require('./utils/imageTransform');
+const { parseEncoderOptions, applyEncoderOptions, hasHevcEncoder } = require('./utils/imageEncoding');
+const { parseTargetSize, encodeToTargetSize } = require('./utils/targetSize');
+const { parseMetadataPolicy, keepsSourceMetadata, removeGpsMetadata, applyMetadataPolicy } = require('./utils/imageMetadata');
+const { inspectImage } = require('./utils/imageInspect');
+const { detectFileTypeFromFile, extensionMatches, describeUnsupportedContent } = require('./utils/fileType');
+const { parseFrameSelection, selectFrames, countFrames, loadFrame, assembleAnimation, animatedFormats } = require('./utils/animation');
+const { countHeifImages, loadHeifImage, heifContainerFormats } = require('./utils/heifImages');
+const { parseHeaderFooterOptions, drawHeaderFooter } = require('./utils/headerFooter');
+const { readOutline, writeOutline, addTableOfContents } = require('./utils/pdfOutline');
+const { parseMetadataFields, applyMetadata, inspectPdf, DEFAULT_PRODUCER } = require('./utils/pdfMetadata');
+const { parseLayoutOptions, getSheetSize, getGridCells, placeImage } = require('./utils/pageLayout');
+const { createProgressReporter, subscribeToProgress, isValidProgressId, isTerminalEvent } = require('./utils/progress');
 
 // Simple in-memory cache for processed files (cleared on server restart)
 const fileProcessingCache = new Map();
@@ -52,7 +77,7 @@ try {
         totalConversions: 0,
         totalCombines: 0,
         totalPdfToWord: 0,
-        // totalPdfToImages: 0 // COMMENTED OUT - Vercel not supporting this feature
+        totalPdfToImages: 0
     });
     trackEvent = async () => {};
     logUserActivity = async () => {};
@@ -78,6 +103,7 @@ app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    res.header('Access-Control-Expose-Headers', 'Content-Disposition, X-Combine-Manifest, X-Combine-Manifest-Truncated, X-Combine-Failed, X-Original-Size, X-Compressed-Size, X-Target-Size, X-Achieved-Size, X-Achieved-Quality, X-Achieved-Dimensions, X-Target-Size-Results, X-Heif-Compression');
     if (req.method === 'OPTIONS') {
         res.status(200).end();
         return;
@@ -106,7 +132,7 @@ app.get('/api/stats', async (req, res) => {
                 totalConversions: 0,
                 totalCombines: 0,
                 totalPdfToWord: 0,
-                // totalPdfToImages: 0, // COMMENTED OUT - Vercel not supporting this feature
+                totalPdfToImages: 0,
                 dailyStats: {},
                 lastUpdated: new Date().toISOString()
             };
@@ -125,7 +151,7 @@ app.get('/api/stats', async (req, res) => {
             totalConversions: 0,
             totalCombines: 0,
             totalPdfToWord: 0,
-            // totalPdfToImages: 0, // COMMENTED OUT - Vercel not supporting this feature
+            totalPdfToImages: 0,
             dailyStats: {},
             lastUpdated: new Date().toISOString(),
             error: 'Database unavailable'
@@ -140,7 +166,14 @@ app.use(async (req, res, next) => {
                        req.path === '/convert' || 
                        req.path === '/combine' || 
                        req.path === '/pdf-to-word' ||
-                       // req.path === '/pdf-to-images' || // COMMENTED OUT - Vercel not supporting this feature
+                       req.path === '/pdf-to-images' ||
+                       req.path === '/pdf-pages' ||
+                       req.path === '/split' ||
+                       req.path === '/compress-pdf' ||
+                       req.path === '/protect-pdf' ||
+                       req.path === '/unlock-pdf' ||
+                       req.path === '/watermark' ||
+                       req.path === '/pdf-metadata' ||
                        req.path.endsWith('.html');
     
     if (shouldTrack) {
@@ -161,7 +194,7 @@ app.use(async (req, res, next) => {
                         totalConversions: 0,
                         totalCombines: 0,
                         totalPdfToWord: 0,
-                        // totalPdfToImages: 0, // COMMENTED OUT - Vercel not supporting this feature
+                        totalPdfToImages: 0,
                         dailyStats: {},
                         lastUpdated: new Date().toISOString()
                     };
@@ -260,7 +293,7 @@ app.get('/api/test-tracking', async (req, res) => {
                 totalConversions: 0,
                 totalCombines: 0,
                 totalPdfToWord: 0,
-                // totalPdfToImages: 0, // COMMENTED OUT - Vercel not supporting this feature
+                totalPdfToImages: 0,
                 dailyStats: {},
                 lastUpdated: new Date().toISOString()
             };
@@ -291,21 +324,137 @@ app.get('/api/test-tracking', async (req, res) => {
 });
 
 // Supported formats
-const supportedFormats = ["jpg", "png", "tiff", "bmp", "webp", "avif", "svg"];
-const supportedMimetypes = [
-    "image/jpg", "image/jpeg", "image/png", "image/tiff", "image/heic", "image/heif",
-    "image/bmp", "image/webp", "image/avif", "image/svg+xml"
+const supportedFormats = ["jpg", "png", "tiff", "bmp", "webp", "avif", "heic", "heif", "svg", "gif"];
+// Input formats, detected from the content (see utils/fileType.js); extensions and MIME types aren't trusted
+const imageInputFormats = ["jpg", "png", "gif", "webp", "tiff", "bmp", "avif", "heic", "heif", "svg"];
+const documentInputFormats = ["pdf", ...imageInputFormats];
+// Watermark images are read by Sharp directly
+const watermarkImageFormats = ["jpg", "png", "gif", "webp", "tiff", "avif", "svg"];
+
+// Response MIME types for output formats whose type isn't simply image/<format>
+const outputMimetypes = {
+    jpg: "image/jpeg",
+    svg: "image/svg+xml"
+};
+
+// Output formats for rendered PDF pages
+const pdfImageFormats = ["png", "jpg", "tiff", "webp"];
+
+// Real format of an upload from its content, or null when unrecognised; kept on the file object
+function detectUploadFormat(file) {
+    if (file.detectedFormat === undefined) {
+        const detected = detectFileTypeFromFile(file.path);
+        file.detectedFormat = detected ? detected.format : null;
+    }
+    return file.detectedFormat;
+}
+
+// Checks uploads against the formats a route accepts, by content, and logs files whose extension doesn't match
+// their content. Returns the message for a 415 response when some content isn't accepted, or null.
+async function checkUploadedContent(req, files, acceptedFormats) {
+    const mismatched = files.filter(file => detectUploadFormat(file) && !extensionMatches(file.originalname, file.detectedFormat));
+    if (mismatched.length > 0) {
+        console.warn(`Extension doesn't match content: ${mismatched.map(file => `${file.originalname} (${file.detectedFormat})`).join(', ')}`);
+        await logUserActivity({
+            action: 'file_type_mismatch',
+            route: req.path,
+            files: mismatched.map(file => ({
+                name: file.originalname,
+                extension: path.extname(file.originalname).toLowerCase(),
+                mimetype: file.mimetype,
+                detectedFormat: file.detectedFormat
+            })),
+            ...extractClientInfo(req)
+        });
+    }
+    
+    const rejected = files.filter(file => !acceptedFormats.includes(detectUploadFormat(file)));
+    if (rejected.length === 0) return null;
+    return describeUnsupportedContent(rejected.map(file => ({ name: file.originalname, format: file.detectedFormat })), acceptedFormats);
+}
+
+// HEIC and HEIF output are HEVC-coded, so they need an HEVC encoder (see hasHevcEncoder); returns why an output
+// format can't be written on this server, or null when it can
+async function getUnavailableFormatError(format) {
+    if ((format === 'heic' || format === 'heif') && !(await hasHevcEncoder())) {
+        return `${format.toUpperCase()} output isn't available on this server: its image library has no HEVC encoder. ` +
+            'Convert to AVIF for similar compression.';
+    }
+    return null;
+}
+
+// Collect per-request conversion options from the form fields
+function getConvertOptions(body) {
+    return {
+        svgMode: body.svg_mode === 'trace' ? 'trace' : 'embed',
+        svgColors: parseInt(body.svg_colors, 10) || 8,
+        extractFrames: body.extract_frames === 'true'
+    };
+}
+
+// Upload handler for routes that take an optional watermark image next to the files;
+// leaves the files in req.files like upload.array and the image in req.watermarkImage
+const uploadWithWatermark = [
+    upload.fields([{ name: 'files' }, { name: 'watermark_image', maxCount: 1 }]),
+    (req, res, next) => {
+        req.watermarkImage = req.files?.watermark_image?.[0] || null;
+        req.files = req.files?.files || [];
+        next();
+    }
 ];
 
+// Progress stream (Server-Sent Events) for a batch started with the same progress_id
+app.get('/api/progress/:id', (req, res) => {
+    if (!isValidProgressId(req.params.id)) {
+        return res.status(400).json({ error: "Invalid progress id." });
+    }
+    
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+    
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    let unsubscribe = () => {};
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+    
+    unsubscribe = subscribeToProgress(req.params.id, event => {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        if (isTerminalEvent(event)) {
+            setImmediate(close);
+        }
+    });
+    req.on('close', close);
+});
+
 // File conversion endpoint
-app.post("/convert", upload.array("files"), async (req, res) => {
-    let cleanupFiles = [];
+app.post("/convert", uploadWithWatermark, async (req, res) => {
+    const cleanupFiles = (req.files || []).map(f => f.path);
+    if (req.watermarkImage) cleanupFiles.push(req.watermarkImage.path);
+    const removeUploads = () => cleanupFiles.forEach(filePath => {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (cleanupError) {
+            console.error('Cleanup error:', cleanupError);
+        }
+    });
     
     try {
         const clientInfo = extractClientInfo(req);
         const format = req.body.output_format?.toLowerCase();
+        const convertOptions = getConvertOptions(req.body);
+        const reportProgress = createProgressReporter(req.body.progress_id);
         
         if (!format || !supportedFormats.includes(format)) {
+            removeUploads();
             // Log failed conversion attempt
             await logUserActivity({
                 action: 'conversion_failed',
@@ -316,7 +465,21 @@ app.post("/convert", upload.array("files"), async (req, res) => {
             return res.status(400).json({ error: `Invalid format. Supported: ${supportedFormats.join(", ")}` });
         }
         
+        const formatError = await getUnavailableFormatError(format);
+        if (formatError) {
+            removeUploads();
+            // Log failed conversion attempt
+            await logUserActivity({
+                action: 'conversion_failed',
+                reason: 'format_unavailable',
+                requestedFormat: format,
+                ...clientInfo
+            });
+            return res.status(422).json({ error: formatError });
+        }
+        
         if (!req.files || req.files.length === 0) {
+            removeUploads();
             // Log failed conversion attempt
             await logUserActivity({
                 action: 'conversion_failed',
@@ -325,6 +488,91 @@ app.post("/convert", upload.array("files"), async (req, res) => {
             });
             return res.status(400).json({ error: "No files uploaded." });
         }
+        
+        let watermark;
+        try {
+            watermark = parseWatermarkOptions(req.body, req.watermarkImage);
+        } catch (watermarkError) {
+            removeUploads();
+            // Log failed conversion attempt
+            await logUserActivity({
+                action: 'conversion_failed',
+                reason: 'invalid_watermark',
+                error: watermarkError.message,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: watermarkError.message });
+        }
+        
+        try {
+            convertOptions.transform = parseTransformOptions(req.body);
+        } catch (transformError) {
+            removeUploads();
+            // Log failed conversion attempt
+            await logUserActivity({
+                action: 'conversion_failed',
+                reason: 'invalid_transform',
+                error: transformError.message,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: transformError.message });
+        }
+        
+        try {
+            convertOptions.encoder = parseEncoderOptions(req.body, format);
+        } catch (encoderError) {
+            removeUploads();
+            // Log failed conversion attempt
+            await logUserActivity({
+                action: 'conversion_failed',
+                reason: 'invalid_encoder_options',
+                error: encoderError.message,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: encoderError.message });
+        }
+        
+        try {
+            convertOptions.targetSize = parseTargetSize(req.body, format, convertOptions.encoder);
+        } catch (targetSizeError) {
+            removeUploads();
+            // Log failed conversion attempt
+            await logUserActivity({
+                action: 'conversion_failed',
+                reason: 'invalid_target_size',
+                error: targetSizeError.message,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: targetSizeError.message });
+        }
+        
+        try {
+            convertOptions.imageMetadata = parseMetadataPolicy(req.body);
+        } catch (metadataError) {
+            removeUploads();
+            // Log failed conversion attempt
+            await logUserActivity({
+                action: 'conversion_failed',
+                reason: 'invalid_metadata_policy',
+                error: metadataError.message,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: metadataError.message });
+        }
+        
+        const contentError = await checkUploadedContent(req, req.files, imageInputFormats) ||
+            (req.watermarkImage && await checkUploadedContent(req, [req.watermarkImage], watermarkImageFormats));
+        if (contentError) {
+            removeUploads();
+            // Log failed conversion attempt
+            await logUserActivity({
+                action: 'conversion_failed',
+                reason: 'unsupported_content',
+                error: contentError,
+                ...clientInfo
+            });
+            return res.status(415).json({ error: contentError });
+        }
 
         // Track conversion with MongoDB
         try {
@@ -344,27 +592,47 @@ app.post("/convert", upload.array("files"), async (req, res) => {
             console.error('Error tracking conversion (non-critical):', trackError);
         }
         
-        // Add uploaded files to cleanup list
-        cleanupFiles.push(...req.files.map(f => f.path));
+        // Codec reported for HEIC/HEIF output
+        const heifCompression = format === 'heic' || format === 'heif' ? 'hevc' : null;
+        
+        if (watermark) {
+            convertOptions.watermark = await prepareWatermark(watermark);
+        }
+        
+        reportProgress('start', { total: req.files.length, files: req.files.map(f => f.originalname) });
         
-        if (req.files.length === 1) {
+        if (req.files.length === 1 && !convertOptions.extractFrames) {
             // Single file conversion - return the file directly
             const file = req.files[0];
-            const inputExt = path.extname(file.originalname).toLowerCase().slice(1);
+            const inputFormat = detectUploadFormat(file);
             const outputPath = path.join('/tmp', `converted_${Date.now()}.${format}`);
             cleanupFiles.push(outputPath);
             
-            console.log(`Converting ${file.originalname} (${inputExt}) to ${format}`);
+            console.log(`Converting ${file.originalname} (${inputFormat}) to ${format}`);
+            reportProgress('file_started', { index: 0, name: file.originalname });
             
             // Convert the file
-            await convertSingleFile(file, inputExt, format, outputPath);
+            const achieved = await convertSingleFile(file, inputFormat, format, outputPath, convertOptions);
+            const outputSize = fs.statSync(outputPath).size;
+            reportProgress('file_completed', { index: 0, name: file.originalname, bytes: outputSize });
             
             // Send the converted file
             const originalName = path.parse(file.originalname).name;
             const downloadName = `${originalName}.${format}`;
             
             res.setHeader('Content-Disposition', `attachment; filename="${downloadName}"`);
-            res.setHeader('Content-Type', format === 'pdf' ? 'application/pdf' : `image/${format}`);
+            res.setHeader('Content-Type', outputMimetypes[format] || `image/${format}`);
+            if (heifCompression) {
+                res.setHeader('X-Heif-Compression', heifCompression);
+            }
+            if (achieved) {
+                res.setHeader('X-Target-Size', convertOptions.targetSize.bytes.toString());
+                res.setHeader('X-Achieved-Size', achieved.bytes.toString());
+                res.setHeader('X-Achieved-Quality', achieved.quality.toString());
+                res.setHeader('X-Achieved-Dimensions', `${achieved.width}x${achieved.height}`);
+            }
+            
+            reportProgress('done', { bytes: outputSize });
             
             const fileStream = fs.createReadStream(outputPath);
             fileStream.pipe(res);
@@ -392,26 +660,62 @@ app.post("/convert", upload.array("files"), async (req, res) => {
             
             archive.pipe(output);
             
+            // Size and quality reached for each file in target size mode
+            const targetSizeResults = [];
+            // Codec of each file for HEIC/HEIF requests, written to manifest.json in the ZIP
+            const heifResults = [];
+            
             // Process each file
             for (let i = 0; i < req.files.length; i++) {
                 const file = req.files[i];
-                const inputExt = path.extname(file.originalname).toLowerCase().slice(1);
+                const inputFormat = detectUploadFormat(file);
                 const outputPath = path.join('/tmp', `converted_${i}_${Date.now()}.${format}`);
                 cleanupFiles.push(outputPath);
                 
-                console.log(`Converting file ${i + 1}/${req.files.length}: ${file.originalname} (${inputExt}) to ${format}`);
+                console.log(`Converting file ${i + 1}/${req.files.length}: ${file.originalname} (${inputFormat}) to ${format}`);
+                reportProgress('file_started', { index: i, name: file.originalname });
                 
                 try {
+                    if (convertOptions.extractFrames) {
+                        // One ZIP entry per frame of an animation
+                        const frames = await convertFrames(file, inputFormat, format, convertOptions);
+                        frames.forEach(frame => {
+                            if (frame.achieved) {
+                                targetSizeResults.push({ file: frame.name, bytes: frame.achieved.bytes, quality: frame.achieved.quality, width: frame.achieved.width, height: frame.achieved.height });
+                            }
+                            archive.append(frame.buffer, { name: frame.name });
+                        });
+                        if (heifCompression) {
+                            heifResults.push({ file: file.originalname, outputs: frames.map(frame => frame.name), compression: heifCompression });
+                        }
+                        reportProgress('file_completed', { index: i, name: file.originalname, bytes: frames.reduce((sum, frame) => sum + frame.buffer.length, 0) });
+                        continue;
+                    }
+                    
                     // Convert the file
-                    await convertSingleFile(file, inputExt, format, outputPath);
+                    const achieved = await convertSingleFile(file, inputFormat, format, outputPath, convertOptions);
+                    if (achieved) {
+                        targetSizeResults.push({ file: file.originalname, bytes: achieved.bytes, quality: achieved.quality, width: achieved.width, height: achieved.height });
+                    }
                     
                     // Add to ZIP
                     const originalName = path.parse(file.originalname).name;
                     const convertedFileName = `${originalName}.${format}`;
                     archive.file(outputPath, { name: convertedFileName });
+                    if (heifCompression) {
+                        heifResults.push({ file: file.originalname, outputs: [convertedFileName], compression: heifCompression });
+                    }
+                    reportProgress('file_completed', { index: i, name: file.originalname, bytes: fs.statSync(outputPath).size });
                     
                 } catch (fileError) {
                     console.error(`Error converting ${file.originalname}:`, fileError);
+                    reportProgress('file_failed', { index: i, name: file.originalname, error: fileError.message });
+                    if (convertOptions.targetSize) {
+                        targetSizeResults.push({ file: file.originalname, error: fileError.message });
+                    }
+                    if (heifCompression) {
+                        heifResults.push({ file: file.originalname, error: fileError.message });
+                    }
                     // Add error file to ZIP
                     archive.append(`Error converting ${file.originalname}: ${fileError.message}`, { 
                         name: `ERROR_${file.originalname}.txt` 
@@ -419,15 +723,30 @@ app.post("/convert", upload.array("files"), async (req, res) => {
                 }
             }
             
+            if (heifCompression) {
+                archive.append(JSON.stringify({ format, files: heifResults }, null, 2), { name: 'manifest.json' });
+            }
+            reportProgress('zip_finalizing');
             archive.finalize();
             
             output.on('close', () => {
+                reportProgress('done', { bytes: archive.pointer() });
+                
                 // Send the ZIP file
                 const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-                const downloadName = `converted_files_${timestamp}.zip`;
+                const downloadName = convertOptions.extractFrames && req.files.length === 1
+                    ? `${path.parse(req.files[0].originalname).name}_frames.zip`
+                    : `converted_files_${timestamp}.zip`;
                 
                 res.setHeader('Content-Disposition', `attachment; filename="${downloadName}"`);
                 res.setHeader('Content-Type', 'application/zip');
+                if (heifCompression) {
+                    res.setHeader('X-Heif-Compression', heifCompression);
+                }
+                if (convertOptions.targetSize) {
+                    res.setHeader('X-Target-Size', convertOptions.targetSize.bytes.toString());
+                    res.setHeader('X-Target-Size-Results', encodeURIComponent(JSON.stringify(targetSizeResults)));
+                }
                 
                 const fileStream = fs.createReadStream(zipPath);
                 fileStream.pipe(res);
@@ -451,6 +770,7 @@ app.post("/convert", upload.array("files"), async (req, res) => {
 
     } catch (error) {
         console.error("Conversion error:", error);
+        createProgressReporter(req.body?.progress_id)('error', { error: error.message });
         
         // Clean up on error
         cleanupFiles.forEach(filePath => {
@@ -475,20 +795,23 @@ app.post("/convert", upload.array("files"), async (req, res) => {
             console.error('Error logging conversion error:', logError);
         }
         
-        res.status(500).json({ error: error.message || "Conversion failed" });
+        res.status(error.statusCode || 500).json({ error: error.message || "Conversion failed" });
     }
 });
 
-// Helper function to generate file hash for caching
-function generateFileHash(filePath, fileSize) {
+// Helper function to generate file hash for caching; variant tells apart differently processed versions of a file
+function generateFileHash(filePath, fileSize, variant = '') {
     const hash = crypto.createHash('md5');
-    hash.update(filePath + fileSize.toString());
+    hash.update(filePath + fileSize.toString() + variant);
     return hash.digest('hex');
 }
 
 // Helper function to get cached processed image or process and cache it
-async function getCachedOrProcessImage(file, fileExt) {
-    const fileHash = generateFileHash(file.path, file.size);
+// imageMetadata is the metadata policy (see utils/imageMetadata.js); metadata kept in a JPEG ends up in the PDF
+// with the image data, while PNGs are embedded as decoded pixels without it. frame picks one frame (0-based)
+// of an animated GIF or WebP, or one image of a multi-image HEIF (see loadInputImage).
+async function getCachedOrProcessImage(file, inputFormat, imageMetadata = null, frame = null) {
+    const fileHash = generateFileHash(file.path, file.size, JSON.stringify(imageMetadata) + (frame === null ? '' : `#${frame}`));
     
     // Check cache first
     if (fileProcessingCache.has(fileHash)) {
@@ -498,7 +821,7 @@ async function getCachedOrProcessImage(file, fileExt) {
     
     let result;
     try {
-        if (fileExt === '.heic' || fileExt === '.heif') {
+        if ((inputFormat === 'heic' || inputFormat === 'heif') && frame === null) {
             console.log(`Converting HEIC file: ${file.originalname}`);
             const heicConvert = require('heic-convert');
             const heicFileBuffer = fs.readFileSync(file.path);
@@ -513,11 +836,16 @@ async function getCachedOrProcessImage(file, fileExt) {
             };
             console.log(`Successfully converted HEIC file: ${file.originalname}`);
         } else {
-            const sharpInstance = sharp(file.path);
+            let sharpInstance = frame === null ? await loadImageInput(file.path, inputFormat) : await loadInputImage(file.path, inputFormat, frame);
+            sharpInstance = sharpInstance.rotate(); // Auto-orient based on EXIF data
+            if (imageMetadata && imageMetadata.policy === 'strip-gps') {
+                sharpInstance = await removeGpsMetadata(sharpInstance);
+            }
+            // PDF pages have no colour management for embedded images, so kept profiles are converted to sRGB
+            sharpInstance = applyMetadataPolicy(sharpInstance, imageMetadata, { srgb: true });
             
-            if (['.jpg', '.jpeg'].includes(fileExt)) {
+            if (inputFormat === 'jpg') {
                 const imageBuffer = await sharpInstance
-                    .rotate() // Auto-orient based on EXIF data
                     .jpeg({ quality: 85, progressive: true })
                     .toBuffer();
                 result = {
@@ -526,7 +854,6 @@ async function getCachedOrProcessImage(file, fileExt) {
                 };
             } else {
                 const imageBuffer = await sharpInstance
-                    .rotate() // Auto-orient based on EXIF data
                     .png({ compressionLevel: 6, adaptiveFiltering: false })
                     .toBuffer();
                 result = {
@@ -548,64 +875,509 @@ async function getCachedOrProcessImage(file, fileExt) {
     }
 }
 
+// Helper function to open an input image with Sharp, decoding formats Sharp can't read itself
+async function loadImageInput(filePath, inputFormat) {
+    // Handle HEIC, HEIF and AVIF files: the primary image, decoded with heic-convert when it is HEVC
+    if (heifContainerFormats.includes(inputFormat)) {
+        return loadHeifImage(filePath, inputFormat);
+    }
+    
+    // Handle BMP files (libvips has no BMP loader)
+    if (inputFormat === 'bmp') {
+        const { data, info } = decodeBmp(fs.readFileSync(filePath));
+        return sharp(data, { raw: info });
+    }
+    
+    return sharp(filePath);
+}
+
+// Helper function to count the frames of an animated GIF or WebP, or the images of a multi-image HEIF container
+// (bursts, Live Photo stills); extract_frames saves each of them and the combine frames field picks from them
+async function countInputImages(filePath, inputFormat) {
+    if (heifContainerFormats.includes(inputFormat)) {
+        return countHeifImages(filePath, inputFormat);
+    }
+    return countFrames(filePath, inputFormat);
+}
+
+// Helper function to open one of the images counted by countInputImages (0-based; for HEIF, 0 is the primary image)
+async function loadInputImage(filePath, inputFormat, index) {
+    if (heifContainerFormats.includes(inputFormat)) {
+        return loadHeifImage(filePath, inputFormat, index);
+    }
+    return loadFrame(filePath, index);
+}
+
+// Helper function to write a Sharp pipeline out as a BMP file
+async function writeBmp(sharpInstance, outputPath) {
+    const { data, info } = await sharpInstance
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    fs.writeFileSync(outputPath, encodeBmp(data, info));
+}
+
+// Helper function to write a Sharp pipeline out as an SVG file
+async function writeSvg(sharpInstance, outputPath, options) {
+    if (options.svgMode === 'trace') {
+        // Posterize and trace colour regions into paths; trace at a bounded size and scale back up via the viewBox
+        const metadata = await sharpInstance.metadata();
+        const swapAxes = (metadata.orientation || 1) >= 5; // EXIF orientations 5-8 are rotated by 90 degrees
+        const width = swapAxes ? metadata.height : metadata.width;
+        const height = swapAxes ? metadata.width : metadata.height;
+        const { data, info } = await sharpInstance
+            .resize(MAX_TRACE_DIMENSION, MAX_TRACE_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+            .toColourspace('srgb')
+            .ensureAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        const svg = traceRasterSvg(data, info, {
+            colors: options.svgColors,
+            outputWidth: width,
+            outputHeight: height
+        });
+        fs.writeFileSync(outputPath, svg);
+    } else {
+        const { data, info } = await sharpInstance.png().toBuffer({ resolveWithObject: true });
+        fs.writeFileSync(outputPath, embedRasterSvg(data, info.width, info.height));
+    }
+}
+
+// Helper function to apply the per-image steps of a conversion: orientation, GPS removal, transforms and watermark
+async function prepareImage(sharpInstance, format, options = {}) {
+    // Apply auto-rotation for all images to handle EXIF orientation
+    sharpInstance = sharpInstance.rotate();
+    
+    // Steps that re-render the image have to carry the metadata the policy keeps
+    const imageMetadata = options.imageMetadata || null;
+    const keepMetadata = keepsSourceMetadata(imageMetadata);
+    if (imageMetadata && imageMetadata.policy === 'strip-gps') {
+        sharpInstance = await removeGpsMetadata(sharpInstance);
+    }
+    
+    if (options.transform) {
+        sharpInstance = await transformImage(sharpInstance, options.transform, { opaque: ['jpg', 'jpeg'].includes(format), keepMetadata });
+    }
+    
+    if (options.watermark) {
+        sharpInstance = await watermarkImage(sharpInstance, options.watermark, { keepMetadata });
+    }
+    return sharpInstance;
+}
+
+// Helper function to encode a prepared image into the output format
+// Returns the size, quality and dimensions reached when options.targetSize is set (see utils/targetSize.js)
+async function encodeImage(sharpInstance, format, outputPath, options = {}) {
+    const imageMetadata = options.imageMetadata || null;
+    const encoder = options.encoder || parseEncoderOptions({}, format);
+    if (options.targetSize) {
+        const { buffer, ...achieved } = await encodeToTargetSize(sharpInstance, format, encoder, options.targetSize, imageMetadata);
+        fs.writeFileSync(outputPath, buffer);
+        return achieved;
+    }
+    
+    // Apply format-specific conversion
+    switch (format) {
+        case 'jpg':
+        case 'jpeg':
+        case 'png':
+        case 'tiff':
+        case 'webp':
+        case 'avif':
+        case 'heic':
+        case 'heif':
+        case 'gif':
+            await applyEncoderOptions(applyMetadataPolicy(sharpInstance, imageMetadata), format, encoder).toFile(outputPath);
+            break;
+        case 'bmp':
+            // Sharp has no BMP writer, so encode the raw pixels ourselves
+            await writeBmp(sharpInstance, outputPath);
+            break;
+        case 'svg':
+            await writeSvg(sharpInstance, outputPath, options);
+            break;
+        default:
+            throw new Error(`Unsupported output format: ${format}`);
+    }
+}
+
+// Helper function to convert an animated GIF or WebP into an animated GIF or WebP, keeping its frames, delays
+// and loop count; every frame gets the same transforms and watermark
+async function convertAnimation(file, frameCount, format, outputPath, options = {}) {
+    if (options.targetSize) {
+        const error = new Error(`${file.originalname} is animated, and a target size only applies to still images. Remove the target size or pick a still output format.`);
+        error.statusCode = 422;
+        throw error;
+    }
+    
+    // GIF and WebP frames carry no metadata of their own, so GPS is removed by not copying EXIF at all
+    const imageMetadata = options.imageMetadata && options.imageMetadata.policy === 'strip-gps'
+        ? { ...options.imageMetadata, policy: 'keep-icc' }
+        : options.imageMetadata || null;
+    const frameOptions = { ...options, imageMetadata: null };
+    
+    const frames = [];
+    for (let index = 0; index < frameCount; index++) {
+        const frame = await prepareImage(loadFrame(file.path, index), format, frameOptions);
+        frames.push(await frame.ensureAlpha().raw().toBuffer({ resolveWithObject: true }));
+    }
+    
+    const encoder = options.encoder || parseEncoderOptions({}, format);
+    await applyEncoderOptions(applyMetadataPolicy(assembleAnimation(file.path, frames), imageMetadata), format, encoder).toFile(outputPath);
+}
+
 // Helper function to convert a single file
-async function convertSingleFile(file, inputExt, format, outputPath) {
+// Returns the size, quality and dimensions reached when options.targetSize is set (see utils/targetSize.js)
+async function convertSingleFile(file, inputFormat, format, outputPath, options = {}) {
     // Handle image format conversions using Sharp
-    if (['jpg', 'jpeg', 'png', 'tiff', 'bmp', 'webp', 'avif'].includes(format)) {
-        let sharpInstance = sharp(file.path);
-        
-        // Handle HEIC files
-        if (inputExt === 'heic' || inputExt === 'heif') {
-            const heicConvert = require('heic-convert');
-            const heicBuffer = fs.readFileSync(file.path);
-            const convertedBuffer = await heicConvert({
-                buffer: heicBuffer,
-                format: 'PNG'
-            });
-            sharpInstance = sharp(convertedBuffer);
-        }
-        
-        // Apply auto-rotation for all images to handle EXIF orientation
-        sharpInstance = sharpInstance.rotate();
-        
-        // Apply format-specific conversion
-        switch (format) {
-            case 'jpg':
-            case 'jpeg':
-                await sharpInstance.jpeg({ quality: 90 }).toFile(outputPath);
-                break;
-            case 'png':
-                await sharpInstance.png().toFile(outputPath);
-                break;
-            case 'tiff':
-                await sharpInstance.tiff().toFile(outputPath);
-                break;
-            case 'webp':
-                await sharpInstance.webp({ quality: 90 }).toFile(outputPath);
-                break;
-            case 'avif':
-                await sharpInstance.avif({ quality: 90 }).toFile(outputPath);
-                break;
-            case 'bmp':
-                // Use PNG format for BMP as Sharp doesn't support BMP output directly
-                await sharpInstance.png().toFile(outputPath);
-                break;
-            default:
-                throw new Error(`Unsupported output format: ${format}`);
+    if (['jpg', 'jpeg', 'png', 'tiff', 'bmp', 'webp', 'avif', 'heic', 'heif', 'svg', 'gif'].includes(format)) {
+        // Animations stay animated when the output format can animate; other formats get the first frame
+        if (animatedFormats.includes(format)) {
+            const frameCount = await countFrames(file.path, inputFormat);
+            if (frameCount > 1) {
+                return convertAnimation(file, frameCount, format, outputPath, options);
+            }
         }
+        
+        const sharpInstance = await prepareImage(await loadImageInput(file.path, inputFormat), format, options);
+        return encodeImage(sharpInstance, format, outputPath, options);
     } else {
-        throw new Error(`Unsupported conversion: ${inputExt} to ${format}`);
+        throw new Error(`Unsupported conversion: ${inputFormat} to ${format}`);
+    }
+}
+
+// Helper function to convert every frame of an animated GIF or WebP, or every image of a multi-image HEIF, into
+// a separate image
+// Returns [{name, buffer, achieved}] with one entry per frame (<name>_frame_001.<format>, ...) or HEIF image
+// (<name>_image_001.<format>, ... starting with the primary image), or a single entry named like a normal
+// conversion for a still image
+async function convertFrames(file, inputFormat, format, options = {}) {
+    const baseName = path.parse(file.originalname).name;
+    const frameCount = await countInputImages(file.path, inputFormat);
+    const label = heifContainerFormats.includes(inputFormat) ? 'image' : 'frame';
+    const digits = Math.max(3, String(frameCount).length);
+    const results = [];
+    
+    for (let index = 0; index < frameCount; index++) {
+        const outputPath = path.join('/tmp', `frame_${index}_${crypto.randomBytes(4).toString('hex')}.${format}`);
+        try {
+            const sharpInstance = frameCount > 1 ? await loadInputImage(file.path, inputFormat, index) : await loadImageInput(file.path, inputFormat);
+            const achieved = await encodeImage(await prepareImage(sharpInstance, format, options), format, outputPath, options);
+            results.push({
+                name: frameCount > 1 ? `${baseName}_${label}_${String(index + 1).padStart(digits, '0')}.${format}` : `${baseName}.${format}`,
+                buffer: fs.readFileSync(outputPath),
+                achieved
+            });
+        } finally {
+            if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        }
+    }
+    return results;
+}
+
+// Helper function to encode a rendered PDF page (PNG) into the requested image format
+async function encodePageImage(pngBuffer, format) {
+    const sharpInstance = sharp(pngBuffer);
+    switch (format) {
+        case 'jpg':
+            return sharpInstance.flatten({ background: '#ffffff' }).jpeg({ quality: 90 }).toBuffer();
+        case 'tiff':
+            return sharpInstance.tiff({ compression: 'lzw' }).toBuffer();
+        case 'webp':
+            return sharpInstance.webp({ quality: 90 }).toBuffer();
+        default:
+            return pngBuffer;
+    }
+}
+
+// Helper function to combine PDFs and images into a single PDF
+// Returns the PDF plus a manifest with one entry per input: {index, name, status: 'included'|'failed'|'skipped', pages, error}
+// options.layout places images on pages (see utils/pageLayout.js), options.strict fails the whole combine
+// if any file fails, options.compression shrinks the result with a compression preset (see utils/pdfCompress.js),
+// options.password opens encrypted PDF inputs, options.bookmarks adds one bookmark per file (keeping the
+// bookmarks of input PDFs beneath it), options.toc inserts a table of contents page (see utils/pdfOutline.js),
+// options.headerFooter adds page numbers, headers and footers (see utils/headerFooter.js), options.watermark
+// stamps every page (see utils/watermark.js), options.metadata sets document properties (see utils/pdfMetadata.js),
+// options.imageMetadata is the metadata policy for embedded images (see utils/imageMetadata.js), options.frames
+// picks the frames of animated GIFs and WebPs and the images of multi-image HEIFs (see utils/animation.js and
+// utils/heifImages.js; the first frame or primary image by default)
+// and options.reportProgress receives progress events
+async function combineFilesToPdf(files, options = {}) {
+    const reportProgress = options.reportProgress || (() => {});
+    const layout = options.layout || parseLayoutOptions();
+    
+    // Create a new PDF document
+    const pdfDoc = await PDFDocument.create();
+    let processedFiles = 0;
+    
+    const manifest = files.map((file, index) => ({ index, name: file.originalname, status: 'pending', pages: 0, error: null }));
+    const markFailed = (index, message) => {
+        manifest[index].status = 'failed';
+        manifest[index].error = message;
+        reportProgress('file_failed', { index, name: files[index].originalname, error: message });
+    };
+    
+    // Helper function to process individual files
+    const processFile = async (file, index) => {
+        const inputFormat = detectUploadFormat(file);
+        
+        console.log(`Processing file ${index + 1}/${files.length}: ${file.originalname} (${(file.size / 1024).toFixed(1)}KB)`);
+        reportProgress('file_started', { index, name: file.originalname });
+        
+        try {
+            if (inputFormat === 'pdf') {
+                // For PDFs, return the loaded document and pages for later merging
+                const existingPdfBytes = fs.readFileSync(file.path);
+                const existingPdf = await loadPdfDocument(existingPdfBytes, options.password);
+                reportProgress('file_completed', { index, name: file.originalname, bytes: existingPdfBytes.length });
+                return {
+                    type: 'pdf',
+                    document: existingPdf,
+                    pageIndices: existingPdf.getPageIndices(),
+                    index
+                };
+            } else if (imageInputFormats.includes(inputFormat)) {
+                // Animated GIFs and WebPs give one image per selected frame, multi-image HEIFs one per selected
+                // image; stills give one image
+                const frameCount = await countInputImages(file.path, inputFormat);
+                const frames = frameCount > 1 ? selectFrames(options.frames || 'first', frameCount, file.originalname) : [null];
+                
+                // For images, use cached processing for better performance
+                const images = [];
+                for (const frame of frames) {
+                    images.push(await getCachedOrProcessImage(file, inputFormat, options.imageMetadata, frame));
+                }
+                reportProgress('file_completed', { index, name: file.originalname, bytes: images.reduce((sum, image) => sum + image.buffer.length, 0) });
+                
+                return {
+                    type: 'image',
+                    images,
+                    index
+                };
+            } else {
+                console.warn(`Skipping unsupported file content: ${file.originalname} (${inputFormat || 'unrecognised'})`);
+                markFailed(index, `Unsupported file content: ${inputFormat || 'not a recognised image or PDF'}`);
+                return null;
+            }
+        } catch (error) {
+            console.error(`Error processing file ${file.originalname}:`, error);
+            markFailed(index, error.message);
+            return null; // Return null for failed files, but don't stop processing
+        }
+    };
+    
+    // Process files in parallel batches to improve performance
+    const batchSize = 5; // Process 5 files at a time to balance speed and memory usage
+    const allResults = [];
+    
+    for (let i = 0; i < files.length; i += batchSize) {
+        const batch = files.slice(i, i + batchSize);
+        const batchPromises = batch.map((file, batchIndex) => processFile(file, i + batchIndex));
+        
+        const batchResults = await Promise.all(batchPromises);
+        allResults.push(...batchResults.filter(result => result !== null));
+    }
+    
+    // In strict mode nothing is merged once a file has failed
+    if (options.strict && manifest.some(entry => entry.status === 'failed')) {
+        throw createCombineError(`${manifest.filter(entry => entry.status === 'failed').length} of ${files.length} files could not be processed.`, manifest);
+    }
+    
+    // Sort results by original index to maintain file order
+    allResults.sort((a, b) => a.index - b.index);
+    
+    // Now merge all processed content into the PDF document
+    let sheet = null; // page currently receiving images, with its grid cells
+    const pageFileNames = []; // source file of each page, for {filename} in headers and footers
+    const outlineEntries = []; // one per included file, for bookmarks and the table of contents
+    for (const result of allResults) {
+        try {
+            const pageCountBefore = pdfDoc.getPageCount();
+            let firstPageRef = null;
+            let bookmarks = [];
+            if (result.type === 'pdf') {
+                const pages = await pdfDoc.copyPages(result.document, result.pageIndices);
+                pages.forEach((page) => pdfDoc.addPage(page));
+                sheet = null; // images after a PDF start on a fresh page
+                firstPageRef = pages.length > 0 ? pages[0].ref : null;
+                if (options.bookmarks) {
+                    bookmarks = getCopiedBookmarks(result.document, pages, files[result.index].originalname);
+                }
+            } else if (result.type === 'image') {
+                for (const imageResult of result.images) {
+                    const image = imageResult.isJpeg 
+                        ? await pdfDoc.embedJpg(imageResult.buffer)
+                        : await pdfDoc.embedPng(imageResult.buffer);
+                    
+                    // Start a new page when the current one has no free cell
+                    if (!sheet || sheet.nextCell >= sheet.cells.length) {
+                        const [sheetWidth, sheetHeight] = getSheetSize(layout, image.width, image.height);
+                        sheet = {
+                            page: pdfDoc.addPage([sheetWidth, sheetHeight]),
+                            cells: getGridCells(layout, sheetWidth, sheetHeight),
+                            nextCell: 0
+                        };
+                    }
+                    
+                    const cell = sheet.cells[sheet.nextCell++];
+                    drawImageInCell(sheet.page, image, placeImage(layout, image.width, image.height, cell), cell);
+                    firstPageRef = firstPageRef || sheet.page.ref;
+                }
+            }
+            if (firstPageRef) {
+                outlineEntries.push({ title: files[result.index].originalname, pageRef: firstPageRef, children: bookmarks });
+            }
+            manifest[result.index].status = 'included';
+            manifest[result.index].pages = pdfDoc.getPageCount() - pageCountBefore;
+            while (pageFileNames.length < pdfDoc.getPageCount()) {
+                pageFileNames.push(files[result.index].originalname);
+            }
+            processedFiles++;
+        } catch (mergeError) {
+            console.error(`Error merging file at index ${result.index}:`, mergeError);
+            markFailed(result.index, `Could not be merged: ${mergeError.message}`);
+            if (options.strict) {
+                throw createCombineError(`${files[result.index].originalname} could not be merged.`, manifest);
+            }
+        }
+    }
+    
+    // Check if we have any pages
+    if (pdfDoc.getPageCount() === 0 || processedFiles === 0) {
+        // Provide more detailed error information
+        const totalFiles = files.length;
+        const failedFiles = manifest.filter(entry => entry.status === 'failed').length;
+        
+        let errorMessage = `No valid files could be processed. `;
+        if (failedFiles > 0) {
+            errorMessage += `${failedFiles} out of ${totalFiles} files failed to process. `;
+        }
+        errorMessage += `Please ensure you upload supported file types: JPG, JPEG, PNG, TIFF, HEIC, HEIF, BMP, WEBP, AVIF, SVG. `;
+        
+        throw createCombineError(errorMessage, manifest);
+    }
+    
+    if (options.bookmarks) {
+        writeOutline(pdfDoc, outlineEntries);
+    }
+    let tocPageCount = 0;
+    if (options.toc) {
+        const startNumber = options.headerFooter ? options.headerFooter.startNumber : 1;
+        tocPageCount = await addTableOfContents(pdfDoc, outlineEntries, { startNumber });
+        pageFileNames.unshift(...new Array(tocPageCount).fill(''));
+    }
+    if (options.headerFooter) {
+        await drawHeaderFooter(pdfDoc, options.headerFooter, pageFileNames);
+    }
+    if (options.watermark) {
+        // Watermark page numbers count the combined files' pages, not the table of contents
+        await watermarkPdf(pdfDoc, options.watermark, { firstPage: tocPageCount });
+    }
+    
+    // Our name instead of pdf-lib's as creator and producer, unless the request sets its own
+    pdfDoc.setCreator(DEFAULT_PRODUCER);
+    pdfDoc.setProducer(DEFAULT_PRODUCER);
+    if (options.metadata) {
+        applyMetadata(pdfDoc, options.metadata);
+    }
+    
+    // Save the combined PDF with optimized settings
+    reportProgress('pdf_finalizing');
+    let pdfBytes = await pdfDoc.save({
+        useObjectStreams: false, // Faster for smaller files
+        addDefaultPage: false,
+        objectsPerTick: 50 // Process more objects per tick for better performance
+    });
+    if (options.compression) {
+        pdfBytes = (await compressPdf(Buffer.from(pdfBytes), options.compression, { keepInfo: true })).pdfBytes;
+    }
+    
+    return { pdfBytes, processedFiles, manifest };
+}
+
+// Helper function to carry the bookmarks of an input PDF over to its copied pages
+// A broken outline only costs the nested bookmarks, never the file itself
+function getCopiedBookmarks(sourceDoc, copiedPages, fileName) {
+    const toEntries = items => items
+        .map(item => ({
+            title: item.title,
+            pageRef: item.pageIndex === null ? null : copiedPages[item.pageIndex].ref,
+            view: item.view,
+            children: toEntries(item.children)
+        }))
+        .filter(entry => entry.pageRef || entry.children.length > 0);
+    try {
+        return toEntries(readOutline(sourceDoc));
+    } catch (outlineError) {
+        console.warn(`Could not read bookmarks of ${fileName}: ${outlineError.message}`);
+        return [];
+    }
+}
+
+// Helper function to draw an image at its placement, cropped to the cell when it overflows (fill mode)
+function drawImageInCell(page, image, placement, cell) {
+    if (placement.clip) {
+        page.pushOperators(pushGraphicsState(), rectangle(cell.x, cell.y, cell.width, cell.height), clip(), endPath());
+    }
+    page.drawImage(image, {
+        x: placement.x,
+        y: placement.y,
+        width: placement.width,
+        height: placement.height
+    });
+    if (placement.clip) {
+        page.pushOperators(popGraphicsState());
+    }
+}
+
+// Combine failures carry the per-file manifest and are reported as 422 instead of a server error
+function createCombineError(message, manifest) {
+    manifest.forEach(entry => {
+        if (entry.status !== 'failed') entry.status = 'skipped';
+    });
+    const error = new Error(message);
+    error.statusCode = 422;
+    error.files = manifest;
+    return error;
+}
+
+// Proxies and CDNs commonly reject responses with a header over 8 KB, so the manifest header stays well below that
+const MAX_MANIFEST_HEADER_LENGTH = 4096;
+
+// X-Combine-Manifest value for a combine manifest. When the whole manifest is too long, only the failed files
+// are listed (what clients report), as many as fit; X-Combine-Failed still has the full count.
+function encodeManifestHeader(manifest) {
+    const encode = entries => encodeURIComponent(JSON.stringify(entries));
+    const value = encode(manifest);
+    if (value.length <= MAX_MANIFEST_HEADER_LENGTH) {
+        return { value, truncated: false };
     }
+    const failed = manifest.filter(entry => entry.status === 'failed');
+    let count = failed.length;
+    while (count > 0 && encode(failed.slice(0, count)).length > MAX_MANIFEST_HEADER_LENGTH) count--;
+    return { value: encode(failed.slice(0, count)), truncated: true };
 }
 
 // File combine endpoint
-app.post("/combine", upload.array("files"), async (req, res) => {
-    let cleanupFiles = [];
+app.post("/combine", uploadWithWatermark, async (req, res) => {
+    const cleanupFiles = (req.files || []).map(f => f.path);
+    if (req.watermarkImage) cleanupFiles.push(req.watermarkImage.path);
+    const removeUploads = () => cleanupFiles.forEach(filePath => {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (cleanupError) {
+            console.error('Cleanup error:', cleanupError);
+        }
+    });
     
     try {
         const clientInfo = extractClientInfo(req);
+        const reportProgress = createProgressReporter(req.body.progress_id);
         
         if (!req.files || req.files.length === 0) {
+            removeUploads();
             // Log failed combine attempt
             await logUserActivity({
                 action: 'combine_failed',
@@ -614,159 +1386,167 @@ app.post("/combine", upload.array("files"), async (req, res) => {
             });
             return res.status(400).json({ error: "No files uploaded." });
         }
-
-        // Track combine with MongoDB
+        
+        let layout;
         try {
-            await trackEvent('combine');
-            
-            // Log detailed combine activity
-            const totalFileSize = req.files.reduce((sum, file) => sum + file.size, 0);
+            layout = parseLayoutOptions(req.body);
+        } catch (layoutError) {
+            removeUploads();
+            // Log failed combine attempt
             await logUserActivity({
-                action: 'file_combine',
-                fileCount: req.files.length,
-                fileSize: totalFileSize,
-                fileTypes: req.files.map(f => f.mimetype).filter((v, i, arr) => arr.indexOf(v) === i),
+                action: 'combine_failed',
+                reason: 'invalid_layout',
+                error: layoutError.message,
                 ...clientInfo
             });
-        } catch (trackError) {
-            console.error('Error tracking combine (non-critical):', trackError);
+            return res.status(400).json({ error: layoutError.message });
         }
         
-        // Add uploaded files to cleanup list
-        cleanupFiles.push(...req.files.map(f => f.path));
-        
-        // Check total file size to prevent issues with large files
-        const totalSize = req.files.reduce((sum, file) => sum + file.size, 0);
-        const maxTotalSize = 100 * 1024 * 1024; // 100MB total limit for serverless
+        if (req.body.compress) {
+            try {
+                getCompressionPreset(req.body.compress);
+            } catch (presetError) {
+                removeUploads();
+                // Log failed combine attempt
+                await logUserActivity({
+                    action: 'combine_failed',
+                    reason: 'invalid_compression',
+                    error: presetError.message,
+                    ...clientInfo
+                });
+                return res.status(400).json({ error: presetError.message });
+            }
+        }
         
-        if (totalSize > maxTotalSize) {
-            throw new Error(`Total file size (${(totalSize / 1024 / 1024).toFixed(1)}MB) exceeds the limit of 100MB. Please reduce the number or size of files.`);
+        let headerFooter;
+        try {
+            headerFooter = parseHeaderFooterOptions(req.body);
+        } catch (headerFooterError) {
+            removeUploads();
+            // Log failed combine attempt
+            await logUserActivity({
+                action: 'combine_failed',
+                reason: 'invalid_header_footer',
+                error: headerFooterError.message,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: headerFooterError.message });
         }
         
-        // Create a new PDF document
-        const pdfDoc = await PDFDocument.create();
-        let processedFiles = 0;
-        
-        // Helper function to process individual files
-        const processFile = async (file, index) => {
-            const fileExt = path.extname(file.originalname).toLowerCase();
-            
-            console.log(`Processing file ${index + 1}/${req.files.length}: ${file.originalname} (${(file.size / 1024).toFixed(1)}KB)`);
-            
-            try {
-                if (fileExt === '.pdf') {
-                    // For PDFs, return the loaded document and pages for later merging
-                    const existingPdfBytes = fs.readFileSync(file.path);
-                    const existingPdf = await PDFDocument.load(existingPdfBytes);
-                    return {
-                        type: 'pdf',
-                        document: existingPdf,
-                        pageIndices: existingPdf.getPageIndices(),
-                        index
-                    };
-                } else if (['.jpg', '.jpeg', '.png', '.tiff', '.gif', '.bmp', '.webp', '.avif', '.heic', '.heif'].includes(fileExt)) {
-                    // For images, use cached processing for better performance
-                    const imageResult = await getCachedOrProcessImage(file, fileExt);
-                    
-                    return {
-                        type: 'image',
-                        buffer: imageResult.buffer,
-                        isJpeg: imageResult.isJpeg,
-                        index
-                    };
-                } else {
-                    console.warn(`Skipping unsupported file type: ${file.originalname} (${fileExt})`);
-                    return null;
-                }
-            } catch (error) {
-                console.error(`Error processing file ${file.originalname}:`, error);
-                return null; // Return null for failed files, but don't stop processing
-            }
-        };
+        let metadata;
+        try {
+            metadata = parseMetadataFields(req.body);
+        } catch (metadataError) {
+            removeUploads();
+            // Log failed combine attempt
+            await logUserActivity({
+                action: 'combine_failed',
+                reason: 'invalid_metadata',
+                error: metadataError.message,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: metadataError.message });
+        }
         
-        // Process files in parallel batches to improve performance
-        const batchSize = 5; // Process 5 files at a time to balance speed and memory usage
-        const allResults = [];
-        
-        for (let i = 0; i < req.files.length; i += batchSize) {
-            const batch = req.files.slice(i, i + batchSize);
-            const batchPromises = batch.map((file, batchIndex) => 
-                processFile(file, i + batchIndex).catch(error => {
-                    console.error(`Error processing file ${file.originalname}:`, error);
-                    return null; // Return null for failed files
-                })
-            );
-            
-            const batchResults = await Promise.all(batchPromises);
-            allResults.push(...batchResults.filter(result => result !== null));
+        let imageMetadata;
+        try {
+            imageMetadata = parseMetadataPolicy(req.body);
+        } catch (metadataPolicyError) {
+            removeUploads();
+            // Log failed combine attempt
+            await logUserActivity({
+                action: 'combine_failed',
+                reason: 'invalid_metadata_policy',
+                error: metadataPolicyError.message,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: metadataPolicyError.message });
         }
         
-        // Sort results by original index to maintain file order
-        allResults.sort((a, b) => a.index - b.index);
+        let frames;
+        try {
+            frames = parseFrameSelection(req.body.frames);
+        } catch (framesError) {
+            removeUploads();
+            // Log failed combine attempt
+            await logUserActivity({
+                action: 'combine_failed',
+                reason: 'invalid_frames',
+                error: framesError.message,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: framesError.message });
+        }
         
-        // Now merge all processed content into the PDF document
-        for (const result of allResults) {
-            try {
-                if (result.type === 'pdf') {
-                    const pages = await pdfDoc.copyPages(result.document, result.pageIndices);
-                    pages.forEach((page) => pdfDoc.addPage(page));
-                } else if (result.type === 'image') {
-                    const image = result.isJpeg 
-                        ? await pdfDoc.embedJpg(result.buffer)
-                        : await pdfDoc.embedPng(result.buffer);
-                    
-                    // Scale image to fit standard page size if it's too large
-                    const maxWidth = 595; // A4 width in points
-                    const maxHeight = 842; // A4 height in points
-                    let { width, height } = image;
-                    
-                    if (width > maxWidth || height > maxHeight) {
-                        const widthRatio = maxWidth / width;
-                        const heightRatio = maxHeight / height;
-                        const ratio = Math.min(widthRatio, heightRatio);
-                        width = width * ratio;
-                        height = height * ratio;
-                    }
-                    
-                    const page = pdfDoc.addPage([width, height]);
-                    page.drawImage(image, {
-                        x: 0,
-                        y: 0,
-                        width: width,
-                        height: height,
-                    });
-                }
-                processedFiles++;
-            } catch (mergeError) {
-                console.error(`Error merging file at index ${result.index}:`, mergeError);
-            }
+        let watermark;
+        try {
+            watermark = parseWatermarkOptions(req.body, req.watermarkImage);
+        } catch (watermarkError) {
+            removeUploads();
+            // Log failed combine attempt
+            await logUserActivity({
+                action: 'combine_failed',
+                reason: 'invalid_watermark',
+                error: watermarkError.message,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: watermarkError.message });
         }
         
-        // Check if we have any pages
-        if (pdfDoc.getPageCount() === 0 || processedFiles === 0) {
-            // Provide more detailed error information
-            const totalFiles = req.files.length;
-            const successfulFiles = allResults.length;
-            const failedFiles = totalFiles - successfulFiles;
-            
-            let errorMessage = `No valid files could be processed. `;
-            if (failedFiles > 0) {
-                errorMessage += `${failedFiles} out of ${totalFiles} files failed to process. `;
-            }
-            errorMessage += `Please ensure you upload supported file types: JPG, JPEG, PNG, TIFF, HEIC, HEIF, BMP, WEBP, AVIF, SVG. `;
-            
-            if (failedFiles > 0) {
-                errorMessage += `Check the console logs for specific file processing errors.`;
-            }
+        const contentError = await checkUploadedContent(req, req.files, documentInputFormats) ||
+            (req.watermarkImage && await checkUploadedContent(req, [req.watermarkImage], watermarkImageFormats));
+        if (contentError) {
+            removeUploads();
+            // Log failed combine attempt
+            await logUserActivity({
+                action: 'combine_failed',
+                reason: 'unsupported_content',
+                error: contentError,
+                ...clientInfo
+            });
+            return res.status(415).json({ error: contentError });
+        }
+
+        // Track combine with MongoDB
+        try {
+            await trackEvent('combine');
             
-            throw new Error(errorMessage);
+            // Log detailed combine activity
+            const totalFileSize = req.files.reduce((sum, file) => sum + file.size, 0);
+            await logUserActivity({
+                action: 'file_combine',
+                fileCount: req.files.length,
+                fileSize: totalFileSize,
+                fileTypes: req.files.map(f => f.mimetype).filter((v, i, arr) => arr.indexOf(v) === i),
+                ...clientInfo
+            });
+        } catch (trackError) {
+            console.error('Error tracking combine (non-critical):', trackError);
         }
         
-        // Save the combined PDF with optimized settings
-        const pdfBytes = await pdfDoc.save({
-            useObjectStreams: false, // Faster for smaller files
-            addDefaultPage: false,
-            objectsPerTick: 50 // Process more objects per tick for better performance
+        // Check total file size to prevent issues with large files
+        const totalSize = req.files.reduce((sum, file) => sum + file.size, 0);
+        const maxTotalSize = 100 * 1024 * 1024; // 100MB total limit for serverless
+        
+        if (totalSize > maxTotalSize) {
+            throw new Error(`Total file size (${(totalSize / 1024 / 1024).toFixed(1)}MB) exceeds the limit of 100MB. Please reduce the number or size of files.`);
+        }
+        
+        // Combine every file into one PDF
+        reportProgress('start', { total: req.files.length, files: req.files.map(f => f.originalname) });
+        const { pdfBytes, processedFiles, manifest } = await combineFilesToPdf(req.files, {
+            layout,
+            strict: req.body.strict === 'true',
+            compression: req.body.compress || null,
+            password: req.body.password,
+            bookmarks: req.body.bookmarks !== 'false',
+            toc: req.body.toc === 'true',
+            headerFooter,
+            watermark: watermark ? await prepareWatermark(watermark) : null,
+            metadata,
+            imageMetadata,
+            frames,
+            reportProgress
         });
         const outputPath = path.join('/tmp', `combined_${Date.now()}.pdf`);
         cleanupFiles.push(outputPath);
@@ -779,13 +1559,20 @@ app.post("/combine", upload.array("files"), async (req, res) => {
             writeStream.write(Buffer.from(pdfBytes));
             writeStream.end();
         });
+        reportProgress('done', { bytes: pdfBytes.length });
         
         // Send the combined PDF
         const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
         const downloadName = `combined_${timestamp}.pdf`;
+        const failedFiles = manifest.filter(entry => entry.status === 'failed');
         
         res.setHeader('Content-Disposition', `attachment; filename="${downloadName}"`);
         res.setHeader('Content-Type', 'application/pdf');
+        // Per-file results; URI-encoded because file names may contain non-ASCII characters
+        const manifestHeader = encodeManifestHeader(manifest);
+        res.setHeader('X-Combine-Manifest', manifestHeader.value);
+        if (manifestHeader.truncated) res.setHeader('X-Combine-Manifest-Truncated', 'true');
+        res.setHeader('X-Combine-Failed', failedFiles.length.toString());
         
         const fileStream = fs.createReadStream(outputPath);
         fileStream.pipe(res);
@@ -803,10 +1590,19 @@ app.post("/combine", upload.array("files"), async (req, res) => {
             });
         });
 
+        if (failedFiles.length > 0) {
+            await logUserActivity({
+                action: 'combine_partial',
+                failedFiles: failedFiles.map(entry => ({ name: entry.name, error: entry.error })),
+                ...clientInfo
+            });
+        }
+
         console.log(`Combine completed: ${processedFiles}/${req.files.length} files successfully combined to PDF (${(totalSize / 1024 / 1024).toFixed(1)}MB total) from ${clientInfo.ip}`);
 
     } catch (error) {
         console.error("Combine error:", error);
+        createProgressReporter(req.body?.progress_id)('error', { error: error.message });
         
         // Clean up on error
         cleanupFiles.forEach(filePath => {
@@ -831,18 +1627,35 @@ app.post("/combine", upload.array("files"), async (req, res) => {
             console.error('Error logging combine error:', logError);
         }
         
-        res.status(500).json({ error: error.message || "Combine failed" });
+        res.status(error.statusCode || 500).json({ error: error.message || "Combine failed", files: error.files });
     }
 });
 
+// Helper function to convert a PDF to a text document, rebuilding headings, styling, columns, tables and images
+async function convertPdfToDocument(file, outputFormat, password) {
+    const pdfBuffer = fs.readFileSync(file.path);
+    const structure = await extractPdfStructure(pdfBuffer, { password });
+    return outputFormat.build(structure, { title: path.parse(file.originalname).name });
+}
+
 // PDF to Word endpoint
 app.post("/pdf-to-word", upload.array("files"), async (req, res) => {
-    let cleanupFiles = [];
+    const cleanupFiles = (req.files || []).map(f => f.path);
+    const removeUploads = () => cleanupFiles.forEach(filePath => {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (cleanupError) {
+            console.error('Cleanup error:', cleanupError);
+        }
+    });
     
     try {
         const clientInfo = extractClientInfo(req);
         
         if (!req.files || req.files.length === 0) {
+            removeUploads();
             // Log failed PDF to Word attempt
             await logUserActivity({
                 action: 'pdf_to_word_failed',
@@ -852,21 +1665,34 @@ app.post("/pdf-to-word", upload.array("files"), async (req, res) => {
             return res.status(400).json({ error: "No files uploaded." });
         }
 
-        // Validate that uploaded files are PDFs
-        const pdfFiles = req.files.filter(file => 
-            file.mimetype === 'application/pdf' || 
-            file.originalname.toLowerCase().endsWith('.pdf')
-        );
-
-        if (pdfFiles.length === 0) {
+        // Only PDF content is accepted, whatever the file names say
+        const contentError = await checkUploadedContent(req, req.files, ['pdf']);
+        if (contentError) {
+            removeUploads();
+            // Log failed PDF to Word attempt
+            await logUserActivity({
+                action: 'pdf_to_word_failed',
+                reason: 'unsupported_content',
+                error: contentError,
+                ...clientInfo
+            });
+            return res.status(415).json({ error: contentError });
+        }
+        const pdfFiles = req.files;
+        
+        const format = (req.body.output_format || 'docx').toLowerCase();
+        const outputFormat = documentFormats[format];
+        
+        if (!outputFormat) {
+            removeUploads();
             // Log failed PDF to Word attempt
             await logUserActivity({
                 action: 'pdf_to_word_failed',
-                reason: 'no_pdf_files',
-                uploadedFileTypes: req.files.map(f => f.mimetype),
+                reason: 'invalid_format',
+                requestedFormat: format,
                 ...clientInfo
             });
-            return res.status(400).json({ error: "No PDF files found. Please upload PDF files only." });
+            return res.status(400).json({ error: `Invalid format. Supported: ${Object.keys(documentFormats).join(", ")}` });
         }
 
         // Track PDF to Word conversion with MongoDB
@@ -877,6 +1703,7 @@ app.post("/pdf-to-word", upload.array("files"), async (req, res) => {
             const totalFileSize = pdfFiles.reduce((sum, file) => sum + file.size, 0);
             await logUserActivity({
                 action: 'pdf_to_word_conversion',
+                outputFormat: format,
                 fileCount: pdfFiles.length,
                 fileSize: totalFileSize,
                 ...clientInfo
@@ -885,47 +1712,22 @@ app.post("/pdf-to-word", upload.array("files"), async (req, res) => {
             console.error('Error tracking PDF to Word (non-critical):', trackError);
         }
         
-        // Add all files to cleanup list
-        cleanupFiles.push(...req.files.map(f => f.path));
-        
         if (pdfFiles.length === 1) {
             // Single file conversion
             const file = pdfFiles[0];
-            const outputPath = path.join('/tmp', `converted_${Date.now()}.docx`);
+            const outputPath = path.join('/tmp', `converted_${Date.now()}.${outputFormat.extension}`);
             cleanupFiles.push(outputPath);
             
             try {
-                // Use pdf-parse to extract text content
-                const pdfParse = require('pdf-parse');
-                const pdfBuffer = fs.readFileSync(file.path);
-                const pdfData = await pdfParse(pdfBuffer);
-                
-                // Create Word document using docx library
-                const { Document, Packer, Paragraph, TextRun } = require('docx');
-                
-                // Split text into paragraphs
-                const paragraphs = pdfData.text.split('\n\n').filter(p => p.trim().length > 0);
-                
-                const doc = new Document({
-                    sections: [{
-                        properties: {},
-                        children: paragraphs.map(text => 
-                            new Paragraph({
-                                children: [new TextRun(text.trim())]
-                            })
-                        )
-                    }]
-                });
-                
-                const buffer = await Packer.toBuffer(doc);
+                const buffer = await convertPdfToDocument(file, outputFormat, req.body.password);
                 fs.writeFileSync(outputPath, buffer);
                 
                 // Send the converted file
                 const originalName = path.parse(file.originalname).name;
-                const downloadName = `${originalName}.docx`;
+                const downloadName = `${originalName}.${outputFormat.extension}`;
                 
                 res.setHeader('Content-Disposition', `attachment; filename="${downloadName}"`);
-                res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+                res.setHeader('Content-Type', outputFormat.mimetype);
                 
                 const fileStream = fs.createReadStream(outputPath);
                 fileStream.pipe(res);
@@ -944,7 +1746,7 @@ app.post("/pdf-to-word", upload.array("files"), async (req, res) => {
                 });
                 
             } catch (conversionError) {
-                throw new Error(`PDF to Word conversion failed: ${conversionError.message}`);
+                throw new Error(`PDF to ${format.toUpperCase()} conversion failed: ${conversionError.message}`);
             }
             
         } else {
@@ -963,31 +1765,9 @@ app.post("/pdf-to-word", upload.array("files"), async (req, res) => {
                 const file = pdfFiles[i];
                 
                 try {
-                    // Use pdf-parse to extract text content
-                    const pdfParse = require('pdf-parse');
-                    const pdfBuffer = fs.readFileSync(file.path);
-                    const pdfData = await pdfParse(pdfBuffer);
-                    
-                    // Create Word document using docx library
-                    const { Document, Packer, Paragraph, TextRun } = require('docx');
-                    
-                    // Split text into paragraphs
-                    const paragraphs = pdfData.text.split('\n\n').filter(p => p.trim().length > 0);
-                    
-                    const doc = new Document({
-                        sections: [{
-                            properties: {},
-                            children: paragraphs.map(text => 
-                                new Paragraph({
-                                    children: [new TextRun(text.trim())]
-                                })
-                            )
-                        }]
-                    });
-                    
-                    const buffer = await Packer.toBuffer(doc);
+                    const buffer = await convertPdfToDocument(file, outputFormat, req.body.password);
                     const originalName = path.parse(file.originalname).name;
-                    archive.append(buffer, { name: `${originalName}.docx` });
+                    archive.append(buffer, { name: `${originalName}.${outputFormat.extension}` });
                     
                 } catch (fileError) {
                     console.error(`Error converting ${file.originalname}:`, fileError);
@@ -1058,15 +1838,24 @@ app.post("/pdf-to-word", upload.array("files"), async (req, res) => {
     }
 });
 
-// PDF to Images endpoint - COMMENTED OUT (Vercel not supporting this feature)
-/*
+// PDF to Images endpoint
 app.post("/pdf-to-images", upload.array("files"), async (req, res) => {
-    let cleanupFiles = [];
+    const cleanupFiles = (req.files || []).map(f => f.path);
+    const removeUploads = () => cleanupFiles.forEach(filePath => {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (cleanupError) {
+            console.error('Cleanup error:', cleanupError);
+        }
+    });
     
     try {
         const clientInfo = extractClientInfo(req);
         
         if (!req.files || req.files.length === 0) {
+            removeUploads();
             // Log failed PDF to Images attempt
             await logUserActivity({
                 action: 'pdf_to_images_failed',
@@ -1076,22 +1865,34 @@ app.post("/pdf-to-images", upload.array("files"), async (req, res) => {
             return res.status(400).json({ error: "No files uploaded." });
         }
 
-        // Validate that uploaded files are PDFs
-        const pdfFiles = req.files.filter(file => 
-            file.mimetype === 'application/pdf' || 
-            file.originalname.toLowerCase().endsWith('.pdf')
-        );
-
-        if (pdfFiles.length === 0) {
+        // Only PDF content is accepted, whatever the file names say
+        const contentError = await checkUploadedContent(req, req.files, ['pdf']);
+        if (contentError) {
+            removeUploads();
             // Log failed PDF to Images attempt
             await logUserActivity({
                 action: 'pdf_to_images_failed',
-                reason: 'no_pdf_files',
-                uploadedFileTypes: req.files.map(f => f.mimetype),
+                reason: 'unsupported_content',
+                error: contentError,
                 ...clientInfo
             });
-            return res.status(400).json({ error: "No PDF files found. Please upload PDF files only." });
+            return res.status(415).json({ error: contentError });
         }
+        const pdfFiles = req.files;
+        
+        let format = (req.body.output_format || 'png').toLowerCase();
+        if (format === 'jpeg') format = 'jpg';
+        
+        if (!pdfImageFormats.includes(format)) {
+            removeUploads();
+            return res.status(400).json({ error: `Invalid format. Supported: ${pdfImageFormats.join(", ")}` });
+        }
+        
+        const renderOptions = {
+            dpi: req.body.dpi,
+            pages: req.body.pages,
+            password: req.body.password
+        };
 
         // Track PDF to Images conversion with MongoDB
         try {
@@ -1101,6 +1902,7 @@ app.post("/pdf-to-images", upload.array("files"), async (req, res) => {
             const totalFileSize = pdfFiles.reduce((sum, file) => sum + file.size, 0);
             await logUserActivity({
                 action: 'pdf_to_images_conversion',
+                outputFormat: format,
                 fileCount: pdfFiles.length,
                 fileSize: totalFileSize,
                 ...clientInfo
@@ -1109,121 +1911,71 @@ app.post("/pdf-to-images", upload.array("files"), async (req, res) => {
             console.error('Error tracking PDF to Images (non-critical):', trackError);
         }
         
-        // Add all files to cleanup list
-        cleanupFiles.push(...req.files.map(f => f.path));
-        
-        const format = req.body.output_format || 'png';
-        
-        // Create a ZIP file for all outputs
-        const archiver = require('archiver');
-        const zipPath = path.join('/tmp', `pdf_to_images_${Date.now()}.zip`);
-        cleanupFiles.push(zipPath);
-        
-        const output = fs.createWriteStream(zipPath);
-        const archive = archiver('zip', { zlib: { level: 9 } });
-        
-        archive.pipe(output);
-        
-        let singleImageBuffer = null;
-        let singleImageName = '';
-        let totalImages = 0;
+        // Render every selected page of every PDF
+        const images = [];
+        const errors = [];
         
-        // Process each PDF file
         for (const file of pdfFiles) {
+            const originalName = path.parse(file.originalname).name;
+            
             try {
-                // Check if we're in Vercel environment
-                const isVercel = process.env.VERCEL || process.env.NOW_REGION;
-                if (isVercel) {
-                    // Use PDF.co API for PDF to images conversion
-                    const axios = require('axios');
-                    const FormData = require('form-data');
-                    const apiKey = process.env.PDFCO_API_KEY || 'gregory.chernyavskiy@gmail.com_4RAvgHGyAmUz41VEQIsV2DUoz3qnWsi4ZkQXwnuZJ5GD8hoBZePNg4Kw0LuUHhHO';
-                    const pdfBuffer = fs.readFileSync(file.path);
-                    const form = new FormData();
-                    form.append('file', pdfBuffer, file.originalname);
-                    form.append('async', 'false');
-                    form.append('pages', '');
-                    form.append('password', '');
-                    form.append('profiles', JSON.stringify({ outputType: format === 'jpg' ? 'jpeg' : format }));
-                    const url = 'https://api.pdf.co/v1/pdf/convert/to/image';
-                    const response = await axios.post(url, form, {
-                        headers: {
-                            ...form.getHeaders(),
-                            'x-api-key': apiKey
-                        },
-                        maxContentLength: Infinity,
-                        maxBodyLength: Infinity
+                const pdfBuffer = fs.readFileSync(file.path);
+                await renderPdfPages(pdfBuffer, renderOptions, async (page) => {
+                    console.log(`Rendered ${file.originalname} page ${page.pageNumber}/${page.pageCount} (${page.width}x${page.height})`);
+                    images.push({
+                        buffer: await encodePageImage(page.buffer, format),
+                        baseName: originalName,
+                        pageNumber: page.pageNumber
                     });
-                    if (response.data && response.data.urls && response.data.urls.length > 0) {
-                        const originalName = path.parse(file.originalname).name;
-                        for (let i = 0; i < response.data.urls.length; i++) {
-                            const imageUrl = response.data.urls[i];
-                            const imageResp = await axios.get(imageUrl, { responseType: 'arraybuffer' });
-                            const fileName = response.data.urls.length === 1 && pdfFiles.length === 1
-                                ? `${originalName}.${format}`
-                                : `${originalName}_page_${i + 1}.${format}`;
-                            archive.append(Buffer.from(imageResp.data), { name: fileName });
-                            if (response.data.urls.length === 1 && pdfFiles.length === 1) {
-                                singleImageBuffer = Buffer.from(imageResp.data);
-                                singleImageName = fileName;
-                            }
-                            totalImages++;
-                        }
-                    } else {
-                        throw new Error('No images generated from PDF using PDF.co');
-                    }
-                } else {
-                    // For local development, use system pdftocairo
-                    const { spawn } = require('child_process');
-                    // ...existing code...
-                }
-                
+                });
             } catch (conversionError) {
-                console.error('PDF conversion failed, using text extraction fallback:', conversionError.message);
-                
-                // Fallback: Extract text and create a simple text image
-                const pdfParse = require('pdf-parse');
-                const pdfBuffer = fs.readFileSync(file.path);
-                const pdfData = await pdfParse(pdfBuffer);
-                
-                // Create a simple text representation
-                const originalName = path.parse(file.originalname).name;
-                const textContent = `PDF Text Content from: ${file.originalname}\n\n${pdfData.text}`;
-                
-                // Create a simple text file as fallback
-                const textFileName = `${originalName}_text_content.txt`;
-                archive.append(textContent, { name: textFileName });
-                
-                // Also create an error notice
-                const errorNotice = `PDF to Images conversion failed.\n\nError: ${conversionError.message}\n\nText content has been extracted instead.`;
-                archive.append(errorNotice, { name: `CONVERSION_INFO_${originalName}.txt` });
-                
-                totalImages++;
+                console.error(`Error rendering ${file.originalname}:`, conversionError);
+                errors.push({ file: file.originalname, message: conversionError.message });
             }
         }
         
+        if (images.length === 0) {
+            throw new Error(`PDF to Images conversion failed: ${errors.map(e => `${e.file}: ${e.message}`).join('; ')}`);
+        }
+        
         // If we have only one image, send it directly instead of a ZIP
-        if (totalImages === 1 && singleImageBuffer) {
-            res.setHeader('Content-Disposition', `attachment; filename="${singleImageName}"`);
-            res.setHeader('Content-Type', `image/${format === 'jpg' ? 'jpeg' : format}`);
-            res.send(singleImageBuffer);
+        if (images.length === 1 && errors.length === 0) {
+            const downloadName = `${images[0].baseName}.${format}`;
+            res.setHeader('Content-Disposition', `attachment; filename="${downloadName}"`);
+            res.setHeader('Content-Type', outputMimetypes[format] || `image/${format}`);
+            res.send(images[0].buffer);
             
             // Clean up files
             cleanupFiles.forEach(filePath => {
                 try {
                     if (fs.existsSync(filePath)) {
-                        if (fs.lstatSync(filePath).isDirectory()) {
-                            fs.rmSync(filePath, { recursive: true, force: true });
-                        } else {
-                            fs.unlinkSync(filePath);
-                        }
+                        fs.unlinkSync(filePath);
                     }
                 } catch (cleanupError) {
                     console.error('Cleanup error:', cleanupError);
                 }
             });
         } else {
-            // Send ZIP file for multiple images
+            // Create a ZIP file for all outputs
+            const archiver = require('archiver');
+            const zipPath = path.join('/tmp', `pdf_to_images_${Date.now()}.zip`);
+            cleanupFiles.push(zipPath);
+            
+            const output = fs.createWriteStream(zipPath);
+            const archive = archiver('zip', { zlib: { level: 9 } });
+            
+            archive.pipe(output);
+            
+            images.forEach(image => {
+                archive.append(image.buffer, { name: `${image.baseName}_page_${image.pageNumber}.${format}` });
+            });
+            errors.forEach(error => {
+                // Add error file to ZIP
+                archive.append(`Error converting ${error.file}: ${error.message}`, { 
+                    name: `ERROR_${error.file}.txt` 
+                });
+            });
+            
             archive.finalize();
             
             output.on('close', () => {
@@ -1244,11 +1996,7 @@ app.post("/pdf-to-images", upload.array("files"), async (req, res) => {
                     cleanupFiles.forEach(filePath => {
                         try {
                             if (fs.existsSync(filePath)) {
-                                if (fs.lstatSync(filePath).isDirectory()) {
-                                    fs.rmSync(filePath, { recursive: true, force: true });
-                                } else {
-                                    fs.unlinkSync(filePath);
-                                }
+                                fs.unlinkSync(filePath);
                             }
                         } catch (cleanupError) {
                             console.error('Cleanup error:', cleanupError);
@@ -1258,7 +2006,7 @@ app.post("/pdf-to-images", upload.array("files"), async (req, res) => {
             });
         }
 
-        console.log(`PDF to Images completed: ${pdfFiles.length} files from ${clientInfo.ip}`);
+        console.log(`PDF to Images completed: ${images.length} images from ${pdfFiles.length} files from ${clientInfo.ip}`);
 
     } catch (error) {
         console.error("PDF to Images error:", error);
@@ -1267,11 +2015,7 @@ app.post("/pdf-to-images", upload.array("files"), async (req, res) => {
         cleanupFiles.forEach(filePath => {
             try {
                 if (fs.existsSync(filePath)) {
-                    if (fs.lstatSync(filePath).isDirectory()) {
-                        fs.rmSync(filePath, { recursive: true, force: true });
-                    } else {
-                        fs.unlinkSync(filePath);
-                    }
+                    fs.unlinkSync(filePath);
                 }
             } catch (cleanupError) {
                 console.error('Cleanup error:', cleanupError);
@@ -1293,35 +2037,1658 @@ app.post("/pdf-to-images", upload.array("files"), async (req, res) => {
         res.status(500).json({ error: error.message || "PDF to Images conversion failed" });
     }
 });
-*/
-
-// Serve static files (CSS, JS, images)
-app.use(express.static(path.join(__dirname, "..", "public")));
 
-// Main HTML for root
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
-});
+// Helper function to send generated files: a single file directly, several (or any errors) as a ZIP
+// outputs: [{name, buffer, mimetype}], errors: [{file, message}]
+async function sendOutputFiles(res, outputs, errors, zipName) {
+    if (outputs.length === 1 && errors.length === 0) {
+        res.setHeader('Content-Disposition', `attachment; filename="${outputs[0].name}"`);
+        res.setHeader('Content-Type', outputs[0].mimetype);
+        res.send(outputs[0].buffer);
+        return;
+    }
+    
+    const zipBuffer = await createZipBuffer([
+        ...outputs,
+        ...errors.map(error => ({
+            name: `ERROR_${error.file}.txt`,
+            buffer: Buffer.from(`Error processing ${error.file}: ${error.message}`)
+        }))
+    ]);
+    res.setHeader('Content-Disposition', `attachment; filename="${zipName}"`);
+    res.setHeader('Content-Type', 'application/zip');
+    res.send(zipBuffer);
+}
 
-// HTML page routes
-app.get('/convert', (req, res) => {
-    res.sendFile(path.join(__dirname, '..', 'public', 'convert.html'));
-});
+// Helper function to pick the PDFs out of an upload, by content
+function filterPdfFiles(files) {
+    return files.filter(file => detectUploadFormat(file) === 'pdf');
+}
 
-app.get('/combine', (req, res) => {
-    res.sendFile(path.join(__dirname, '..', 'public', 'combine.html'));
-});
+// Thumbnails are capped so a huge PDF can't tie up the function rendering previews
+const MAX_PREVIEW_PAGES = 200;
+const THUMBNAIL_WIDTH = 180;
 
-app.get('/pdf-to-word', (req, res) => {
-    res.sendFile(path.join(__dirname, '..', 'public', 'pdf-to-word.html'));
+// Page thumbnails for the page picker
+app.post("/pdf-pages/preview", upload.single("file"), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: "Please upload a PDF file." });
+        }
+        const contentError = await checkUploadedContent(req, [req.file], ['pdf']);
+        if (contentError) {
+            return res.status(415).json({ error: contentError });
+        }
+        
+        const pdfBuffer = fs.readFileSync(req.file.path);
+        const pageCount = (await PDFDocument.load(pdfBuffer, { ignoreEncryption: true })).getPageCount();
+        const pages = [];
+        await renderPdfPages(pdfBuffer, { dpi: MIN_DPI, pages: `1-${Math.min(pageCount, MAX_PREVIEW_PAGES)}` }, async (page) => {
+            const thumbnail = await sharp(page.buffer)
+                .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+                .jpeg({ quality: 70 })
+                .toBuffer();
+            pages.push({
+                pageNumber: page.pageNumber,
+                width: page.width,
+                height: page.height,
+                thumbnail: `data:image/jpeg;base64,${thumbnail.toString('base64')}`
+            });
+        });
+        
+        res.json({ name: req.file.originalname, pageCount, pages });
+    } catch (error) {
+        console.error("PDF preview error:", error);
+        res.status(500).json({ error: error.message || "Could not read PDF" });
+    } finally {
+        try {
+            if (req.file && fs.existsSync(req.file.path)) {
+                fs.unlinkSync(req.file.path);
+            }
+        } catch (cleanupError) {
+            console.error('Cleanup error:', cleanupError);
+        }
+    }
 });
 
-// PDF to Images page route - COMMENTED OUT (Vercel not supporting this feature)
-/*
-app.get('/pdf-to-images', (req, res) => {
-    res.sendFile(path.join(__dirname, '..', 'public', 'pdf-to-images.html'));
+// PDF page editing endpoint: reorder, rotate, delete, duplicate and extract pages with a page plan
+app.post("/pdf-pages", upload.array("files"), async (req, res) => {
+    const cleanupFiles = (req.files || []).map(f => f.path);
+    const removeUploads = () => cleanupFiles.forEach(filePath => {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (cleanupError) {
+            console.error('Cleanup error:', cleanupError);
+        }
+    });
+    
+    try {
+        const clientInfo = extractClientInfo(req);
+        
+        if (!req.files || req.files.length === 0) {
+            removeUploads();
+            // Log failed page edit attempt
+            await logUserActivity({
+                action: 'pdf_pages_failed',
+                reason: 'no_files',
+                ...clientInfo
+            });
+            return res.status(400).json({ error: "No files uploaded." });
+        }
+        
+        // Only PDF content is accepted, whatever the file names say
+        const contentError = await checkUploadedContent(req, req.files, ['pdf']);
+        if (contentError) {
+            removeUploads();
+            // Log failed page edit attempt
+            await logUserActivity({
+                action: 'pdf_pages_failed',
+                reason: 'unsupported_content',
+                error: contentError,
+                ...clientInfo
+            });
+            return res.status(415).json({ error: contentError });
+        }
+        const pdfFiles = req.files;
+        
+        // One plan for every file, or one "plan" field per file in upload order
+        const plans = Array.isArray(req.body.plan) ? req.body.plan : pdfFiles.map(() => req.body.plan);
+        if (plans.length !== pdfFiles.length) {
+            removeUploads();
+            // Log failed page edit attempt
+            await logUserActivity({
+                action: 'pdf_pages_failed',
+                reason: 'plan_count_mismatch',
+                ...clientInfo
+            });
+            return res.status(400).json({ error: `Got ${plans.length} page plans for ${pdfFiles.length} PDF files.` });
+        }
+        
+        // Log page edit activity
+        try {
+            await logUserActivity({
+                action: 'pdf_pages_edit',
+                fileCount: pdfFiles.length,
+                fileSize: pdfFiles.reduce((sum, file) => sum + file.size, 0),
+                plans,
+                ...clientInfo
+            });
+        } catch (trackError) {
+            console.error('Error tracking page edit (non-critical):', trackError);
+        }
+        
+        const outputs = [];
+        const errors = [];
+        
+        for (let i = 0; i < pdfFiles.length; i++) {
+            const file = pdfFiles[i];
+            const originalName = path.parse(file.originalname).name;
+            
+            try {
+                const documents = await applyPagePlan(fs.readFileSync(file.path), plans[i]);
+                documents.forEach((document, part) => {
+                    outputs.push({
+                        name: documents.length === 1 ? `${originalName}.pdf` : `${originalName}_part${part + 1}.pdf`,
+                        buffer: Buffer.from(document.pdfBytes),
+                        mimetype: 'application/pdf'
+                    });
+                });
+                console.log(`Applied page plan "${plans[i] || 'all'}" to ${file.originalname}: ${documents.length} document(s)`);
+            } catch (planError) {
+                console.error(`Error editing pages of ${file.originalname}:`, planError);
+                errors.push({ file: file.originalname, message: planError.message });
+            }
+        }
+        
+        if (outputs.length === 0) {
+            const failure = new Error(errors.map(e => `${e.file}: ${e.message}`).join('; '));
+            failure.statusCode = 422;
+            throw failure;
+        }
+        
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        const zipName = pdfFiles.length === 1
+            ? `${path.parse(pdfFiles[0].originalname).name}_pages.zip`
+            : `edited_pdfs_${timestamp}.zip`;
+        await sendOutputFiles(res, outputs, errors, zipName);
+        
+        // Clean up files
+        cleanupFiles.forEach(filePath => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+        });
+        
+        console.log(`PDF page edit completed: ${outputs.length} document(s) from ${pdfFiles.length} files from ${clientInfo.ip}`);
+        
+    } catch (error) {
+        console.error("PDF page edit error:", error);
+        
+        // Clean up on error
+        cleanupFiles.forEach(filePath => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+        });
+        
+        // Log page edit error
+        try {
+            const clientInfo = extractClientInfo(req);
+            await logUserActivity({
+                action: 'pdf_pages_error',
+                error: error.message,
+                ...clientInfo
+            });
+        } catch (logError) {
+            console.error('Error logging page edit error:', logError);
+        }
+        
+        res.status(error.statusCode || 500).json({ error: error.message || "PDF page edit failed" });
+    }
+});
+
+// PDF split endpoint
+app.post("/split", upload.array("files"), async (req, res) => {
+    const cleanupFiles = (req.files || []).map(f => f.path);
+    const removeUploads = () => cleanupFiles.forEach(filePath => {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (cleanupError) {
+            console.error('Cleanup error:', cleanupError);
+        }
+    });
+    
+    try {
+        const clientInfo = extractClientInfo(req);
+        
+        if (!req.files || req.files.length === 0) {
+            removeUploads();
+            // Log failed split attempt
+            await logUserActivity({
+                action: 'split_failed',
+                reason: 'no_files',
+                ...clientInfo
+            });
+            return res.status(400).json({ error: "No files uploaded." });
+        }
+        
+        // Only PDF content is accepted, whatever the file names say
+        const contentError = await checkUploadedContent(req, req.files, ['pdf']);
+        if (contentError) {
+            removeUploads();
+            // Log failed split attempt
+            await logUserActivity({
+                action: 'split_failed',
+                reason: 'unsupported_content',
+                error: contentError,
+                ...clientInfo
+            });
+            return res.status(415).json({ error: contentError });
+        }
+        const pdfFiles = req.files;
+        
+        const splitOptions = {
+            strategy: (req.body.strategy || 'single').toLowerCase(),
+            pagesPerFile: parseInt(req.body.pages_per_file, 10),
+            ranges: req.body.ranges
+        };
+        
+        let optionsError = null;
+        if (!splitStrategies.includes(splitOptions.strategy)) {
+            optionsError = `Invalid split strategy. Supported: ${splitStrategies.join(", ")}`;
+        } else if (splitOptions.strategy === 'every' && !(splitOptions.pagesPerFile >= 1)) {
+            optionsError = "pages_per_file must be a whole number of at least 1.";
+        } else if (splitOptions.strategy === 'ranges' && !(splitOptions.ranges || '').trim()) {
+            optionsError = "Please enter the page ranges to split into, e.g. 1-3,4-6,7-";
+        }
+        
+        if (optionsError) {
+            removeUploads();
+            // Log failed split attempt
+            await logUserActivity({
+                action: 'split_failed',
+                reason: 'invalid_options',
+                strategy: splitOptions.strategy,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: optionsError });
+        }
+        
+        // Log split activity
+        try {
+            await logUserActivity({
+                action: 'pdf_split',
+                strategy: splitOptions.strategy,
+                fileCount: pdfFiles.length,
+                fileSize: pdfFiles.reduce((sum, file) => sum + file.size, 0),
+                ...clientInfo
+            });
+        } catch (trackError) {
+            console.error('Error tracking split (non-critical):', trackError);
+        }
+        
+        // Split every PDF before writing anything
+        const documents = [];
+        const errors = [];
+        
+        for (const file of pdfFiles) {
+            const originalName = path.parse(file.originalname).name;
+            
+            try {
+                const parts = await splitPdf(fs.readFileSync(file.path), splitOptions);
+                parts.forEach(part => {
+                    documents.push({ name: `${originalName}_${part.label}.pdf`, buffer: Buffer.from(part.pdfBytes) });
+                });
+                console.log(`Split ${file.originalname} (${splitOptions.strategy}) into ${parts.length} files`);
+            } catch (splitError) {
+                console.error(`Error splitting ${file.originalname}:`, splitError);
+                errors.push({ file: file.originalname, message: splitError.message });
+            }
+        }
+        
+        if (documents.length === 0) {
+            const failure = new Error(errors.map(e => `${e.file}: ${e.message}`).join('; '));
+            failure.statusCode = 422;
+            throw failure;
+        }
+        
+        const archiver = require('archiver');
+        const zipPath = path.join('/tmp', `split_${Date.now()}.zip`);
+        cleanupFiles.push(zipPath);
+        
+        const output = fs.createWriteStream(zipPath);
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        
+        archive.pipe(output);
+        
+        documents.forEach(document => {
+            archive.append(document.buffer, { name: document.name });
+        });
+        errors.forEach(error => {
+            // Add error file to ZIP
+            archive.append(`Error splitting ${error.file}: ${error.message}`, { 
+                name: `ERROR_${error.file}.txt` 
+            });
+        });
+        
+        archive.finalize();
+        
+        output.on('close', () => {
+            // Send the ZIP file
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+            const downloadName = pdfFiles.length === 1 
+                ? `${path.parse(pdfFiles[0].originalname).name}_split.zip`
+                : `split_pdfs_${timestamp}.zip`;
+            
+            res.setHeader('Content-Disposition', `attachment; filename="${downloadName}"`);
+            res.setHeader('Content-Type', 'application/zip');
+            
+            const fileStream = fs.createReadStream(zipPath);
+            fileStream.pipe(res);
+            
+            fileStream.on('end', () => {
+                // Clean up files after sending
+                cleanupFiles.forEach(filePath => {
+                    try {
+                        if (fs.existsSync(filePath)) {
+                            fs.unlinkSync(filePath);
+                        }
+                    } catch (cleanupError) {
+                        console.error('Cleanup error:', cleanupError);
+                    }
+                });
+            });
+        });
+        
+        console.log(`Split completed: ${documents.length} files from ${pdfFiles.length} PDFs from ${clientInfo.ip}`);
+        
+    } catch (error) {
+        console.error("Split error:", error);
+        
+        // Clean up on error
+        cleanupFiles.forEach(filePath => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+        });
+        
+        // Log split error
+        try {
+            const clientInfo = extractClientInfo(req);
+            await logUserActivity({
+                action: 'split_error',
+                error: error.message,
+                ...clientInfo
+            });
+        } catch (logError) {
+            console.error('Error logging split error:', logError);
+        }
+        
+        res.status(error.statusCode || 500).json({ error: error.message || "Split failed" });
+    }
+});
+
+// PDF compression endpoint: recompresses images and strips unused objects and metadata with a preset (screen, ebook, print)
+app.post("/compress-pdf", upload.array("files"), async (req, res) => {
+    const cleanupFiles = (req.files || []).map(f => f.path);
+    const removeUploads = () => cleanupFiles.forEach(filePath => {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (cleanupError) {
+            console.error('Cleanup error:', cleanupError);
+        }
+    });
+    
+    try {
+        const clientInfo = extractClientInfo(req);
+        
+        if (!req.files || req.files.length === 0) {
+            removeUploads();
+            // Log failed compression attempt
+            await logUserActivity({
+                action: 'compress_pdf_failed',
+                reason: 'no_files',
+                ...clientInfo
+            });
+            return res.status(400).json({ error: "No files uploaded." });
+        }
+        
+        // Only PDF content is accepted, whatever the file names say
+        const contentError = await checkUploadedContent(req, req.files, ['pdf']);
+        if (contentError) {
+            removeUploads();
+            // Log failed compression attempt
+            await logUserActivity({
+                action: 'compress_pdf_failed',
+                reason: 'unsupported_content',
+                error: contentError,
+                ...clientInfo
+            });
+            return res.status(415).json({ error: contentError });
+        }
+        const pdfFiles = req.files;
+        
+        let preset;
+        try {
+            preset = getCompressionPreset(req.body.preset);
+        } catch (presetError) {
+            removeUploads();
+            // Log failed compression attempt
+            await logUserActivity({
+                action: 'compress_pdf_failed',
+                reason: 'invalid_preset',
+                error: presetError.message,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: presetError.message });
+        }
+        
+        // Log compression activity
+        try {
+            await logUserActivity({
+                action: 'pdf_compress',
+                fileCount: pdfFiles.length,
+                fileSize: pdfFiles.reduce((sum, file) => sum + file.size, 0),
+                preset: preset.name,
+                ...clientInfo
+            });
+        } catch (trackError) {
+            console.error('Error tracking compression (non-critical):', trackError);
+        }
+        
+        const outputs = [];
+        const errors = [];
+        let originalSize = 0;
+        let compressedSize = 0;
+        
+        for (const file of pdfFiles) {
+            try {
+                const result = await compressPdf(fs.readFileSync(file.path), preset.name);
+                outputs.push({
+                    name: `${path.parse(file.originalname).name}_compressed.pdf`,
+                    buffer: Buffer.from(result.pdfBytes),
+                    mimetype: 'application/pdf'
+                });
+                originalSize += result.originalSize;
+                compressedSize += result.compressedSize;
+                console.log(`Compressed ${file.originalname} (${preset.name}): ${result.originalSize} -> ${result.compressedSize} bytes, ${result.imagesRecompressed} images recompressed`);
+            } catch (compressError) {
+                console.error(`Error compressing ${file.originalname}:`, compressError);
+                errors.push({ file: file.originalname, message: compressError.message });
+            }
+        }
+        
+        if (outputs.length === 0) {
+            const failure = new Error(errors.map(e => `${e.file}: ${e.message}`).join('; '));
+            failure.statusCode = 422;
+            throw failure;
+        }
+        
+        // Sizes of the PDFs that compressed successfully, summed over all files
+        res.setHeader('X-Original-Size', originalSize.toString());
+        res.setHeader('X-Compressed-Size', compressedSize.toString());
+        
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        await sendOutputFiles(res, outputs, errors, `compressed_pdfs_${timestamp}.zip`);
+        
+        // Clean up files
+        cleanupFiles.forEach(filePath => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+        });
+        
+        console.log(`PDF compression completed: ${pdfFiles.length} files, ${originalSize} -> ${compressedSize} bytes from ${clientInfo.ip}`);
+        
+    } catch (error) {
+        console.error("PDF compression error:", error);
+        
+        // Clean up on error
+        cleanupFiles.forEach(filePath => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+        });
+        
+        // Log compression error
+        try {
+            const clientInfo = extractClientInfo(req);
+            await logUserActivity({
+                action: 'compress_pdf_error',
+                error: error.message,
+                ...clientInfo
+            });
+        } catch (logError) {
+            console.error('Error logging compression error:', logError);
+        }
+        
+        res.status(error.statusCode || 500).json({ error: error.message || "PDF compression failed" });
+    }
+});
+
+// PDF password protection endpoint: encrypts with AES-256 and a user and/or owner password plus permissions
+app.post("/protect-pdf", upload.array("files"), async (req, res) => {
+    const cleanupFiles = (req.files || []).map(f => f.path);
+    const removeUploads = () => cleanupFiles.forEach(filePath => {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (cleanupError) {
+            console.error('Cleanup error:', cleanupError);
+        }
+    });
+    
+    try {
+        const clientInfo = extractClientInfo(req);
+        
+        if (!req.files || req.files.length === 0) {
+            removeUploads();
+            // Log failed protect attempt
+            await logUserActivity({
+                action: 'protect_pdf_failed',
+                reason: 'no_files',
+                ...clientInfo
+            });
+            return res.status(400).json({ error: "No files uploaded." });
+        }
+        
+        // Only PDF content is accepted, whatever the file names say
+        const contentError = await checkUploadedContent(req, req.files, ['pdf']);
+        if (contentError) {
+            removeUploads();
+            // Log failed protect attempt
+            await logUserActivity({
+                action: 'protect_pdf_failed',
+                reason: 'unsupported_content',
+                error: contentError,
+                ...clientInfo
+            });
+            return res.status(415).json({ error: contentError });
+        }
+        const pdfFiles = req.files;
+        
+        const userPassword = req.body.user_password || '';
+        const ownerPassword = req.body.owner_password || '';
+        if (!userPassword && !ownerPassword) {
+            removeUploads();
+            // Log failed protect attempt
+            await logUserActivity({
+                action: 'protect_pdf_failed',
+                reason: 'no_password',
+                ...clientInfo
+            });
+            return res.status(400).json({ error: "Please enter a user password, an owner password or both." });
+        }
+        
+        // Everything is allowed unless a permission is explicitly turned off
+        const permissions = {
+            print: req.body.allow_print !== 'false',
+            copy: req.body.allow_copy !== 'false',
+            modify: req.body.allow_modify !== 'false'
+        };
+        
+        // Log protect activity (never the passwords themselves)
+        try {
+            await logUserActivity({
+                action: 'pdf_protect',
+                fileCount: pdfFiles.length,
+                fileSize: pdfFiles.reduce((sum, file) => sum + file.size, 0),
+                hasUserPassword: Boolean(userPassword),
+                hasOwnerPassword: Boolean(ownerPassword),
+                permissions,
+                ...clientInfo
+            });
+        } catch (trackError) {
+            console.error('Error tracking PDF protection (non-critical):', trackError);
+        }
+        
+        const outputs = [];
+        const errors = [];
+        
+        for (const file of pdfFiles) {
+            try {
+                // PDFs that are already protected are re-encrypted with the new passwords
+                const pdfBytes = await decryptPdf(fs.readFileSync(file.path), req.body.password);
+                outputs.push({
+                    name: `${path.parse(file.originalname).name}_protected.pdf`,
+                    buffer: Buffer.from(await encryptPdf(pdfBytes, { userPassword, ownerPassword, permissions })),
+                    mimetype: 'application/pdf'
+                });
+                console.log(`Protected ${file.originalname}`);
+            } catch (protectError) {
+                console.error(`Error protecting ${file.originalname}:`, protectError);
+                errors.push({ file: file.originalname, message: protectError.message });
+            }
+        }
+        
+        if (outputs.length === 0) {
+            const failure = new Error(errors.map(e => `${e.file}: ${e.message}`).join('; '));
+            failure.statusCode = 422;
+            throw failure;
+        }
+        
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        await sendOutputFiles(res, outputs, errors, `protected_pdfs_${timestamp}.zip`);
+        
+        // Clean up files
+        cleanupFiles.forEach(filePath => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+        });
+        
+        console.log(`PDF protection completed: ${outputs.length}/${pdfFiles.length} files from ${clientInfo.ip}`);
+        
+    } catch (error) {
+        console.error("PDF protection error:", error);
+        
+        // Clean up on error
+        cleanupFiles.forEach(filePath => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+        });
+        
+        // Log protect error
+        try {
+            const clientInfo = extractClientInfo(req);
+            await logUserActivity({
+                action: 'protect_pdf_error',
+                error: error.message,
+                ...clientInfo
+            });
+        } catch (logError) {
+            console.error('Error logging PDF protection error:', logError);
+        }
+        
+        res.status(error.statusCode || 500).json({ error: error.message || "PDF protection failed" });
+    }
+});
+
+// PDF unlock endpoint: removes the password protection and permission restrictions
+app.post("/unlock-pdf", upload.array("files"), async (req, res) => {
+    const cleanupFiles = (req.files || []).map(f => f.path);
+    const removeUploads = () => cleanupFiles.forEach(filePath => {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (cleanupError) {
+            console.error('Cleanup error:', cleanupError);
+        }
+    });
+    
+    try {
+        const clientInfo = extractClientInfo(req);
+        
+        if (!req.files || req.files.length === 0) {
+            // Log failed unlock attempt
+            await logUserActivity({
+                action: 'unlock_pdf_failed',
+                reason: 'no_files',
+                ...clientInfo
+            });
+            return res.status(400).json({ error: "No files uploaded." });
+        }
+        
+        // Only PDF content is accepted, whatever the file names say
+        const contentError = await checkUploadedContent(req, req.files, ['pdf']);
+        if (contentError) {
+            removeUploads();
+            // Log failed unlock attempt
+            await logUserActivity({
+                action: 'unlock_pdf_failed',
+                reason: 'unsupported_content',
+                error: contentError,
+                ...clientInfo
+            });
+            return res.status(415).json({ error: contentError });
+        }
+        const pdfFiles = req.files;
+        
+        // Log unlock activity
+        try {
+            await logUserActivity({
+                action: 'pdf_unlock',
+                fileCount: pdfFiles.length,
+                fileSize: pdfFiles.reduce((sum, file) => sum + file.size, 0),
+                ...clientInfo
+            });
+        } catch (trackError) {
+            console.error('Error tracking PDF unlock (non-critical):', trackError);
+        }
+        
+        const outputs = [];
+        const errors = [];
+        
+        for (const file of pdfFiles) {
+            try {
+                outputs.push({
+                    name: `${path.parse(file.originalname).name}_unlocked.pdf`,
+                    buffer: await decryptPdf(fs.readFileSync(file.path), req.body.password),
+                    mimetype: 'application/pdf'
+                });
+                console.log(`Unlocked ${file.originalname}`);
+            } catch (unlockError) {
+                console.error(`Error unlocking ${file.originalname}:`, unlockError);
+                errors.push({ file: file.originalname, message: unlockError.message });
+            }
+        }
+        
+        if (outputs.length === 0) {
+            const failure = new Error(errors.map(e => `${e.file}: ${e.message}`).join('; '));
+            failure.statusCode = 422;
+            throw failure;
+        }
+        
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        await sendOutputFiles(res, outputs, errors, `unlocked_pdfs_${timestamp}.zip`);
+        
+        // Clean up files
+        cleanupFiles.forEach(filePath => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+        });
+        
+        console.log(`PDF unlock completed: ${outputs.length}/${pdfFiles.length} files from ${clientInfo.ip}`);
+        
+    } catch (error) {
+        console.error("PDF unlock error:", error);
+        
+        // Clean up on error
+        cleanupFiles.forEach(filePath => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+        });
+        
+        // Log unlock error
+        try {
+            const clientInfo = extractClientInfo(req);
+            await logUserActivity({
+                action: 'unlock_pdf_error',
+                error: error.message,
+                ...clientInfo
+            });
+        } catch (logError) {
+            console.error('Error logging PDF unlock error:', logError);
+        }
+        
+        res.status(error.statusCode || 500).json({ error: error.message || "PDF unlock failed" });
+    }
+});
+
+// Helper function to encode a watermarked image, keeping its format where Sharp can write it (PNG otherwise)
+async function encodeWatermarkedImage(sharpInstance, inputFormat) {
+    switch (inputFormat) {
+        case 'jpg':
+            return { buffer: await sharpInstance.jpeg({ quality: 90 }).toBuffer(), extension: 'jpg', mimetype: 'image/jpeg' };
+        case 'webp':
+            return { buffer: await sharpInstance.webp({ quality: 90 }).toBuffer(), extension: 'webp', mimetype: 'image/webp' };
+        case 'avif':
+            return { buffer: await sharpInstance.avif({ quality: 90 }).toBuffer(), extension: 'avif', mimetype: 'image/avif' };
+        case 'tiff':
+            return { buffer: await sharpInstance.tiff().toBuffer(), extension: 'tiff', mimetype: 'image/tiff' };
+        case 'bmp': {
+            const { data, info } = await sharpInstance.toColourspace('srgb').raw().toBuffer({ resolveWithObject: true });
+            return { buffer: encodeBmp(data, info), extension: 'bmp', mimetype: 'image/bmp' };
+        }
+        default:
+            return { buffer: await sharpInstance.png().toBuffer(), extension: 'png', mimetype: 'image/png' };
+    }
+}
+
+// Watermark endpoint: stamps text or an image onto PDFs and images
+app.post("/watermark", uploadWithWatermark, async (req, res) => {
+    const cleanupFiles = (req.files || []).map(f => f.path);
+    if (req.watermarkImage) cleanupFiles.push(req.watermarkImage.path);
+    const removeUploads = () => cleanupFiles.forEach(filePath => {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (cleanupError) {
+            console.error('Cleanup error:', cleanupError);
+        }
+    });
+    
+    try {
+        const clientInfo = extractClientInfo(req);
+        
+        if (!req.files || req.files.length === 0) {
+            removeUploads();
+            // Log failed watermark attempt
+            await logUserActivity({
+                action: 'watermark_failed',
+                reason: 'no_files',
+                ...clientInfo
+            });
+            return res.status(400).json({ error: "No files uploaded." });
+        }
+        
+        let watermark;
+        try {
+            watermark = parseWatermarkOptions(req.body, req.watermarkImage);
+        } catch (watermarkError) {
+            removeUploads();
+            // Log failed watermark attempt
+            await logUserActivity({
+                action: 'watermark_failed',
+                reason: 'invalid_watermark',
+                error: watermarkError.message,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: watermarkError.message });
+        }
+        
+        if (!watermark) {
+            removeUploads();
+            // Log failed watermark attempt
+            await logUserActivity({
+                action: 'watermark_failed',
+                reason: 'no_watermark',
+                ...clientInfo
+            });
+            return res.status(400).json({ error: "Please enter watermark text or choose a watermark image." });
+        }
+        
+        const contentError = await checkUploadedContent(req, req.files, documentInputFormats) ||
+            (req.watermarkImage && await checkUploadedContent(req, [req.watermarkImage], watermarkImageFormats));
+        if (contentError) {
+            removeUploads();
+            // Log failed watermark attempt
+            await logUserActivity({
+                action: 'watermark_failed',
+                reason: 'unsupported_content',
+                error: contentError,
+                ...clientInfo
+            });
+            return res.status(415).json({ error: contentError });
+        }
+        
+        // Log watermark activity
+        try {
+            await logUserActivity({
+                action: 'file_watermark',
+                fileCount: req.files.length,
+                fileSize: req.files.reduce((sum, file) => sum + file.size, 0),
+                fileTypes: req.files.map(f => f.mimetype).filter((v, i, arr) => arr.indexOf(v) === i),
+                watermarkType: watermark.text ? 'text' : 'image',
+                tiled: watermark.tile,
+                ...clientInfo
+            });
+        } catch (trackError) {
+            console.error('Error tracking watermark (non-critical):', trackError);
+        }
+        
+        const prepared = await prepareWatermark(watermark);
+        const pdfFiles = filterPdfFiles(req.files);
+        const outputs = [];
+        const errors = [];
+        
+        for (const file of req.files) {
+            const baseName = path.parse(file.originalname).name;
+            try {
+                if (pdfFiles.includes(file)) {
+                    const original = fs.readFileSync(file.path);
+                    const pdfDoc = await loadPdfDocument(original, req.body.password);
+                    await watermarkPdf(pdfDoc, prepared);
+                    // Protected PDFs stay protected, with the same passwords and permissions
+                    outputs.push({
+                        name: `${baseName}_watermarked.pdf`,
+                        buffer: await reprotectPdf(Buffer.from(await pdfDoc.save()), original, req.body.password),
+                        mimetype: 'application/pdf'
+                    });
+                } else {
+                    const inputFormat = detectUploadFormat(file);
+                    const sharpInstance = (await loadImageInput(file.path, inputFormat)).rotate();
+                    const image = await encodeWatermarkedImage(await watermarkImage(sharpInstance, prepared), inputFormat);
+                    outputs.push({
+                        name: `${baseName}_watermarked.${image.extension}`,
+                        buffer: image.buffer,
+                        mimetype: image.mimetype
+                    });
+                }
+                console.log(`Watermarked ${file.originalname}`);
+            } catch (watermarkError) {
+                console.error(`Error watermarking ${file.originalname}:`, watermarkError);
+                errors.push({ file: file.originalname, message: watermarkError.message });
+            }
+        }
+        
+        if (outputs.length === 0) {
+            const failure = new Error(errors.map(e => `${e.file}: ${e.message}`).join('; '));
+            failure.statusCode = 422;
+            throw failure;
+        }
+        
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        await sendOutputFiles(res, outputs, errors, `watermarked_files_${timestamp}.zip`);
+        
+        // Clean up files
+        cleanupFiles.forEach(filePath => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+        });
+        
+        console.log(`Watermark completed: ${outputs.length}/${req.files.length} files from ${clientInfo.ip}`);
+        
+    } catch (error) {
+        console.error("Watermark error:", error);
+        
+        // Clean up on error
+        cleanupFiles.forEach(filePath => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+        });
+        
+        // Log watermark error
+        try {
+            const clientInfo = extractClientInfo(req);
+            await logUserActivity({
+                action: 'watermark_error',
+                error: error.message,
+                ...clientInfo
+            });
+        } catch (logError) {
+            console.error('Error logging watermark error:', logError);
+        }
+        
+        res.status(error.statusCode || 500).json({ error: error.message || "Watermark failed" });
+    }
+});
+
+// Image inspection endpoint: real format (by content), size, colour, ICC profile, EXIF, animation and HEIF
+// container details of each uploaded file as JSON
+app.post("/api/inspect", upload.array("files"), async (req, res) => {
+    const cleanupFiles = (req.files || []).map(f => f.path);
+    
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: "No files uploaded." });
+        }
+        
+        const files = [];
+        for (const file of req.files) {
+            try {
+                const info = await inspectImage(file.path, file.originalname);
+                files.push({ name: file.originalname, size: file.size, ...info });
+            } catch (inspectError) {
+                console.error(`Error inspecting ${file.originalname}:`, inspectError);
+                files.push({ name: file.originalname, size: file.size, error: inspectError.message });
+            }
+        }
+        
+        if (files.every(file => file.error)) {
+            return res.status(422).json({ error: files.map(file => `${file.name}: ${file.error}`).join('; '), files });
+        }
+        res.json({ files });
+    } catch (error) {
+        console.error("Image inspect error:", error);
+        res.status(500).json({ error: error.message || "Could not inspect the files" });
+    } finally {
+        cleanupFiles.forEach(filePath => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+        });
+    }
+});
+
+// PDF metadata inspection endpoint: page sizes, encryption, fonts and document properties as JSON
+app.post("/pdf-metadata/inspect", upload.array("files"), async (req, res) => {
+    const cleanupFiles = (req.files || []).map(f => f.path);
+    
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: "Please upload a PDF file." });
+        }
+        const contentError = await checkUploadedContent(req, req.files, ['pdf']);
+        if (contentError) {
+            return res.status(415).json({ error: contentError });
+        }
+        const pdfFiles = req.files;
+        
+        const files = [];
+        for (const file of pdfFiles) {
+            try {
+                const info = await inspectPdf(fs.readFileSync(file.path), req.body.password);
+                files.push({ name: file.originalname, size: file.size, ...info });
+            } catch (inspectError) {
+                console.error(`Error inspecting ${file.originalname}:`, inspectError);
+                files.push({ name: file.originalname, size: file.size, encryption: inspectError.encryption, error: inspectError.message });
+            }
+        }
+        
+        if (files.every(file => file.error)) {
+            return res.status(422).json({ error: files.map(file => `${file.name}: ${file.error}`).join('; '), files });
+        }
+        res.json({ files });
+    } catch (error) {
+        console.error("PDF inspect error:", error);
+        res.status(500).json({ error: error.message || "Could not read PDF" });
+    } finally {
+        cleanupFiles.forEach(filePath => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+        });
+    }
+});
+
+// PDF metadata editing endpoint
+app.post("/pdf-metadata", upload.array("files"), async (req, res) => {
+    const cleanupFiles = (req.files || []).map(f => f.path);
+    const removeUploads = () => cleanupFiles.forEach(filePath => {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (cleanupError) {
+            console.error('Cleanup error:', cleanupError);
+        }
+    });
+    
+    try {
+        const clientInfo = extractClientInfo(req);
+        
+        if (!req.files || req.files.length === 0) {
+            removeUploads();
+            // Log failed metadata edit attempt
+            await logUserActivity({
+                action: 'pdf_metadata_failed',
+                reason: 'no_files',
+                ...clientInfo
+            });
+            return res.status(400).json({ error: "No files uploaded." });
+        }
+        
+        // Only PDF content is accepted, whatever the file names say
+        const contentError = await checkUploadedContent(req, req.files, ['pdf']);
+        if (contentError) {
+            removeUploads();
+            // Log failed metadata edit attempt
+            await logUserActivity({
+                action: 'pdf_metadata_failed',
+                reason: 'unsupported_content',
+                error: contentError,
+                ...clientInfo
+            });
+            return res.status(415).json({ error: contentError });
+        }
+        const pdfFiles = req.files;
+        
+        let changes;
+        try {
+            changes = parseMetadataFields(req.body);
+        } catch (metadataError) {
+            removeUploads();
+            // Log failed metadata edit attempt
+            await logUserActivity({
+                action: 'pdf_metadata_failed',
+                reason: 'invalid_metadata',
+                error: metadataError.message,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: metadataError.message });
+        }
+        
+        if (Object.keys(changes).length === 0) {
+            removeUploads();
+            // Log failed metadata edit attempt
+            await logUserActivity({
+                action: 'pdf_metadata_failed',
+                reason: 'no_metadata',
+                ...clientInfo
+            });
+            return res.status(400).json({ error: "No metadata fields given. Send title, author, subject, keywords, creator, producer, creation_date or modification_date." });
+        }
+        
+        // Log metadata edit activity
+        try {
+            await logUserActivity({
+                action: 'pdf_metadata_edit',
+                fileCount: pdfFiles.length,
+                fileSize: pdfFiles.reduce((sum, file) => sum + file.size, 0),
+                fields: Object.keys(changes),
+                ...clientInfo
+            });
+        } catch (trackError) {
+            console.error('Error tracking PDF metadata edit (non-critical):', trackError);
+        }
+        
+        const outputs = [];
+        const errors = [];
+        
+        for (const file of pdfFiles) {
+            try {
+                const original = fs.readFileSync(file.path);
+                const pdfDoc = await loadPdfDocument(original, req.body.password, { updateMetadata: false });
+                applyMetadata(pdfDoc, changes, { touch: true });
+                // Protected PDFs stay protected, with the same passwords and permissions
+                const pdfBytes = Buffer.from(await pdfDoc.save({ addDefaultPage: false }));
+                outputs.push({
+                    name: `${path.parse(file.originalname).name}_edited.pdf`,
+                    buffer: await reprotectPdf(pdfBytes, original, req.body.password),
+                    mimetype: 'application/pdf'
+                });
+                console.log(`Updated metadata of ${file.originalname}`);
+            } catch (metadataError) {
+                console.error(`Error updating metadata of ${file.originalname}:`, metadataError);
+                errors.push({ file: file.originalname, message: metadataError.message });
+            }
+        }
+        
+        if (outputs.length === 0) {
+            const failure = new Error(errors.map(e => `${e.file}: ${e.message}`).join('; '));
+            failure.statusCode = 422;
+            throw failure;
+        }
+        
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        await sendOutputFiles(res, outputs, errors, `edited_pdfs_${timestamp}.zip`);
+        
+        // Clean up files
+        cleanupFiles.forEach(filePath => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+        });
+        
+        console.log(`PDF metadata edit completed: ${outputs.length}/${pdfFiles.length} files from ${clientInfo.ip}`);
+        
+    } catch (error) {
+        console.error("PDF metadata edit error:", error);
+        
+        // Clean up on error
+        cleanupFiles.forEach(filePath => {
+            try {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (cleanupError) {
+                console.error('Cleanup error:', cleanupError);
+            }
+        });
+        
+        // Log metadata edit error
+        try {
+            const clientInfo = extractClientInfo(req);
+            await logUserActivity({
+                action: 'pdf_metadata_error',
+                error: error.message,
+                ...clientInfo
+            });
+        } catch (logError) {
+            console.error('Error logging PDF metadata edit error:', logError);
+        }
+        
+        res.status(error.statusCode || 500).json({ error: error.message || "PDF metadata edit failed" });
+    }
+});
+
+// ---------- Asynchronous jobs ----------
+// Long batches are queued with POST /api/jobs and processed by the job worker, so no single request has
+// to outlive the serverless time limit. Clients poll GET /api/jobs/:id and download GET /api/jobs/:id/result.
+
+const jobStore = createJobStore();
+
+// Work budget for a worker step run inside a status request on Vercel (maxDuration is 30s)
+const SERVERLESS_JOB_BUDGET_MS = 20 * 1000;
+
+// Job types, reusing the same conversion helpers as the synchronous routes; inputFormats lists the upload
+// formats (by content) each type accepts
+const jobHandlers = {
+    convert: {
+        trackAs: 'conversion',
+        zipName: 'converted_files',
+        inputFormats: imageInputFormats,
+        validate(body, files) {
+            const format = body.output_format?.toLowerCase();
+            if (!format || !supportedFormats.includes(format)) {
+                return `Invalid format. Supported: ${supportedFormats.join(", ")}`;
+            }
+            try {
+                parseWatermarkOptions(body);
+                parseTransformOptions(body);
+                parseTargetSize(body, format, parseEncoderOptions(body, format));
+                parseMetadataPolicy(body);
+                return null;
+            } catch (optionError) {
+                return optionError.message;
+            }
+        },
+        // Formats this server can't write (HEIC and HEIF without an HEVC encoder)
+        checkAvailable(body) {
+            return getUnavailableFormatError(body.output_format.toLowerCase());
+        },
+        async processFile(job, file) {
+            const format = job.options.output_format.toLowerCase();
+            const inputFormat = detectUploadFormat(file);
+            const outputPath = path.join('/tmp', `job_${job.id}_converted_${Date.now()}.${format}`);
+            const watermark = parseWatermarkOptions(job.options);
+            const encoder = parseEncoderOptions(job.options, format);
+            const convertOptions = {
+                ...getConvertOptions(job.options),
+                transform: parseTransformOptions(job.options),
+                encoder,
+                targetSize: parseTargetSize(job.options, format, encoder),
+                imageMetadata: parseMetadataPolicy(job.options),
+                watermark: watermark ? await prepareWatermark(watermark) : null
+            };
+            if (convertOptions.extractFrames) {
+                return {
+                    buffer: await createZipBuffer(await convertFrames(file, inputFormat, format, convertOptions)),
+                    name: `${path.parse(file.originalname).name}_frames.zip`,
+                    mimetype: 'application/zip'
+                };
+            }
+            try {
+                await convertSingleFile(file, inputFormat, format, outputPath, convertOptions);
+                return {
+                    buffer: fs.readFileSync(outputPath),
+                    name: `${path.parse(file.originalname).name}.${format}`,
+                    mimetype: outputMimetypes[format] || `image/${format}`
+                };
+            } finally {
+                if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+            }
+        }
+    },
+    combine: {
+        trackAs: 'combine',
+        inputFormats: documentInputFormats,
+        validate(body) {
+            try {
+                parseLayoutOptions(body);
+                if (body.compress) getCompressionPreset(body.compress);
+                parseHeaderFooterOptions(body);
+                parseWatermarkOptions(body);
+                parseMetadataFields(body);
+                parseMetadataPolicy(body);
+                parseFrameSelection(body.frames);
+                return null;
+            } catch (optionError) {
+                return optionError.message;
+            }
+        },
+        async processAll(job, files) {
+            const watermark = parseWatermarkOptions(job.options);
+            const { pdfBytes, manifest } = await combineFilesToPdf(files, {
+                layout: parseLayoutOptions(job.options),
+                strict: job.options.strict === 'true',
+                compression: job.options.compress || null,
+                password: job.secrets?.password,
+                bookmarks: job.options.bookmarks !== 'false',
+                toc: job.options.toc === 'true',
+                headerFooter: parseHeaderFooterOptions(job.options),
+                watermark: watermark ? await prepareWatermark(watermark) : null,
+                metadata: parseMetadataFields(job.options),
+                imageMetadata: parseMetadataPolicy(job.options),
+                frames: parseFrameSelection(job.options.frames)
+            });
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+            return {
+                buffer: Buffer.from(pdfBytes),
+                name: `combined_${timestamp}.pdf`,
+                mimetype: 'application/pdf',
+                fileErrors: manifest.filter(entry => entry.status === 'failed')
+            };
+        }
+    },
+    'pdf-to-word': {
+        trackAs: 'pdfToWord',
+        zipName: 'converted_pdfs',
+        inputFormats: ['pdf'],
+        validate(body) {
+            const format = (body.output_format || 'docx').toLowerCase();
+            if (!documentFormats[format]) {
+                return `Invalid format. Supported: ${Object.keys(documentFormats).join(", ")}`;
+            }
+            return null;
+        },
+        async processFile(job, file) {
+            const outputFormat = documentFormats[(job.options.output_format || 'docx').toLowerCase()];
+            return {
+                buffer: Buffer.from(await convertPdfToDocument(file, outputFormat, job.secrets?.password)),
+                name: `${path.parse(file.originalname).name}.${outputFormat.extension}`,
+                mimetype: outputFormat.mimetype
+            };
+        }
+    }
+};
+
+const jobWorker = createJobWorker(jobStore, jobHandlers);
+
+// Public view of a job record
+function formatJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        files: job.files.map(file => ({ name: file.name, size: file.size, status: file.status, error: file.error || null })),
+        error: job.error || null,
+        result: job.result || null,
+        createdAt: job.createdAt,
+        expiresAt: job.expiresAt,
+        statusUrl: `/api/jobs/${job.id}`,
+        resultUrl: job.status === 'completed' ? `/api/jobs/${job.id}/result` : null
+    };
+}
+
+// Create a job
+app.post("/api/jobs", upload.array("files"), async (req, res) => {
+    const cleanupFiles = (req.files || []).map(f => f.path);
+    const removeUploads = () => cleanupFiles.forEach(filePath => {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (cleanupError) {
+            console.error('Cleanup error:', cleanupError);
+        }
+    });
+    
+    try {
+        const clientInfo = extractClientInfo(req);
+        const type = req.body.type;
+        const handler = jobHandlers[type];
+        
+        if (!handler) {
+            removeUploads();
+            await logUserActivity({
+                action: 'job_failed',
+                reason: 'invalid_type',
+                requestedType: type,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: `Invalid job type. Supported: ${Object.keys(jobHandlers).join(", ")}` });
+        }
+        
+        if (!req.files || req.files.length === 0) {
+            await logUserActivity({
+                action: 'job_failed',
+                reason: 'no_files',
+                jobType: type,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: "No files uploaded." });
+        }
+        
+        const validationError = handler.validate(req.body, req.files);
+        if (validationError) {
+            removeUploads();
+            await logUserActivity({
+                action: 'job_failed',
+                reason: 'invalid_options',
+                jobType: type,
+                error: validationError,
+                ...clientInfo
+            });
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const unavailableError = handler.checkAvailable ? await handler.checkAvailable(req.body) : null;
+        if (unavailableError) {
+            removeUploads();
+            await logUserActivity({
+                action: 'job_failed',
+                reason: 'format_unavailable',
+                jobType: type,
+                error: unavailableError,
+                ...clientInfo
+            });
+            return res.status(422).json({ error: unavailableError });
+        }
+        
+        const contentError = await checkUploadedContent(req, req.files, handler.inputFormats);
+        if (contentError) {
+            removeUploads();
+            await logUserActivity({
+                action: 'job_failed',
+                reason: 'unsupported_content',
+                jobType: type,
+                error: contentError,
+                ...clientInfo
+            });
+            return res.status(415).json({ error: contentError });
+        }
+        
+        // Copy uploads into the job store; /tmp isn't shared between serverless instances
+        const id = crypto.randomUUID();
+        const files = [];
+        for (let i = 0; i < req.files.length; i++) {
+            const file = req.files[i];
+            await jobStore.putBlob(id, `input/${i}`, fs.readFileSync(file.path));
+            files.push({ index: i, name: file.originalname, size: file.size, mimetype: file.mimetype, status: 'pending' });
+        }
+        removeUploads();
+        
+        // Passwords go to `secrets`, which is encrypted when stored and dropped once the job has finished
+        const { options, secrets } = splitJobSecrets(req.body);
+        delete options.type;
+        const job = await jobStore.create({
+            id,
+            type,
+            status: 'queued',
+            options,
+            secrets,
+            files,
+            progress: progressOf(files),
+            error: null,
+            result: null
+        });
+        
+        // Track job with MongoDB
+        try {
+            await trackEvent(handler.trackAs);
+            
+            const totalFileSize = req.files.reduce((sum, file) => sum + file.size, 0);
+            await logUserActivity({
+                action: 'job_created',
+                jobId: id,
+                jobType: type,
+                outputFormat: req.body.output_format,
+                fileCount: req.files.length,
+                fileSize: totalFileSize,
+                ...clientInfo
+            });
+        } catch (trackError) {
+            console.error('Error tracking job (non-critical):', trackError);
+        }
+        
+        // Long-running servers work through the queue in the background; on Vercel the work happens during status polls
+        if (!process.env.VERCEL) {
+            jobWorker.start();
+            jobWorker.tick();
+        }
+        
+        console.log(`Job ${id} queued: ${type}, ${req.files.length} file(s) from ${clientInfo.ip}`);
+        res.status(202).json(formatJob(job));
+        
+    } catch (error) {
+        console.error("Job creation error:", error);
+        removeUploads();
+        
+        try {
+            const clientInfo = extractClientInfo(req);
+            await logUserActivity({
+                action: 'job_error',
+                error: error.message,
+                ...clientInfo
+            });
+        } catch (logError) {
+            console.error('Error logging job error:', logError);
+        }
+        
+        res.status(500).json({ error: error.message || "Job creation failed" });
+    }
+});
+
+// Job status
+app.get("/api/jobs/:id", async (req, res) => {
+    try {
+        let job = await jobStore.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: "Job not found or expired." });
+        }
+        
+        // Serverless functions don't run in the background, so advance the job here
+        if (process.env.VERCEL && ['queued', 'running'].includes(job.status)) {
+            job = (await jobWorker.tick({ jobId: job.id, budgetMs: SERVERLESS_JOB_BUDGET_MS })) || job;
+        }
+        
+        res.json(formatJob(job));
+    } catch (error) {
+        console.error("Job status error:", error);
+        res.status(500).json({ error: error.message || "Could not read job status" });
+    }
+});
+
+// Job result download
+app.get("/api/jobs/:id/result", async (req, res) => {
+    try {
+        const job = await jobStore.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: "Job not found or expired." });
+        }
+        if (job.status !== 'completed') {
+            return res.status(409).json({ error: `Job is ${job.status}; the result is not available.`, status: job.status });
+        }
+        
+        const buffer = await jobStore.getBlob(job.id, 'result');
+        if (!buffer) {
+            return res.status(404).json({ error: "Job result has expired." });
+        }
+        
+        res.setHeader('Content-Disposition', `attachment; filename="${job.result.name}"`);
+        res.setHeader('Content-Type', job.result.mimetype);
+        res.send(buffer);
+    } catch (error) {
+        console.error("Job result error:", error);
+        res.status(500).json({ error: error.message || "Could not download job result" });
+    }
+});
+
+// Serve static files (CSS, JS, images)
+app.use(express.static(path.join(__dirname, "..", "public")));
+
+// Main HTML for root
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
+});
+
+// HTML page routes
+app.get('/convert', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'public', 'convert.html'));
+});
+
+app.get('/combine', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'public', 'combine.html'));
+});
+
+app.get('/pdf-to-word', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'public', 'pdf-to-word.html'));
+});
+
+app.get('/pdf-to-images', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'public', 'pdf-to-images.html'));
+});
+
+app.get('/pdf-pages', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'public', 'pdf-pages.html'));
+});
+
+app.get('/split', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'public', 'split.html'));
+});
+
+app.get('/compress-pdf', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/compress-pdf.html'));
+});
+
+app.get('/protect-pdf', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/protect-pdf.html'));
+});
+
+app.get('/unlock-pdf', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/unlock-pdf.html'));
+});
+
+app.get('/watermark', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/watermark.html'));
+});
+
+app.get('/pdf-metadata', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/pdf-metadata.html'));
 });
-*/
 
 // 404 handler
 app.use('*', (req, res) => {
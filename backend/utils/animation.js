@@ -0,0 +1,100 @@
+// Animated GIF and WebP support: frame counts, frame selection, and putting processed frames back together
+// as an animation. libvips holds an animation as one tall image of stacked frames plus the frame height,
+// delays and loop count, which sharp only sets when loading an animated file.
+const sharp = require('sharp');
+const { parsePageRange } = require('./pageRange');
+
+const animatedFormats = ['gif', 'webp'];
+const frameSelections = ['first', 'all'];
+const FRAME_NUMBER = /^([1-9]\d*|last)$/;
+
+/**
+ * Reads a frame selection field
+ * @param {string} value - first, all, or frame numbers such as "1-3,5" or "2-" (1-based; "last" is the last frame)
+ * @param {string} fallback - Selection when the field is empty
+ * @returns {string} first, all, or the frame numbers
+ * @throws {Error} When the value is none of these
+ */
+function parseFrameSelection(value, fallback = 'first') {
+    const selection = (value || '').toString().trim().toLowerCase() || fallback;
+    if (frameSelections.includes(selection)) return selection;
+
+    const valid = selection.split(',').map(part => part.trim()).every(part => {
+        const dash = part.indexOf('-');
+        if (dash === -1) return FRAME_NUMBER.test(part);
+        const start = part.slice(0, dash).trim();
+        const end = part.slice(dash + 1).trim();
+        return (start === '' || FRAME_NUMBER.test(start)) && (end === '' || FRAME_NUMBER.test(end)) && (start || end);
+    });
+    if (!valid) {
+        throw new Error(`Invalid frames "${value}". Use first, all, or frame numbers such as 1-3,5.`);
+    }
+    return selection;
+}
+
+/**
+ * Frames picked by a selection
+ * @param {string} selection - Result of parseFrameSelection
+ * @param {number} frameCount - Frames in the image
+ * @param {string} fileName - Image name, for the error message
+ * @returns {number[]} 0-based frame indices in the order given
+ * @throws {Error} When a frame number is past the last frame
+ */
+function selectFrames(selection, frameCount, fileName) {
+    if (selection === 'first') return [0];
+    try {
+        return parsePageRange(selection, frameCount).map(frame => frame - 1);
+    } catch (rangeError) {
+        throw new Error(`Frames "${selection}" don't fit ${fileName}, which has ${frameCount} frame${frameCount === 1 ? '' : 's'}.`);
+    }
+}
+
+/**
+ * Number of frames in an image; 1 for stills and formats that can't animate
+ * @param {string} filePath - Image file
+ * @param {string} inputFormat - Format detected from the content (see utils/fileType.js)
+ * @returns {Promise<number>}
+ */
+async function countFrames(filePath, inputFormat) {
+    if (!animatedFormats.includes(inputFormat)) return 1;
+    const { pages } = await sharp(filePath).metadata();
+    return pages || 1;
+}
+
+/**
+ * Opens one frame of an animated image, composed as it is shown (earlier frames included where they show through)
+ * @param {string} filePath - Image file
+ * @param {number} index - 0-based frame
+ * @returns {sharp.Sharp}
+ */
+function loadFrame(filePath, index) {
+    return sharp(filePath, { page: index });
+}
+
+/**
+ * Puts processed frames back together as an animation with the source's delays and loop count
+ * The source animation is resized to the new frame size, which gives an image with the right frame height and
+ * timing, and the processed frames then replace its pixels.
+ * @param {string} filePath - Source animation
+ * @param {Array<{data: Buffer, info: {width: number, height: number, channels: number}}>} frames - Raw RGBA
+ *   frames, all the same size, one per source frame
+ * @returns {sharp.Sharp} Animated image, ready for .gif() or .webp()
+ * @throws {Error} When the frames differ in size
+ */
+function assembleAnimation(filePath, frames) {
+    const { width, height } = frames[0].info;
+    if (frames.some(frame => frame.info.width !== width || frame.info.height !== height || frame.info.channels !== 4)) {
+        throw new Error('Animation frames came out in different sizes.');
+    }
+    return sharp(filePath, { animated: true })
+        .resize(width, height, { fit: 'fill' })
+        .composite([{
+            input: Buffer.concat(frames.map(frame => frame.data)),
+            raw: { width, height: height * frames.length, channels: 4 },
+            top: 0,
+            left: 0,
+            blend: 'source'
+        }]);
+}
+
+module.exports = { parseFrameSelection, selectFrames, countFrames, loadFrame, assembleAnimation, animatedFormats };
@@ -0,0 +1,307 @@
+// Windows bitmap (BMP) reader/writer.
+// Sharp/libvips can neither read nor write BMP, so conversions go through raw pixel buffers.
+
+const FILE_HEADER_SIZE = 14;
+const INFO_HEADER_SIZE = 40;   // BITMAPINFOHEADER
+const V5_HEADER_SIZE = 124;    // BITMAPV5HEADER
+const PIXELS_PER_METER = 2835; // 72 DPI
+
+const BI_RGB = 0;
+const BI_RLE8 = 1;
+const BI_RLE4 = 2;
+const BI_BITFIELDS = 3;
+const BI_ALPHABITFIELDS = 6;
+
+const LCS_SRGB = 0x73524742; // 'sRGB'
+const LCS_GM_IMAGES = 4;
+
+/**
+ * Encodes raw pixels into a BMP file
+ * @param {Buffer} data - Raw interleaved pixels, top-down (as produced by sharp's .raw())
+ * @param {Object} info - Pixel layout {width, height, channels}; channels may be 1-4
+ * @returns {Buffer} 24-bit BMP for opaque input, 32-bit BGRA with a V5 header when channels is 2 or 4
+ */
+function encodeBmp(data, info) {
+    const { width, height, channels } = info;
+    if (!width || !height || channels < 1 || channels > 4) {
+        throw new Error(`Cannot encode BMP from ${width}x${height} image with ${channels} channels`);
+    }
+    if (data.length < width * height * channels) {
+        throw new Error('Pixel buffer is smaller than the image dimensions');
+    }
+
+    const hasAlpha = channels === 2 || channels === 4;
+    const bytesPerPixel = hasAlpha ? 4 : 3;
+    const rowSize = Math.ceil((width * bytesPerPixel) / 4) * 4; // rows are padded to 4 bytes
+    const headerSize = hasAlpha ? V5_HEADER_SIZE : INFO_HEADER_SIZE;
+    const pixelOffset = FILE_HEADER_SIZE + headerSize;
+    const imageSize = rowSize * height;
+    const out = Buffer.alloc(pixelOffset + imageSize);
+
+    // BITMAPFILEHEADER
+    out.write('BM', 0, 'ascii');
+    out.writeUInt32LE(out.length, 2);
+    out.writeUInt32LE(pixelOffset, 10);
+
+    // BITMAPINFOHEADER fields (shared prefix of the V5 header)
+    out.writeUInt32LE(headerSize, 14);
+    out.writeInt32LE(width, 18);
+    out.writeInt32LE(height, 22); // positive height = bottom-up rows
+    out.writeUInt16LE(1, 26);
+    out.writeUInt16LE(bytesPerPixel * 8, 28);
+    out.writeUInt32LE(hasAlpha ? BI_BITFIELDS : BI_RGB, 30);
+    out.writeUInt32LE(imageSize, 34);
+    out.writeInt32LE(PIXELS_PER_METER, 38);
+    out.writeInt32LE(PIXELS_PER_METER, 42);
+
+    if (hasAlpha) {
+        // BITMAPV5HEADER extension: channel masks and colour space
+        out.writeUInt32LE(0x00FF0000, 54);
+        out.writeUInt32LE(0x0000FF00, 58);
+        out.writeUInt32LE(0x000000FF, 62);
+        out.writeUInt32LE(0xFF000000, 66);
+        out.writeUInt32LE(LCS_SRGB, 70);
+        out.writeUInt32LE(LCS_GM_IMAGES, 122);
+    }
+
+    for (let y = 0; y < height; y++) {
+        const srcRow = y * width * channels;
+        const dstRow = pixelOffset + (height - 1 - y) * rowSize;
+        for (let x = 0; x < width; x++) {
+            const src = srcRow + x * channels;
+            const dst = dstRow + x * bytesPerPixel;
+            let r, g, b, a = 255;
+            if (channels <= 2) {
+                r = g = b = data[src];
+                if (channels === 2) a = data[src + 1];
+            } else {
+                r = data[src];
+                g = data[src + 1];
+                b = data[src + 2];
+                if (channels === 4) a = data[src + 3];
+            }
+            out[dst] = b;
+            out[dst + 1] = g;
+            out[dst + 2] = r;
+            if (hasAlpha) out[dst + 3] = a;
+        }
+    }
+
+    return out;
+}
+
+// Returns shift and bit width of a channel mask so values can be scaled to 8 bits
+function describeMask(mask) {
+    if (!mask) return null;
+    let shift = 0;
+    while (((mask >>> shift) & 1) === 0) shift++;
+    let bits = 0;
+    while (((mask >>> (shift + bits)) & 1) === 1) bits++;
+    return { mask, shift, max: Math.pow(2, bits) - 1 };
+}
+
+function readMasked(value, desc) {
+    if (!desc) return 0;
+    return Math.round((((value & desc.mask) >>> desc.shift) / desc.max) * 255);
+}
+
+// Expands RLE8/RLE4 compressed data into one palette index per pixel, bottom-up
+function decodeRle(buffer, offset, width, height, bitCount) {
+    const indices = new Uint8Array(width * height);
+    let x = 0;
+    let y = 0;
+    let pos = offset;
+
+    const put = (value) => {
+        if (x < width && y < height) indices[y * width + x] = value;
+        x++;
+    };
+
+    while (pos + 1 < buffer.length && y < height) {
+        const count = buffer[pos++];
+        const value = buffer[pos++];
+
+        if (count > 0) {
+            // Encoded run
+            for (let i = 0; i < count; i++) {
+                put(bitCount === 8 ? value : (i % 2 === 0 ? value >> 4 : value & 0x0F));
+            }
+        } else if (value === 0) {
+            // End of line
+            x = 0;
+            y++;
+        } else if (value === 1) {
+            // End of bitmap
+            break;
+        } else if (value === 2) {
+            // Delta
+            x += buffer[pos++];
+            y += buffer[pos++];
+        } else {
+            // Absolute run of `value` pixels, padded to a 16-bit boundary
+            const byteCount = bitCount === 8 ? value : Math.ceil(value / 2);
+            for (let i = 0; i < value; i++) {
+                if (bitCount === 8) {
+                    put(buffer[pos + i]);
+                } else {
+                    const byte = buffer[pos + (i >> 1)];
+                    put(i % 2 === 0 ? byte >> 4 : byte & 0x0F);
+                }
+            }
+            pos += byteCount + (byteCount % 2);
+        }
+    }
+
+    return indices;
+}
+
+/**
+ * Decodes a BMP file into raw RGBA pixels
+ * Supports 1/4/8-bit palettes, RLE4/RLE8, 16/24/32-bit RGB and bitfields, top-down and bottom-up rows
+ * @param {Buffer} buffer - BMP file contents
+ * @returns {{data: Buffer, info: {width: number, height: number, channels: number}}}
+ */
+function decodeBmp(buffer) {
+    if (buffer.length < FILE_HEADER_SIZE + 12 || buffer.toString('ascii', 0, 2) !== 'BM') {
+        throw new Error('Not a valid BMP file');
+    }
+
+    const pixelOffset = buffer.readUInt32LE(10);
+    const headerSize = buffer.readUInt32LE(14);
+    let width, rawHeight, bitCount, compression = BI_RGB, colorsUsed = 0;
+    let paletteEntrySize = 4;
+
+    if (headerSize === 12) {
+        // OS/2 BITMAPCOREHEADER
+        width = buffer.readUInt16LE(18);
+        rawHeight = buffer.readInt16LE(20);
+        bitCount = buffer.readUInt16LE(24);
+        paletteEntrySize = 3;
+    } else if (headerSize >= INFO_HEADER_SIZE) {
+        width = buffer.readInt32LE(18);
+        rawHeight = buffer.readInt32LE(22);
+        bitCount = buffer.readUInt16LE(28);
+        compression = buffer.readUInt32LE(30);
+        colorsUsed = buffer.readUInt32LE(46);
+    } else {
+        throw new Error(`Unsupported BMP header size: ${headerSize}`);
+    }
+
+    const topDown = rawHeight < 0;
+    const height = Math.abs(rawHeight);
+    if (width <= 0 || height === 0) {
+        throw new Error('BMP has invalid dimensions');
+    }
+
+    // Channel masks: from the V2+ header, from trailing masks after an INFO header, or defaults
+    let masks = null;
+    if (compression === BI_BITFIELDS || compression === BI_ALPHABITFIELDS) {
+        const maskOffset = FILE_HEADER_SIZE + (headerSize >= 52 ? 40 : headerSize);
+        masks = {
+            r: buffer.readUInt32LE(maskOffset),
+            g: buffer.readUInt32LE(maskOffset + 4),
+            b: buffer.readUInt32LE(maskOffset + 8),
+            a: (headerSize >= 56 || compression === BI_ALPHABITFIELDS) ? buffer.readUInt32LE(maskOffset + 12) : 0
+        };
+    } else if (bitCount === 16) {
+        masks = { r: 0x7C00, g: 0x03E0, b: 0x001F, a: 0 };
+    } else if (bitCount === 32 && headerSize >= 56) {
+        const alphaMask = buffer.readUInt32LE(FILE_HEADER_SIZE + 52);
+        masks = { r: 0x00FF0000, g: 0x0000FF00, b: 0x000000FF, a: alphaMask };
+    }
+
+    // Palette
+    let palette = null;
+    if (bitCount <= 8) {
+        const count = colorsUsed || (1 << bitCount);
+        const paletteOffset = FILE_HEADER_SIZE + headerSize + (compression === BI_BITFIELDS && headerSize === INFO_HEADER_SIZE ? 12 : 0);
+        palette = [];
+        for (let i = 0; i < count; i++) {
+            const p = paletteOffset + i * paletteEntrySize;
+            if (p + 2 >= buffer.length) break;
+            palette.push([buffer[p + 2], buffer[p + 1], buffer[p]]);
+        }
+    }
+
+    const out = Buffer.alloc(width * height * 4);
+    const setPixel = (x, fileRow, r, g, b, a) => {
+        const y = topDown ? fileRow : height - 1 - fileRow;
+        const i = (y * width + x) * 4;
+        out[i] = r;
+        out[i + 1] = g;
+        out[i + 2] = b;
+        out[i + 3] = a;
+    };
+    const setIndexed = (x, fileRow, index) => {
+        const color = palette[index] || [0, 0, 0];
+        setPixel(x, fileRow, color[0], color[1], color[2], 255);
+    };
+
+    if (compression === BI_RLE8 || compression === BI_RLE4) {
+        const indices = decodeRle(buffer, pixelOffset, width, height, compression === BI_RLE8 ? 8 : 4);
+        for (let row = 0; row < height; row++) {
+            for (let x = 0; x < width; x++) {
+                setIndexed(x, row, indices[row * width + x]);
+            }
+        }
+        return { data: out, info: { width, height, channels: 4 } };
+    }
+
+    if (![BI_RGB, BI_BITFIELDS, BI_ALPHABITFIELDS].includes(compression)) {
+        throw new Error(`Unsupported BMP compression: ${compression}`);
+    }
+    if (![1, 4, 8, 16, 24, 32].includes(bitCount)) {
+        throw new Error(`Unsupported BMP bit depth: ${bitCount}`);
+    }
+
+    const rowSize = Math.ceil((width * bitCount) / 32) * 4;
+    if (pixelOffset + rowSize * height > buffer.length) {
+        throw new Error('BMP pixel data is truncated');
+    }
+
+    const maskDesc = masks && {
+        r: describeMask(masks.r),
+        g: describeMask(masks.g),
+        b: describeMask(masks.b),
+        a: describeMask(masks.a)
+    };
+    let sawAlpha = false;
+
+    for (let row = 0; row < height; row++) {
+        const rowStart = pixelOffset + row * rowSize;
+        for (let x = 0; x < width; x++) {
+            if (bitCount <= 8) {
+                const bitOffset = x * bitCount;
+                const byte = buffer[rowStart + (bitOffset >> 3)];
+                const shift = 8 - bitCount - (bitOffset & 7);
+                setIndexed(x, row, (byte >> shift) & ((1 << bitCount) - 1));
+            } else if (bitCount === 24) {
+                const p = rowStart + x * 3;
+                setPixel(x, row, buffer[p + 2], buffer[p + 1], buffer[p], 255);
+            } else {
+                const value = bitCount === 16
+                    ? buffer.readUInt16LE(rowStart + x * 2)
+                    : buffer.readUInt32LE(rowStart + x * 4);
+                if (maskDesc) {
+                    const a = maskDesc.a ? readMasked(value, maskDesc.a) : 255;
+                    if (maskDesc.a && a !== 0) sawAlpha = true;
+                    setPixel(x, row, readMasked(value, maskDesc.r), readMasked(value, maskDesc.g), readMasked(value, maskDesc.b), a);
+                } else {
+                    // Plain 32-bit BI_RGB: BGRX, the fourth byte is usually padding
+                    const p = rowStart + x * 4;
+                    if (buffer[p + 3] !== 0) sawAlpha = true;
+                    setPixel(x, row, buffer[p + 2], buffer[p + 1], buffer[p], buffer[p + 3]);
+                }
+            }
+        }
+    }
+
+    // An all-zero alpha channel means the file never used it; treat the image as opaque
+    if (bitCount === 32 && !sawAlpha) {
+        for (let i = 3; i < out.length; i += 4) out[i] = 255;
+    }
+
+    return { data: out, info: { width, height, channels: 4 } };
+}
+
+module.exports = { encodeBmp, decodeBmp };
@@ -0,0 +1,253 @@
+// Text-document writers (RTF, plain text, Markdown, HTML) for the structure produced by pdfStructure.js.
+// The registry at the bottom maps each PDF-to-document output format to its writer, extension and MIME type.
+const { buildDocx } = require('./docxWriter');
+
+const TWIPS_PER_POINT = 20;
+const PAGE_MARGIN_POINTS = 54;
+
+// ---------- RTF ----------
+
+function escapeRtf(text) {
+    let out = '';
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (char === '\\' || char === '{' || char === '}') {
+            out += '\\' + char;
+        } else if (char === '\n') {
+            out += '\\line ';
+        } else if (char === '\t') {
+            out += '\\tab ';
+        } else if (code > 0xFFFF) {
+            // Characters outside the BMP are written as a UTF-16 surrogate pair
+            const high = Math.floor((code - 0x10000) / 0x400) + 0xD800;
+            const low = ((code - 0x10000) % 0x400) + 0xDC00;
+            out += `\\u${high - 65536}?\\u${low - 65536}?`;
+        } else if (code > 127) {
+            out += `\\u${code > 32767 ? code - 65536 : code}?`;
+        } else {
+            out += char;
+        }
+    }
+    return out;
+}
+
+function rtfRuns(runs, fonts) {
+    return runs.map(run => {
+        let fontIndex = fonts.indexOf(run.font);
+        if (fontIndex === -1) fontIndex = fonts.push(run.font) - 1;
+        const style = `\\f${fontIndex}\\fs${Math.round(run.size * 2)}${run.bold ? '\\b' : ''}${run.italic ? '\\i' : ''}`;
+        return `{${style} ${escapeRtf(run.text)}}`;
+    }).join('');
+}
+
+function rtfBlock(block, fonts, contentWidth) {
+    const alignment = { left: '\\ql', center: '\\qc', right: '\\qr' }[block.align] || '\\ql';
+    switch (block.type) {
+        case 'heading':
+            return `{\\pard${alignment}\\outlinelevel${block.level - 1}\\sb240\\sa120 ${rtfRuns(block.runs, fonts)}\\par}\n`;
+        case 'paragraph':
+            return `{\\pard${alignment}\\sa120 ${rtfRuns(block.runs, fonts)}\\par}\n`;
+        case 'table': {
+            const columnCount = Math.max(...block.rows.map(row => row.length));
+            const cellWidth = Math.floor((contentWidth * TWIPS_PER_POINT) / columnCount);
+            const borders = '\\clbrdrt\\brdrs\\brdrw10\\clbrdrl\\brdrs\\brdrw10\\clbrdrb\\brdrs\\brdrw10\\clbrdrr\\brdrs\\brdrw10';
+            return block.rows.map(row => {
+                let definition = '\\trowd\\trgaph108';
+                for (let i = 1; i <= columnCount; i++) definition += `${borders}\\cellx${cellWidth * i}`;
+                const cells = row.map(cell => `\\pard\\intbl ${rtfRuns(cell, fonts)}\\cell`).join('');
+                return `{${definition}\n${cells}\\row}\n`;
+            }).join('');
+        }
+        case 'image': {
+            const scale = Math.min(1, contentWidth / block.width);
+            const width = Math.round(block.width * scale * TWIPS_PER_POINT);
+            const height = Math.round(block.height * scale * TWIPS_PER_POINT);
+            const hex = block.png.toString('hex').replace(/(.{128})/g, '$1\n');
+            return `{\\pard{\\pict\\pngblip\\picwgoal${width}\\pichgoal${height}\n${hex}\n}\\par}\n`;
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Builds an RTF document; Word opens it directly, which is how the legacy .doc output is served
+ * @param {Object} structure - Result of extractPdfStructure
+ * @returns {Buffer} RTF file contents
+ */
+function buildRtf(structure) {
+    const fonts = ['Times New Roman'];
+    const sections = structure.pages.map((page, index) => {
+        const contentWidth = page.width - PAGE_MARGIN_POINTS * 2;
+        const margin = PAGE_MARGIN_POINTS * TWIPS_PER_POINT;
+        const sectionBreak = index === 0 ? '' : '\\sect';
+        const columns = page.columns > 1 ? `\\cols${page.columns}\\colsx720` : '';
+        const header = `${sectionBreak}\\sectd\\sbkpage\\pgwsxn${Math.round(page.width * TWIPS_PER_POINT)}` +
+            `\\pghsxn${Math.round(page.height * TWIPS_PER_POINT)}\\marglsxn${margin}\\margrsxn${margin}` +
+            `\\margtsxn${margin}\\margbsxn${margin}${columns}\n`;
+        return header + page.blocks.map(block => rtfBlock(block, fonts, contentWidth)).join('');
+    });
+
+    const fontTable = fonts.map((font, index) => `{\\f${index}\\fnil ${escapeRtf(font)};}`).join('');
+    const rtf = `{\\rtf1\\ansi\\ansicpg1252\\deff0\\uc1{\\fonttbl${fontTable}}\n` +
+        `\\fs${Math.round(structure.bodyFontSize * 2)}\n` +
+        sections.join('') +
+        '}';
+    return Buffer.from(rtf, 'ascii');
+}
+
+// ---------- Plain text ----------
+
+function plainRuns(runs) {
+    return runs.map(run => run.text).join('').trim();
+}
+
+/**
+ * Builds a UTF-8 text file; pages are separated by form feeds and tables are tab-separated
+ * @param {Object} structure - Result of extractPdfStructure
+ * @returns {Buffer} Text file contents
+ */
+function buildText(structure) {
+    const pages = structure.pages.map(page => page.blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+            case 'paragraph':
+                return plainRuns(block.runs);
+            case 'table':
+                return block.rows.map(row => row.map(plainRuns).join('\t')).join('\n');
+            default:
+                return null; // images have no plain-text form
+        }
+    }).filter(text => text).join('\n\n'));
+
+    return Buffer.from(pages.join('\n\f\n') + '\n', 'utf8');
+}
+
+// ---------- Markdown ----------
+
+function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]#|<>])/g, '\\$1');
+}
+
+function markdownRuns(runs) {
+    return runs.map(run => {
+        // Keep surrounding whitespace outside the emphasis markers or Markdown won't parse them
+        const match = run.text.match(/^(\s*)(.*?)(\s*)$/s);
+        if (!match[2]) return run.text;
+        let text = escapeMarkdown(match[2]);
+        if (run.bold) text = `**${text}**`;
+        if (run.italic) text = `*${text}*`;
+        return match[1] + text + match[3];
+    }).join('').trim();
+}
+
+/**
+ * Builds a Markdown file with ATX headings, emphasis, GFM tables and inline PNG images
+ * @param {Object} structure - Result of extractPdfStructure
+ * @returns {Buffer} Markdown file contents
+ */
+function buildMarkdown(structure) {
+    let imageCount = 0;
+    const pages = structure.pages.map(page => page.blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return `${'#'.repeat(block.level)} ${markdownRuns(block.runs.map(run => ({ ...run, bold: false })))}`;
+            case 'paragraph':
+                return markdownRuns(block.runs);
+            case 'table': {
+                const columnCount = Math.max(...block.rows.map(row => row.length));
+                const toRow = row => '| ' + Array.from({ length: columnCount }, (_, i) => markdownRuns(row[i] || [])).join(' | ') + ' |';
+                const [header, ...body] = block.rows;
+                return [toRow(header), '|' + ' --- |'.repeat(columnCount), ...body.map(toRow)].join('\n');
+            }
+            case 'image':
+                imageCount++;
+                return `![Image ${imageCount}](data:image/png;base64,${block.png.toString('base64')})`;
+            default:
+                return null;
+        }
+    }).filter(text => text).join('\n\n'));
+
+    return Buffer.from(pages.join('\n\n---\n\n') + '\n', 'utf8');
+}
+
+// ---------- HTML ----------
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function htmlRuns(runs, bodyFontSize) {
+    return runs.map(run => {
+        let html = escapeHtml(run.text);
+        if (run.bold) html = `<strong>${html}</strong>`;
+        if (run.italic) html = `<em>${html}</em>`;
+        const styles = [`font-family: '${escapeHtml(run.font)}'`];
+        if (Math.abs(run.size - bodyFontSize) > 0.5) styles.push(`font-size: ${run.size}pt`);
+        return `<span style="${styles.join('; ')}">${html}</span>`;
+    }).join('');
+}
+
+/**
+ * Builds a standalone HTML page; each PDF page becomes a <section> that prints on its own page
+ * @param {Object} structure - Result of extractPdfStructure
+ * @param {Object} options - Output options
+ * @param {string} options.title - Document title
+ * @returns {Buffer} HTML file contents
+ */
+function buildHtml(structure, options = {}) {
+    const body = structure.bodyFontSize;
+    const sections = structure.pages.map(page => {
+        const blocks = page.blocks.map(block => {
+            const align = block.align && block.align !== 'left' ? ` style="text-align: ${block.align}"` : '';
+            switch (block.type) {
+                case 'heading':
+                    return `<h${block.level}${align}>${htmlRuns(block.runs, body)}</h${block.level}>`;
+                case 'paragraph':
+                    return `<p${align}>${htmlRuns(block.runs, body)}</p>`;
+                case 'table':
+                    return '<table>\n' + block.rows.map(row =>
+                        '<tr>' + row.map(cell => `<td>${htmlRuns(cell, body)}</td>`).join('') + '</tr>'
+                    ).join('\n') + '\n</table>';
+                case 'image':
+                    return `<img src="data:image/png;base64,${block.png.toString('base64')}" ` +
+                        `style="width: ${block.width}pt; max-width: 100%" alt="">`;
+                default:
+                    return '';
+            }
+        }).join('\n');
+        const columns = page.columns > 1 ? ` style="column-count: ${page.columns}"` : '';
+        return `<section class="page"${columns}>\n${blocks}\n</section>`;
+    });
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(options.title || 'Document')}</title>
+<style>
+body { font-size: ${body}pt; max-width: 8.5in; margin: 0 auto; padding: 0.75in; }
+section.page { page-break-after: always; margin-bottom: 2em; }
+table { border-collapse: collapse; width: 100%; margin: 1em 0; }
+td { border: 1px solid #999; padding: 4px 8px; vertical-align: top; }
+</style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>
+`;
+    return Buffer.from(html, 'utf8');
+}
+
+// Output formats offered by /pdf-to-word, keyed by the output_format form value
+const documentFormats = {
+    docx: { extension: 'docx', mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', build: buildDocx },
+    doc: { extension: 'doc', mimetype: 'application/msword', build: buildRtf },
+    rtf: { extension: 'rtf', mimetype: 'application/rtf', build: buildRtf },
+    txt: { extension: 'txt', mimetype: 'text/plain; charset=utf-8', build: buildText },
+    md: { extension: 'md', mimetype: 'text/markdown; charset=utf-8', build: buildMarkdown },
+    html: { extension: 'html', mimetype: 'text/html; charset=utf-8', build: buildHtml }
+};
+
+module.exports = { buildRtf, buildText, buildMarkdown, buildHtml, documentFormats };
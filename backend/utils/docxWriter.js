@@ -0,0 +1,120 @@
+// Writes the structure produced by pdfStructure.js into a Word (.docx) document.
+const {
+    Document, Packer, Paragraph, TextRun, ImageRun, HeadingLevel, AlignmentType,
+    Table, TableRow, TableCell, WidthType, SectionType
+} = require('docx');
+
+const TWIPS_PER_POINT = 20;
+const PIXELS_PER_POINT = 96 / 72; // docx image sizes are given in 96 DPI pixels
+const PAGE_MARGIN_POINTS = 54;
+
+const headingLevels = {
+    1: HeadingLevel.HEADING_1,
+    2: HeadingLevel.HEADING_2,
+    3: HeadingLevel.HEADING_3
+};
+
+const alignments = {
+    left: AlignmentType.LEFT,
+    center: AlignmentType.CENTER,
+    right: AlignmentType.RIGHT
+};
+
+function toTextRuns(runs) {
+    return runs.map(run => new TextRun({
+        text: run.text,
+        bold: run.bold,
+        italics: run.italic,
+        size: Math.round(run.size * 2), // half-points
+        font: run.font
+    }));
+}
+
+function toDocxBlocks(block, contentWidth) {
+    switch (block.type) {
+        case 'heading':
+            return [new Paragraph({
+                heading: headingLevels[block.level],
+                alignment: alignments[block.align],
+                children: toTextRuns(block.runs)
+            })];
+        case 'paragraph':
+            return [new Paragraph({
+                alignment: alignments[block.align],
+                children: toTextRuns(block.runs)
+            })];
+        case 'table':
+            return [new Table({
+                width: { size: 100, type: WidthType.PERCENTAGE },
+                rows: block.rows.map(row => new TableRow({
+                    children: row.map(cell => new TableCell({
+                        children: [new Paragraph({ children: toTextRuns(cell) })]
+                    }))
+                }))
+            })];
+        case 'image': {
+            // Keep the placed size from the PDF, shrunk to fit between the margins
+            const scale = Math.min(1, contentWidth / block.width);
+            return [new Paragraph({
+                children: [new ImageRun({
+                    type: 'png',
+                    data: block.png,
+                    transformation: {
+                        width: Math.round(block.width * scale * PIXELS_PER_POINT),
+                        height: Math.round(block.height * scale * PIXELS_PER_POINT)
+                    }
+                })]
+            })];
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Builds a .docx file with one section per PDF page (same page size, column count and page breaks)
+ * @param {Object} structure - Result of extractPdfStructure
+ * @returns {Promise<Buffer>} DOCX file contents
+ */
+async function buildDocx(structure) {
+    const sections = structure.pages.map((page, index) => {
+        const contentWidth = page.width - PAGE_MARGIN_POINTS * 2;
+        const children = page.blocks.flatMap(block => toDocxBlocks(block, contentWidth));
+
+        return {
+            properties: {
+                type: index === 0 ? undefined : SectionType.NEXT_PAGE,
+                page: {
+                    size: {
+                        width: Math.round(page.width * TWIPS_PER_POINT),
+                        height: Math.round(page.height * TWIPS_PER_POINT)
+                    },
+                    margin: {
+                        top: PAGE_MARGIN_POINTS * TWIPS_PER_POINT,
+                        right: PAGE_MARGIN_POINTS * TWIPS_PER_POINT,
+                        bottom: PAGE_MARGIN_POINTS * TWIPS_PER_POINT,
+                        left: PAGE_MARGIN_POINTS * TWIPS_PER_POINT
+                    }
+                },
+                column: page.columns > 1 ? { count: page.columns, space: 36 * TWIPS_PER_POINT } : undefined
+            },
+            // Word requires at least one paragraph per section
+            children: children.length ? children : [new Paragraph({ children: [] })]
+        };
+    });
+
+    const doc = new Document({
+        styles: {
+            default: {
+                document: {
+                    run: { size: Math.round(structure.bodyFontSize * 2) }
+                }
+            }
+        },
+        sections
+    });
+
+    return Packer.toBuffer(doc);
+}
+
+module.exports = { buildDocx };
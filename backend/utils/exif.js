@@ -0,0 +1,86 @@
+// Reader for EXIF blocks, which are TIFF data: a byte-order header followed by IFDs (directories) of 12-byte
+// entries whose values sit in the entry or elsewhere in the block. Shared by image inspection and GPS removal.
+
+// Bytes per value of each EXIF (TIFF) field type
+const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const EXIF_IFD_TAG = 0x8769;
+const GPS_IFD_TAG = 0x8825;
+const MAX_EXIF_TEXT = 200;
+
+/**
+ * Opens an EXIF block for reading
+ * @param {Buffer} exif - EXIF block as TIFF data, optionally preceded by the "Exif\0\0" marker of JPEG files
+ * @returns {{tiff: Buffer, read16: function, read32: function, firstIfd: number}|null} The TIFF data (a view of
+ *   the block, so writing to it changes the block), readers in its byte order and the offset of IFD0; null when
+ *   the block isn't TIFF data
+ */
+function openExif(exif) {
+    let tiff = exif;
+    if (tiff.toString('latin1', 0, 6) === 'Exif\0\0') {
+        tiff = tiff.subarray(6);
+    }
+    const byteOrder = tiff.toString('latin1', 0, 2);
+    if (tiff.length < 8 || (byteOrder !== 'II' && byteOrder !== 'MM')) return null;
+    const little = byteOrder === 'II';
+    const read16 = offset => little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+    const read32 = offset => little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+    return { tiff, read16, read32, firstIfd: read32(4) };
+}
+
+/**
+ * Lists the entries of one IFD, stopping at the end of the block
+ * @param {Object} reader - Result of openExif
+ * @param {number} offset - Offset of the IFD in the TIFF data
+ * @returns {Array<{tag: number, type: number, count: number, size: number, valueOffset: number}>} Entries with
+ *   the size of their value in bytes and where it starts; values may point past the end of a damaged block
+ */
+function readIfdEntries({ tiff, read16, read32 }, offset) {
+    const entries = [];
+    if (offset + 2 > tiff.length) return entries;
+    const count = read16(offset);
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > tiff.length) break;
+        const type = read16(entry + 2);
+        const valueCount = read32(entry + 4);
+        const size = (typeSizes[type] || 1) * valueCount;
+        entries.push({ tag: read16(entry), type, count: valueCount, size, valueOffset: size > 4 ? read32(entry + 8) : entry + 8 });
+    }
+    return entries;
+}
+
+/**
+ * Reads the values of one IFD
+ * @param {Object} reader - Result of openExif
+ * @param {number} offset - Offset of the IFD in the TIFF data
+ * @returns {Map<number, *>} Tag -> value: text, number, or array for multi-value fields (at most 16 values)
+ */
+function readIfd(reader, offset) {
+    const { tiff, read16, read32 } = reader;
+    const fields = new Map();
+    for (const { tag, type, count, size, valueOffset } of readIfdEntries(reader, offset)) {
+        if (valueOffset + size > tiff.length) continue;
+
+        if (type === 2) {
+            const text = tiff.toString('latin1', valueOffset, valueOffset + size).replace(/\0[\s\S]*$/, '').trim();
+            fields.set(tag, text.slice(0, MAX_EXIF_TEXT));
+            continue;
+        }
+        const values = [];
+        for (let j = 0; j < Math.min(count, 16); j++) {
+            if (type === 1 || type === 7) values.push(tiff[valueOffset + j]);
+            else if (type === 3) values.push(read16(valueOffset + j * 2));
+            else if (type === 4) values.push(read32(valueOffset + j * 4));
+            else if (type === 9) values.push(read32(valueOffset + j * 4) | 0);
+            else if (type === 5 || type === 10) {
+                const signed = value => type === 10 ? value | 0 : value;
+                const denominator = signed(read32(valueOffset + j * 8 + 4));
+                values.push(denominator === 0 ? null : signed(read32(valueOffset + j * 8)) / denominator);
+            }
+        }
+        fields.set(tag, values.length === 1 ? values[0] : values);
+    }
+    return fields;
+}
+
+module.exports = { openExif, readIfdEntries, readIfd, EXIF_IFD_TAG, GPS_IFD_TAG };
@@ -0,0 +1,138 @@
+// File type detection by content ("magic bytes"), for uploads whose extension or MIME type can't be trusted.
+const fs = require('fs');
+
+const HEAD_LENGTH = 4096; // enough for every signature below, and for the root element of most SVGs
+
+const mimetypes = {
+    jpg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    tiff: 'image/tiff',
+    bmp: 'image/bmp',
+    avif: 'image/avif',
+    heic: 'image/heic',
+    heif: 'image/heif',
+    svg: 'image/svg+xml',
+    pdf: 'application/pdf'
+};
+
+// Extensions that name each detected format
+const extensions = {
+    jpg: ['jpg', 'jpeg', 'jpe', 'jfif'],
+    png: ['png'],
+    gif: ['gif'],
+    webp: ['webp'],
+    tiff: ['tif', 'tiff'],
+    bmp: ['bmp', 'dib'],
+    avif: ['avif'],
+    // HEIF is the container and HEIC its HEVC flavour; files of either are named both ways
+    heic: ['heic', 'heif'],
+    heif: ['heif', 'heic'],
+    svg: ['svg'],
+    pdf: ['pdf']
+};
+
+// ISO base media (ftyp) brands of the HEIF family
+const avifBrands = ['avif', 'avis'];
+const heicBrands = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs'];
+const heifBrands = ['mif1', 'msf1'];
+
+function startsWith(buffer, bytes, offset = 0) {
+    return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function ascii(buffer, start, end) {
+    return buffer.length >= end ? buffer.toString('latin1', start, end) : '';
+}
+
+// Brand of an ISO base media file (major brand first, then the compatible ones), or null
+function detectFtypBrand(buffer) {
+    if (ascii(buffer, 4, 8) !== 'ftyp') return null;
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = [ascii(buffer, 8, 12)];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+        brands.push(ascii(buffer, offset, offset + 4));
+    }
+    for (const [format, family] of [['avif', avifBrands], ['heic', heicBrands], ['heif', heifBrands]]) {
+        if (brands.some(brand => family.includes(brand))) return format;
+    }
+    return null;
+}
+
+// SVG is text: an optional BOM, XML declaration, comments and doctype, then an <svg> root element
+function isSvg(buffer) {
+    const text = buffer.toString('utf8', 0, Math.min(buffer.length, HEAD_LENGTH)).replace(/^\uFEFF/, '');
+    const rest = text.replace(/^(\s|<\?xml[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)*/i, '');
+    return /^<svg[\s>]/i.test(rest);
+}
+
+/**
+ * Detects the format of a file from its first bytes
+ * @param {Buffer} buffer - Start of the file (HEAD_LENGTH bytes are enough)
+ * @returns {{format: string, mimetype: string}|null} Format (jpg, png, gif, webp, tiff, bmp, avif, heic, heif,
+ *   svg, pdf) and its MIME type, or null when it is none of these
+ */
+function detectFileType(buffer) {
+    let format = null;
+    if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) {
+        format = 'jpg';
+    } else if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+        format = 'png';
+    } else if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') {
+        format = 'gif';
+    } else if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') {
+        format = 'webp';
+    } else if (startsWith(buffer, [0x49, 0x49, 0x2A, 0x00]) || startsWith(buffer, [0x4D, 0x4D, 0x00, 0x2A])) {
+        format = 'tiff';
+    } else if (ascii(buffer, 0, 2) === 'BM' && buffer.length >= 18 && [12, 40, 52, 56, 64, 108, 124].includes(buffer.readUInt32LE(14))) {
+        format = 'bmp';
+    } else if (ascii(buffer, 0, 5) === '%PDF-') {
+        format = 'pdf';
+    } else {
+        format = detectFtypBrand(buffer) || (isSvg(buffer) ? 'svg' : null);
+    }
+    return format ? { format, mimetype: mimetypes[format] } : null;
+}
+
+/**
+ * Detects the format of a file on disk from its first bytes (see detectFileType)
+ * @param {string} filePath - File to read
+ * @returns {{format: string, mimetype: string}|null}
+ */
+function detectFileTypeFromFile(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(HEAD_LENGTH);
+        const bytesRead = fs.readSync(fd, buffer, 0, HEAD_LENGTH, 0);
+        return detectFileType(buffer.subarray(0, bytesRead));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Whether a file name's extension fits a detected format
+ * @param {string} fileName - Name as uploaded
+ * @param {string} format - Result of detectFileType
+ * @returns {boolean}
+ */
+function extensionMatches(fileName, format) {
+    const ext = (fileName.split('.').pop() || '').toLowerCase();
+    return (extensions[format] || []).includes(ext);
+}
+
+/**
+ * Error message for uploads whose content a route doesn't accept
+ * @param {Array<{name: string, format: string|null}>} files - Rejected files and their detected formats
+ * @param {string[]} acceptedFormats - Formats the route accepts
+ * @returns {string}
+ */
+function describeUnsupportedContent(files, acceptedFormats) {
+    const problems = files.map(file => file.format
+        ? `${file.name} contains ${file.format.toUpperCase()} data`
+        : `${file.name} is not a recognised image or PDF`);
+    return `Unsupported file content: ${problems.join('; ')}. Accepted here: ${acceptedFormats.map(format => format.toUpperCase()).join(', ')}.`;
+}
+
+module.exports = { detectFileType, detectFileTypeFromFile, extensionMatches, describeUnsupportedContent, mimetypes };
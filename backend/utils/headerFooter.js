@@ -0,0 +1,106 @@
+// Page numbers, headers and footers drawn on every page of a combined PDF, e.g. "Page 3 of 12" or "{filename} - {date}".
+// Text goes into six slots (top/bottom x left/center/right) measured from the page as it is shown.
+const { StandardFonts, rgb, degrees } = require('pdf-lib');
+const { getVisiblePageArea } = require('./watermark');
+const { createPrintableFilter } = require('./pdfFonts');
+
+const pageNumberPositions = ['top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'];
+const EDGE_MARGIN = 28; // points between the text and the page edge (about 1 cm)
+const SLOT_SEPARATOR = '   |   '; // between texts that share a slot
+
+function parseInteger(value, name, { min, max, fallback }) {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`Invalid ${name} "${value}". Use a whole number between ${min} and ${max}.`);
+    }
+    return number;
+}
+
+/**
+ * Reads the page number, header and footer fields of a request
+ * @param {Object} body - Form fields: page_number_format (e.g. "Page {n} of {total}"; empty for no numbers),
+ *   page_number_position (top-left, top-center, top-right, bottom-left, bottom-center, bottom-right),
+ *   page_number_start (number of the first page), header_text, footer_text and header_footer_font_size (points).
+ *   All texts can use the tokens {n}, {total}, {date} (YYYY-MM-DD) and {filename} (the file the page came from).
+ * @returns {Object|null} Options, or null when nothing is to be drawn
+ * @throws {Error} When a field has an unsupported value
+ */
+function parseHeaderFooterOptions(body = {}) {
+    const pageNumberFormat = (body.page_number_format || '').trim();
+    const headerText = (body.header_text || '').trim();
+    const footerText = (body.footer_text || '').trim();
+    if (!pageNumberFormat && !headerText && !footerText) {
+        return null;
+    }
+
+    const position = (body.page_number_position || 'bottom-center').toLowerCase();
+    if (!pageNumberPositions.includes(position)) {
+        throw new Error(`Invalid page number position "${body.page_number_position}". Supported: ${pageNumberPositions.join(', ')}`);
+    }
+
+    return {
+        pageNumberFormat,
+        pageNumberPosition: position,
+        startNumber: parseInteger(body.page_number_start, 'starting page number', { min: 0, max: 100000, fallback: 1 }),
+        headerText,
+        footerText,
+        fontSize: parseInteger(body.header_footer_font_size, 'header/footer font size', { min: 6, max: 36, fallback: 10 })
+    };
+}
+
+// Fills in {n}, {total}, {date} and {filename}; unknown tokens are left as typed
+function fillTokens(text, values) {
+    return text.replace(/\{(n|total|date|filename)\}/g, (token, name) => String(values[name]));
+}
+
+/**
+ * Draws page numbers, headers and footers on every page
+ * @param {PDFDocument} pdfDoc - Document to draw on
+ * @param {Object} options - Result of parseHeaderFooterOptions
+ * @param {string[]} pageFileNames - Name of the source file of each page, for {filename}
+ */
+async function drawHeaderFooter(pdfDoc, options, pageFileNames = []) {
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    // Helvetica only covers Latin text; other characters (e.g. in file names) are shown as "?"
+    const printable = createPrintableFilter(font);
+
+    const pages = pdfDoc.getPages();
+    const date = new Date().toISOString().slice(0, 10);
+    const total = options.startNumber + pages.length - 1;
+    const textHeight = font.heightAtSize(options.fontSize, { descender: false });
+
+    pages.forEach((page, index) => {
+        const values = { n: options.startNumber + index, total, date, filename: pageFileNames[index] || '' };
+        const slots = {};
+        const addToSlot = (slot, text) => {
+            if (text) slots[slot] = slots[slot] ? `${slots[slot]}${SLOT_SEPARATOR}${text}` : text;
+        };
+        addToSlot('top-center', fillTokens(options.headerText, values));
+        addToSlot('bottom-center', fillTokens(options.footerText, values));
+        addToSlot(options.pageNumberPosition, fillTokens(options.pageNumberFormat, values));
+
+        const area = getVisiblePageArea(page);
+        for (const [slot, rawText] of Object.entries(slots)) {
+            const text = printable(rawText);
+            const [vertical, horizontal] = slot.split('-');
+            const width = font.widthOfTextAtSize(text, options.fontSize);
+            let x = (area.width - width) / 2;
+            if (horizontal === 'left') x = EDGE_MARGIN;
+            if (horizontal === 'right') x = area.width - EDGE_MARGIN - width;
+            const y = vertical === 'top' ? area.height - EDGE_MARGIN - textHeight : EDGE_MARGIN;
+
+            const origin = area.toPage(x, y);
+            page.drawText(text, {
+                x: origin.x,
+                y: origin.y,
+                font,
+                size: options.fontSize,
+                color: rgb(0.2, 0.2, 0.2),
+                rotate: degrees(area.rotation)
+            });
+        }
+    });
+}
+
+module.exports = { parseHeaderFooterOptions, drawHeaderFooter, pageNumberPositions };
@@ -0,0 +1,222 @@
+// Reader for the HEIF container (ISO base media boxes) shared by HEIC and AVIF files: brands, the images it
+// holds and their sizes, and the EXIF item. Needs no codec, so it works on HEVC files libvips can't decode.
+
+// Item types that are (or build) an image, and the codec of the coded ones
+const codecs = { hvc1: 'hevc', av01: 'av1', jpeg: 'jpeg', unci: 'uncompressed' };
+const derivedImageTypes = ['grid', 'iden', 'iovl'];
+
+// Child boxes between start and end: {type, start (of the content), end}
+function readBoxes(buffer, start, end) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        let headerSize = 8;
+        if (size === 1) {
+            if (offset + 16 > end) break;
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset; // runs to the end of the file
+        }
+        if (size < headerSize || offset + size > end) break;
+        boxes.push({ type, start: offset + headerSize, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+}
+
+function readUInt(buffer, offset, size) {
+    switch (size) {
+        case 0: return 0;
+        case 2: return buffer.readUInt16BE(offset);
+        case 4: return buffer.readUInt32BE(offset);
+        case 8: return Number(buffer.readBigUInt64BE(offset));
+        default: throw new Error(`Unsupported field size ${size}`);
+    }
+}
+
+// Item id -> four-character item type, from the item information box
+function readItemTypes(buffer, iinf) {
+    const version = buffer[iinf.start];
+    const entriesStart = iinf.start + 4 + (version === 0 ? 2 : 4);
+    const types = new Map();
+    readBoxes(buffer, entriesStart, iinf.end).filter(box => box.type === 'infe').forEach(infe => {
+        const infeVersion = buffer[infe.start];
+        if (infeVersion < 2) return; // old entries carry no item type
+        const idSize = infeVersion === 2 ? 2 : 4;
+        const id = readUInt(buffer, infe.start + 4, idSize);
+        types.set(id, buffer.toString('latin1', infe.start + 4 + idSize + 2, infe.start + 4 + idSize + 6));
+    });
+    return types;
+}
+
+// References between items: [{type, from, to: [ids]}]
+function readItemReferences(buffer, iref) {
+    const idSize = buffer[iref.start] === 0 ? 2 : 4;
+    return readBoxes(buffer, iref.start + 4, iref.end).map(box => {
+        const from = readUInt(buffer, box.start, idSize);
+        const count = buffer.readUInt16BE(box.start + idSize);
+        const to = [];
+        for (let i = 0; i < count; i++) {
+            to.push(readUInt(buffer, box.start + idSize + 2 + i * idSize, idSize));
+        }
+        return { type: box.type, from, to };
+    });
+}
+
+// Item id -> {width, height}, from the image spatial extents property associated with each item
+function readItemSizes(buffer, iprp) {
+    const children = readBoxes(buffer, iprp.start, iprp.end);
+    const ipco = children.find(box => box.type === 'ipco');
+    if (!ipco) return new Map();
+    const properties = readBoxes(buffer, ipco.start, ipco.end);
+
+    const sizes = new Map();
+    children.filter(box => box.type === 'ipma').forEach(ipma => {
+        const version = buffer[ipma.start];
+        const largeIndex = (buffer.readUInt32BE(ipma.start) & 1) === 1;
+        let offset = ipma.start + 4;
+        const entryCount = buffer.readUInt32BE(offset);
+        offset += 4;
+        for (let i = 0; i < entryCount; i++) {
+            const id = readUInt(buffer, offset, version < 1 ? 2 : 4);
+            offset += version < 1 ? 2 : 4;
+            const associations = buffer[offset++];
+            for (let j = 0; j < associations; j++) {
+                // 1-based index into ipco; the top bit marks essential properties
+                const index = largeIndex ? buffer.readUInt16BE(offset) & 0x7FFF : buffer[offset] & 0x7F;
+                offset += largeIndex ? 2 : 1;
+                const property = properties[index - 1];
+                if (property && property.type === 'ispe') {
+                    sizes.set(id, { width: buffer.readUInt32BE(property.start + 4), height: buffer.readUInt32BE(property.start + 8) });
+                }
+            }
+        }
+    });
+    return sizes;
+}
+
+// Bytes of one item, from the item location box (file offsets or the item data box)
+function readItemData(buffer, iloc, idat, itemId) {
+    const version = buffer[iloc.start];
+    let offset = iloc.start + 4;
+    const offsetSize = buffer[offset] >> 4;
+    const lengthSize = buffer[offset] & 0x0F;
+    const baseOffsetSize = buffer[offset + 1] >> 4;
+    const indexSize = version >= 1 ? buffer[offset + 1] & 0x0F : 0;
+    offset += 2;
+    const itemCount = version < 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+    offset += version < 2 ? 2 : 4;
+
+    for (let i = 0; i < itemCount; i++) {
+        const id = version < 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+        offset += version < 2 ? 2 : 4;
+        const constructionMethod = version >= 1 ? buffer.readUInt16BE(offset) & 0x0F : 0;
+        offset += version >= 1 ? 2 : 0;
+        offset += 2; // data reference index
+        const baseOffset = readUInt(buffer, offset, baseOffsetSize);
+        offset += baseOffsetSize;
+        const extentCount = buffer.readUInt16BE(offset);
+        offset += 2;
+
+        const extents = [];
+        for (let j = 0; j < extentCount; j++) {
+            offset += indexSize;
+            const extentOffset = readUInt(buffer, offset, offsetSize);
+            offset += offsetSize;
+            const extentLength = readUInt(buffer, offset, lengthSize);
+            offset += lengthSize;
+            extents.push({ offset: baseOffset + extentOffset, length: extentLength });
+        }
+        if (id !== itemId) continue;
+
+        // Method 0: offsets into the file; method 1: offsets into the item data box
+        const source = constructionMethod === 0 ? { start: 0, end: buffer.length } : constructionMethod === 1 && idat ? idat : null;
+        if (!source) return null;
+        const parts = extents.map(extent => {
+            const start = source.start + extent.offset;
+            const end = extent.length === 0 ? source.end : start + extent.length;
+            if (end > source.end) throw new Error('Item data lies outside the file');
+            return buffer.subarray(start, end);
+        });
+        return Buffer.concat(parts);
+    }
+    return null;
+}
+
+/**
+ * Reads the structure of a HEIF (HEIC or AVIF) file
+ * @param {Buffer} buffer - Whole file
+ * @returns {{majorBrand: string, compatibleBrands: string[], codec: string|null, primaryItem: number|null,
+ *   width: number|null, height: number|null, imageCount: number, thumbnailCount: number, auxiliaryCount: number,
+ *   gridTiles: number|null, images: Array<{id: number, type: string, width: number|null, height: number|null, primary: boolean}>,
+ *   exif: Buffer|null}} Brands, the primary image (codec, size, grid tile count), the top-level images,
+ *   thumbnails and auxiliary (alpha, depth) images, and the EXIF block as TIFF data
+ * @throws {Error} When the file isn't a HEIF container
+ */
+function readHeifContainer(buffer) {
+    const top = readBoxes(buffer, 0, buffer.length);
+    const ftyp = top.find(box => box.type === 'ftyp');
+    const meta = top.find(box => box.type === 'meta');
+    if (!ftyp || !meta) {
+        throw new Error('Not a HEIF file: missing ftyp or meta box');
+    }
+
+    const compatibleBrands = [];
+    for (let offset = ftyp.start + 8; offset + 4 <= ftyp.end; offset += 4) {
+        compatibleBrands.push(buffer.toString('latin1', offset, offset + 4));
+    }
+
+    const metaBoxes = readBoxes(buffer, meta.start + 4, meta.end); // meta is a full box
+    const findBox = type => metaBoxes.find(box => box.type === type);
+    const pitm = findBox('pitm');
+    const primaryItem = pitm ? readUInt(buffer, pitm.start + 4, buffer[pitm.start] === 0 ? 2 : 4) : null;
+    const types = findBox('iinf') ? readItemTypes(buffer, findBox('iinf')) : new Map();
+    const references = findBox('iref') ? readItemReferences(buffer, findBox('iref')) : [];
+    const sizes = findBox('iprp') ? readItemSizes(buffer, findBox('iprp')) : new Map();
+
+    // Thumbnails and auxiliary images point at the image they belong to; tiles are pointed at by their grid
+    const thumbnails = new Set(references.filter(ref => ref.type === 'thmb').map(ref => ref.from));
+    const auxiliary = new Set(references.filter(ref => ref.type === 'auxl').map(ref => ref.from));
+    const tiles = new Set(references.filter(ref => ref.type === 'dimg').flatMap(ref => ref.to));
+    const isImage = type => Boolean(codecs[type]) || derivedImageTypes.includes(type);
+
+    const images = Array.from(types.entries())
+        .filter(([id, type]) => isImage(type) && !thumbnails.has(id) && !auxiliary.has(id) && !tiles.has(id))
+        .map(([id, type]) => ({ id, type, width: (sizes.get(id) || {}).width || null, height: (sizes.get(id) || {}).height || null, primary: id === primaryItem }));
+
+    // A grid's codec is that of its tiles
+    const primaryType = types.get(primaryItem);
+    const primaryTiles = references.filter(ref => ref.type === 'dimg' && ref.from === primaryItem).flatMap(ref => ref.to);
+    const codedType = primaryType === 'grid' && primaryTiles.length > 0 ? types.get(primaryTiles[0]) : primaryType;
+
+    const exifEntry = Array.from(types.entries()).find(([, type]) => type === 'Exif');
+    let exif = null;
+    if (exifEntry && findBox('iloc')) {
+        const data = readItemData(buffer, findBox('iloc'), findBox('idat'), exifEntry[0]);
+        // The item starts with the offset of the TIFF header within the rest
+        if (data && data.length > 4) {
+            exif = data.subarray(4 + data.readUInt32BE(0));
+        }
+    }
+
+    const primarySize = sizes.get(primaryItem) || {};
+    return {
+        majorBrand: buffer.toString('latin1', ftyp.start, ftyp.start + 4),
+        compatibleBrands,
+        codec: codecs[codedType] || null,
+        primaryItem,
+        width: primarySize.width || null,
+        height: primarySize.height || null,
+        imageCount: images.length,
+        thumbnailCount: thumbnails.size,
+        auxiliaryCount: auxiliary.size,
+        gridTiles: primaryType === 'grid' ? primaryTiles.length : null,
+        images,
+        exif: exif && exif.length > 0 ? exif : null
+    };
+}
+
+module.exports = { readHeifContainer };
@@ -0,0 +1,79 @@
+// Images of HEIF containers (HEIC, HEIF, AVIF). Bursts, Live Photo stills and image collections keep several
+// top-level images next to the primary one; they are numbered with the primary image first and the others in
+// file order. HEVC images are decoded with heic-convert, everything else (AV1, JPEG) by Sharp.
+const fs = require('fs');
+const sharp = require('sharp');
+const { readHeifContainer } = require('./heifContainer');
+
+const heifContainerFormats = ['heic', 'heif', 'avif'];
+
+/**
+ * Top-level images of a HEIF container, primary first
+ * @param {Buffer} buffer - Whole file
+ * @returns {{codec: string|null, images: Array<{id: number, position: number, primary: boolean}>}} Codec of the
+ *   primary image and the images, with their position among the container's top-level images
+ */
+function listHeifImages(buffer) {
+    let container;
+    try {
+        container = readHeifContainer(buffer);
+    } catch (containerError) {
+        // The decoders report what is wrong with the file
+        return { codec: null, images: [] };
+    }
+    const images = container.images.map((image, position) => ({ id: image.id, position, primary: image.primary }));
+    images.sort((a, b) => Number(b.primary) - Number(a.primary) || a.position - b.position);
+    return { codec: container.codec, images };
+}
+
+/**
+ * Number of top-level images in a HEIF container; 1 for other formats
+ * @param {string} filePath - Image file
+ * @param {string} inputFormat - Format detected from the content (see utils/fileType.js)
+ * @returns {number}
+ */
+function countHeifImages(filePath, inputFormat) {
+    if (!heifContainerFormats.includes(inputFormat)) return 1;
+    return Math.max(listHeifImages(fs.readFileSync(filePath)).images.length, 1);
+}
+
+/**
+ * Opens one image of a HEIF container
+ * Only that image is decoded, so picking one frame of a large burst costs a single decode.
+ * @param {string} filePath - Image file
+ * @param {string} inputFormat - heic, heif or avif; decides the decoder when the codec can't be read
+ * @param {number} index - 0-based, in the order of listHeifImages (0 is the primary image)
+ * @returns {Promise<sharp.Sharp>}
+ * @throws {Error} When the container has no such image
+ */
+async function loadHeifImage(filePath, inputFormat, index = 0) {
+    const imageCount = countHeifImages(filePath, inputFormat);
+    if (!Number.isInteger(index) || index < 0 || index >= imageCount) {
+        throw new Error(`The HEIF file has ${imageCount} image${imageCount === 1 ? '' : 's'}, not ${index + 1}.`);
+    }
+
+    const buffer = fs.readFileSync(filePath);
+    const { codec, images } = listHeifImages(buffer);
+    const hevc = codec ? codec === 'hevc' : inputFormat !== 'avif';
+    // Without an image list there is only the decoders' default image
+    const position = images.length > 0 ? images[index].position : 0;
+    if (hevc) {
+        return sharp(await decodeHevcImage(buffer, position));
+    }
+    return images.length > 0 ? sharp(buffer, { page: position }) : sharp(buffer);
+}
+
+// Sharp's prebuilt libvips has no HEVC decoder, so HEVC images go through heic-convert (as PNG, which keeps alpha).
+// heic-convert's all() only reads the container and returns one converter per image; calling convert() on the
+// requested entry alone decodes just that image.
+async function decodeHevcImage(buffer, position) {
+    const heicConvert = require('heic-convert');
+    const entries = await heicConvert.all({ buffer, format: 'PNG' });
+    const entry = entries[position];
+    if (!entry) {
+        throw new Error(`HEIF image ${position + 1} could not be decoded.`);
+    }
+    return Buffer.from(await entry.convert());
+}
+
+module.exports = { listHeifImages, countHeifImages, loadHeifImage, heifContainerFormats };
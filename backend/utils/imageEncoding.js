@@ -0,0 +1,200 @@
+// Encoder settings for converted images: a preset (balanced, smallest, archival) plus per-format fields such as
+// quality or compression, checked against the fields each output format supports.
+const sharp = require('sharp');
+
+// AVIF, HEIC and HEIF are all written by libheif and take the same settings
+const heifFields = {
+    quality: { option: 'quality', type: 'integer', min: 1, max: 100 },
+    lossless: { option: 'lossless', type: 'boolean' },
+    effort: { option: 'effort', type: 'integer', min: 0, max: 9 }
+};
+
+// Form field -> sharp option, per output format
+const encoderFields = {
+    jpg: {
+        quality: { option: 'quality', type: 'integer', min: 1, max: 100 },
+        progressive: { option: 'progressive', type: 'boolean' },
+        mozjpeg: { option: 'mozjpeg', type: 'boolean' },
+        chroma_subsampling: { option: 'chromaSubsampling', type: 'choice', values: ['4:2:0', '4:4:4'] }
+    },
+    png: {
+        compression_level: { option: 'compressionLevel', type: 'integer', min: 0, max: 9 },
+        palette: { option: 'palette', type: 'boolean' },
+        colors: { option: 'colours', type: 'integer', min: 2, max: 256 }
+    },
+    webp: {
+        quality: { option: 'quality', type: 'integer', min: 1, max: 100 },
+        lossless: { option: 'lossless', type: 'boolean' },
+        near_lossless: { option: 'nearLossless', type: 'boolean' },
+        effort: { option: 'effort', type: 'integer', min: 0, max: 6 }
+    },
+    avif: heifFields,
+    heic: heifFields,
+    heif: heifFields,
+    tiff: {
+        compression: { option: 'compression', type: 'choice', values: ['none', 'lzw', 'deflate', 'jpeg'] },
+        quality: { option: 'quality', type: 'integer', min: 1, max: 100 },
+        bit_depth: { option: 'bitdepth', type: 'choice', values: ['1', '2', '4', '8'] }
+    }
+};
+
+// Sharp options of each preset; balanced is what /convert has always used
+const encodingPresets = {
+    balanced: {
+        jpg: { quality: 90 },
+        png: {},
+        webp: { quality: 90 },
+        avif: { quality: 90 },
+        heic: { quality: 90 },
+        heif: { quality: 90 },
+        tiff: {}
+    },
+    smallest: {
+        jpg: { quality: 70, mozjpeg: true },
+        png: { compressionLevel: 9, palette: true },
+        webp: { quality: 70, effort: 6 },
+        avif: { quality: 50, effort: 6 },
+        heic: { quality: 50, effort: 6 },
+        heif: { quality: 50, effort: 6 },
+        tiff: { compression: 'jpeg', quality: 70 }
+    },
+    archival: {
+        jpg: { quality: 100, chromaSubsampling: '4:4:4' },
+        png: { compressionLevel: 9 },
+        webp: { lossless: true },
+        avif: { lossless: true },
+        heic: { lossless: true },
+        heif: { lossless: true },
+        tiff: { compression: 'deflate' }
+    }
+};
+
+const allFields = [...new Set(Object.values(encoderFields).flatMap(fields => Object.keys(fields)))];
+
+function parseField(value, field, spec) {
+    const text = String(value).trim().toLowerCase();
+    if (spec.type === 'boolean') {
+        if (text !== 'true' && text !== 'false') {
+            throw new Error(`Invalid ${field} "${value}". Use true or false.`);
+        }
+        return text === 'true';
+    }
+    if (spec.type === 'choice') {
+        if (!spec.values.includes(text)) {
+            throw new Error(`Invalid ${field} "${value}". Supported: ${spec.values.join(', ')}`);
+        }
+        return /^\d+$/.test(text) ? Number(text) : text;
+    }
+    const number = Number(text);
+    if (text === '' || !Number.isInteger(number) || number < spec.min || number > spec.max) {
+        throw new Error(`Invalid ${field} "${value}". Use a whole number between ${spec.min} and ${spec.max}.`);
+    }
+    return number;
+}
+
+/**
+ * Reads the encoder fields of a convert request
+ * Fields override the preset's values; fields that don't apply to the output format are rejected.
+ * @param {Object} body - Form fields: encoding_preset (balanced, smallest, archival; default balanced) and
+ *   JPG: quality, progressive, mozjpeg, chroma_subsampling (4:2:0, 4:4:4);
+ *   PNG: compression_level (0-9), palette, colors (2-256, implies palette);
+ *   WEBP: quality, lossless, near_lossless, effort (0-6); AVIF, HEIC, HEIF: quality, lossless, effort (0-9);
+ *   TIFF: compression (none, lzw, deflate, jpeg), quality (jpeg compression), bit_depth (1, 2, 4: greyscale; 8)
+ * @param {string} format - Output format
+ * @returns {Object} Sharp options for the format's encoder
+ * @throws {Error} When a field has an unsupported value or doesn't apply to the format
+ */
+function parseEncoderOptions(body = {}, format) {
+    const presetName = (body.encoding_preset || 'balanced').toLowerCase();
+    if (!encodingPresets[presetName]) {
+        throw new Error(`Invalid encoding preset "${body.encoding_preset}". Supported: ${Object.keys(encodingPresets).join(', ')}`);
+    }
+    const key = format === 'jpeg' ? 'jpg' : format;
+    const fields = encoderFields[key] || {};
+    const options = { ...encodingPresets[presetName][key] };
+
+    allFields.forEach(field => {
+        if (body[field] === undefined || body[field] === '') return;
+        const spec = fields[field];
+        if (!spec) {
+            const supported = Object.keys(fields);
+            throw new Error(`${field} does not apply to ${key.toUpperCase()} output. ` +
+                (supported.length > 0 ? `Supported: ${supported.join(', ')}` : 'It has no encoder options.'));
+        }
+        options[spec.option] = parseField(body[field], field, spec);
+    });
+
+    if (options.colours) {
+        options.palette = true;
+    }
+    if (options.bitdepth === 8) {
+        delete options.bitdepth;
+    }
+    if (options.bitdepth) {
+        // JPEG compression needs 8-bit samples, and libtiff's predictor only works on whole bytes
+        if (String(body.compression).trim().toLowerCase() === 'jpeg') {
+            throw new Error(`TIFF jpeg compression can't be combined with a bit depth of ${options.bitdepth}. Use none, lzw or deflate.`);
+        }
+        if (!options.compression || options.compression === 'jpeg') {
+            options.compression = 'lzw';
+        }
+        options.predictor = 'none';
+    }
+    return options;
+}
+
+/**
+ * Sets the output format and encoder options of a Sharp pipeline
+ * @param {sharp.Sharp} sharpInstance - Image to encode
+ * @param {string} format - jpg, png, webp, avif, heic, heif, tiff or gif (which has no encoder options)
+ * @param {Object} encoder - Result of parseEncoderOptions
+ * @returns {sharp.Sharp} Pipeline ready for toFile/toBuffer
+ */
+function applyEncoderOptions(sharpInstance, format, encoder) {
+    switch (format) {
+        case 'jpg':
+        case 'jpeg':
+            return sharpInstance.jpeg(encoder);
+        case 'png':
+            return sharpInstance.png(encoder);
+        case 'webp':
+            return sharpInstance.webp(encoder);
+        case 'avif':
+            return sharpInstance.avif(encoder);
+        case 'heic':
+        case 'heif':
+            // Needs an HEVC encoder; check hasHevcEncoder first
+            return sharpInstance.heif({ compression: 'hevc', ...encoder });
+        case 'gif':
+            return sharpInstance.gif(encoder);
+        case 'tiff':
+            if (encoder.bitdepth) {
+                // Low bit depths only apply to single-channel images
+                return sharpInstance.flatten({ background: '#ffffff' }).toColourspace('b-w').tiff(encoder);
+            }
+            return sharpInstance.tiff(encoder);
+        default:
+            throw new Error(`Unsupported output format: ${format}`);
+    }
+}
+
+// Probe result, shared by all requests
+let hevcEncoder = null;
+
+/**
+ * Whether Sharp's libheif can encode HEVC, which HEIC and HEIF output need
+ * Sharp's prebuilt binaries leave the (patent-encumbered) HEVC encoder out; libvips built against a libheif with
+ * x265 has it. Probed once by encoding a tiny image.
+ * @returns {Promise<boolean>}
+ */
+function hasHevcEncoder() {
+    if (!hevcEncoder) {
+        hevcEncoder = sharp({ create: { width: 8, height: 8, channels: 3, background: '#000000' } })
+            .heif({ compression: 'hevc' })
+            .toBuffer()
+            .then(() => true, () => false);
+    }
+    return hevcEncoder;
+}
+
+module.exports = { parseEncoderOptions, applyEncoderOptions, hasHevcEncoder, encodingPresets, encoderFields };
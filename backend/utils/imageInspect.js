@@ -0,0 +1,194 @@
+// Image inspection for /api/inspect: the real format of an upload (by content, not extension) and what it
+// holds: size, colour, ICC profile, EXIF camera/date/GPS fields, animation frames and the HEIF container.
+const fs = require('fs');
+const sharp = require('sharp');
+const { decodeBmp } = require('./bmp');
+const { detectFileType, extensionMatches } = require('./fileType');
+const { readHeifContainer } = require('./heifContainer');
+const { openExif, readIfd, EXIF_IFD_TAG, GPS_IFD_TAG } = require('./exif');
+
+// Bits per sample of each libvips band format
+const depthBits = { uchar: 8, char: 8, ushort: 16, short: 16, uint: 32, int: 32, float: 32, complex: 64, double: 64, dpcomplex: 128 };
+
+function round(value, digits) {
+    return typeof value === 'number' && Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+// Degrees/minutes/seconds plus N/S/E/W reference to signed decimal degrees
+function gpsCoordinate(values, ref) {
+    if (!Array.isArray(values) || values.length < 3 || values.some(value => value === null)) return null;
+    const degrees = values[0] + values[1] / 60 + values[2] / 3600;
+    return round(ref === 'S' || ref === 'W' ? -degrees : degrees, 6);
+}
+
+// EXIF date "2024:05:01 10:20:30" (plus an optional "+02:00" offset) to ISO 8601
+function exifDate(value, offset) {
+    const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match) return null;
+    const zone = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : '';
+    return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${zone}`;
+}
+
+/**
+ * Reads the commonly shown EXIF fields
+ * @param {Buffer} exif - EXIF block as TIFF data, optionally preceded by the "Exif\0\0" marker of JPEG files
+ * @returns {Object|null} make, model, lens, software, dateTaken (ISO 8601, with the offset when recorded),
+ *   orientation, exposureTime (seconds), fNumber, iso, focalLength (mm), artist, copyright and
+ *   gps {latitude, longitude, altitude} (decimal degrees, metres) or null; null when the block can't be read
+ */
+function readExif(exif) {
+    const reader = openExif(exif);
+    if (!reader) return null;
+
+    const ifd0 = readIfd(reader, reader.firstIfd);
+    const exifIfd = ifd0.has(EXIF_IFD_TAG) ? readIfd(reader, ifd0.get(EXIF_IFD_TAG)) : new Map();
+    const gpsIfd = ifd0.has(GPS_IFD_TAG) ? readIfd(reader, ifd0.get(GPS_IFD_TAG)) : new Map();
+    const text = (fields, tag) => typeof fields.get(tag) === 'string' && fields.get(tag) !== '' ? fields.get(tag) : null;
+    const number = (fields, tag) => typeof fields.get(tag) === 'number' ? fields.get(tag) : null;
+
+    let gps = null;
+    const latitude = gpsCoordinate(gpsIfd.get(2), text(gpsIfd, 1));
+    const longitude = gpsCoordinate(gpsIfd.get(4), text(gpsIfd, 3));
+    if (latitude !== null && longitude !== null) {
+        const altitude = number(gpsIfd, 6);
+        gps = { latitude, longitude, altitude: altitude === null ? null : round(gpsIfd.get(5) === 1 ? -altitude : altitude, 1) };
+    }
+
+    return {
+        make: text(ifd0, 0x010F),
+        model: text(ifd0, 0x0110),
+        lens: text(exifIfd, 0xA434),
+        software: text(ifd0, 0x0131),
+        dateTaken: exifDate(text(exifIfd, 0x9003), text(exifIfd, 0x9011)) || exifDate(text(ifd0, 0x0132), text(exifIfd, 0x9010)),
+        orientation: number(ifd0, 0x0112),
+        exposureTime: round(number(exifIfd, 0x829A), 6),
+        fNumber: round(number(exifIfd, 0x829D), 1),
+        iso: number(exifIfd, 0x8827),
+        focalLength: round(number(exifIfd, 0x920A), 1),
+        artist: text(ifd0, 0x013B),
+        copyright: text(ifd0, 0x8298),
+        gps
+    };
+}
+
+/**
+ * Reads the description (name) of an ICC profile
+ * @param {Buffer} icc - ICC profile
+ * @returns {string|null} Name from the 'desc' tag (v2 text or v4 multi-localised), or null when there is none
+ */
+function readIccDescription(icc) {
+    if (icc.length < 132) return null;
+    const tagCount = icc.readUInt32BE(128);
+    for (let i = 0; i < tagCount && 132 + i * 12 + 12 <= icc.length; i++) {
+        const entry = 132 + i * 12;
+        if (icc.toString('latin1', entry, entry + 4) !== 'desc') continue;
+
+        const offset = icc.readUInt32BE(entry + 4);
+        const end = Math.min(offset + icc.readUInt32BE(entry + 8), icc.length);
+        const type = icc.toString('latin1', offset, offset + 4);
+        if (type === 'desc' && offset + 12 <= end) {
+            const length = icc.readUInt32BE(offset + 8);
+            return icc.toString('latin1', offset + 12, Math.min(offset + 12 + length, end)).replace(/\0[\s\S]*$/, '').trim() || null;
+        }
+        if (type === 'mluc' && offset + 28 <= end) {
+            // First record; UTF-16 big-endian
+            const length = icc.readUInt32BE(offset + 20);
+            const start = offset + icc.readUInt32BE(offset + 24);
+            const text = Buffer.from(icc.subarray(start, Math.min(start + (length & ~1), end & ~1))).swap16();
+            return text.toString('utf16le').replace(/\0[\s\S]*$/, '').trim() || null;
+        }
+        return null;
+    }
+    return null;
+}
+
+// Container details without the EXIF block itself, which is reported as fields
+function describeHeif(heif) {
+    const { exif, ...container } = heif;
+    return { ...container, hasExif: Boolean(exif) };
+}
+
+/**
+ * Inspects an uploaded file
+ * The format comes from the file's content; sharp reads the image details, except for BMP (read by utils/bmp.js)
+ * and HEIF, whose container is read directly so HEVC files are described even when libvips can't decode them.
+ * @param {string} filePath - Uploaded file
+ * @param {string} fileName - Name as uploaded, compared with the detected format
+ * @returns {Promise<Object>} format, mimetype, extensionMatches, and for images: width, height, colorSpace,
+ *   bitDepth (per sample), channels, hasAlpha, palette, iccProfile {name, size} or null, exif (see readExif) or
+ *   null, frames, animation {loop (0: forever), durationMs, delays} or null, and heif (see readHeifContainer,
+ *   without the EXIF block) or null
+ * @throws {Error} When the file is no image or PDF this server reads
+ */
+async function inspectImage(filePath, fileName) {
+    const buffer = fs.readFileSync(filePath);
+    const detected = detectFileType(buffer);
+    if (!detected) {
+        throw new Error('Unrecognised file type: the content is not a supported image or PDF.');
+    }
+    const info = { format: detected.format, mimetype: detected.mimetype, extensionMatches: extensionMatches(fileName, detected.format) };
+    if (detected.format === 'pdf') {
+        return info;
+    }
+
+    let heif = null;
+    if (['heic', 'heif', 'avif'].includes(detected.format)) {
+        try {
+            heif = readHeifContainer(buffer);
+        } catch (heifError) {
+            console.error(`Could not read the HEIF container of ${fileName}:`, heifError.message);
+        }
+    }
+
+    let metadata;
+    if (detected.format === 'bmp') {
+        const { data, info: raw } = decodeBmp(buffer);
+        const { isOpaque } = await sharp(data, { raw }).stats();
+        metadata = { width: raw.width, height: raw.height, space: 'srgb', depth: 'uchar', channels: isOpaque ? 3 : 4, hasAlpha: !isOpaque };
+    } else {
+        try {
+            metadata = await sharp(buffer).metadata();
+        } catch (sharpError) {
+            if (!heif) throw sharpError;
+            // Typically HEVC, which the bundled libvips can't decode; the container still has the basics
+            console.error(`Could not decode ${fileName}, using its HEIF container:`, sharpError.message);
+            metadata = { width: heif.width, height: heif.height };
+            info.warning = `The ${heif.codec ? heif.codec.toUpperCase() : 'image'} data can't be decoded here; details come from the file's container.`;
+        }
+    }
+
+    // Animated images report the height of all frames stacked
+    const frames = metadata.pages || 1;
+    const animated = frames > 1 && ['gif', 'webp'].includes(detected.format);
+    const exifBlock = metadata.exif || (heif && heif.exif);
+    let exif = null;
+    if (exifBlock) {
+        try {
+            exif = readExif(exifBlock);
+        } catch (exifError) {
+            console.error(`Could not read the EXIF data of ${fileName}:`, exifError.message);
+        }
+    }
+
+    return {
+        ...info,
+        width: metadata.width || null,
+        height: (animated && metadata.pageHeight) || metadata.height || null,
+        colorSpace: metadata.space || null,
+        bitDepth: depthBits[metadata.depth] || null,
+        channels: metadata.channels || null,
+        hasAlpha: metadata.hasAlpha === undefined ? null : metadata.hasAlpha,
+        palette: Boolean(metadata.paletteBitDepth),
+        iccProfile: metadata.icc ? { name: readIccDescription(metadata.icc), size: metadata.icc.length } : null,
+        exif,
+        frames,
+        animation: animated ? {
+            loop: metadata.loop === undefined ? null : metadata.loop,
+            durationMs: Array.isArray(metadata.delay) ? metadata.delay.reduce((sum, delay) => sum + delay, 0) : null,
+            delays: metadata.delay || null
+        } : null,
+        heif: heif ? describeHeif(heif) : null
+    };
+}
+
+module.exports = { inspectImage, readExif, readIccDescription };
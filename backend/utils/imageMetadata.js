@@ -0,0 +1,198 @@
+// Metadata policy for converted and embedded images: which of the input's EXIF, ICC and XMP metadata is kept,
+// plus copyright/artist EXIF fields. Sharp strips all metadata unless told otherwise, and so does every step
+// that goes through raw pixels, so steps that must keep it hold the image as an uncompressed PNG instead.
+const sharp = require('sharp');
+const { openExif, readIfdEntries, GPS_IFD_TAG } = require('./exif');
+
+const metadataPolicies = ['strip-all', 'strip-gps', 'keep-all', 'keep-icc'];
+const MAX_TAG_LENGTH = 200;
+const PNG_SIGNATURE_LENGTH = 8;
+const XMP_KEYWORD = 'XML:com.adobe.xmp';
+// CRC-32 lookup table for PNG chunks (zlib.crc32 needs Node 20.15+/22.2+)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/**
+ * Reads the metadata fields of a convert or combine request
+ * @param {Object} body - Form fields: metadata_policy (strip-all: drop everything, the default; strip-gps: keep
+ *   everything but location; keep-all; keep-icc: only the colour profile), copyright and artist (EXIF text)
+ * @returns {{policy: string, copyright: string, artist: string}|null} Options, or null for the default
+ *   (strip everything, add nothing)
+ * @throws {Error} When a field has an unsupported value
+ */
+function parseMetadataPolicy(body = {}) {
+    const policy = (body.metadata_policy || 'strip-all').toLowerCase();
+    if (!metadataPolicies.includes(policy)) {
+        throw new Error(`Invalid metadata policy "${body.metadata_policy}". Supported: ${metadataPolicies.join(', ')}`);
+    }
+    const tags = {};
+    ['copyright', 'artist'].forEach(field => {
+        const value = (body[field] || '').trim();
+        if (value.length > MAX_TAG_LENGTH) {
+            throw new Error(`The ${field} text is too long (${value.length} characters, at most ${MAX_TAG_LENGTH}).`);
+        }
+        tags[field] = value;
+    });
+
+    if (policy === 'strip-all' && !tags.copyright && !tags.artist) {
+        return null;
+    }
+    return { policy, ...tags };
+}
+
+/**
+ * Whether a pipeline has to carry the input's metadata through to the final encode
+ * @param {Object|null} metadata - Result of parseMetadataPolicy
+ * @returns {boolean}
+ */
+function keepsSourceMetadata(metadata) {
+    return Boolean(metadata) && metadata.policy !== 'strip-all';
+}
+
+/**
+ * Renders a pipeline so the next step can start from its pixels
+ * Raw pixels are fastest but carry no metadata; with keepMetadata the image is held as an uncompressed PNG,
+ * which keeps EXIF, ICC and XMP (and leaves the pixels in the input's colour profile).
+ * @param {sharp.Sharp} sharpInstance - Pipeline to render
+ * @param {boolean} keepMetadata - Carry the metadata along
+ * @returns {Promise<{info: {width: number, height: number, channels: number}, load: function(): sharp.Sharp}>}
+ *   Size of the rendered image, and a function that starts a new pipeline from it
+ */
+async function renderImage(sharpInstance, keepMetadata) {
+    if (keepMetadata) {
+        const { data, info } = await sharpInstance.keepMetadata().png({ compressionLevel: 0 }).toBuffer({ resolveWithObject: true });
+        return { info, load: () => sharp(data) };
+    }
+    const { data, info } = await sharpInstance.raw().toBuffer({ resolveWithObject: true });
+    return { info, load: () => sharp(data, { raw: info }) };
+}
+
+// Empties the GPS IFD of an EXIF (TIFF) block in place: its entries, the values they point to and its count
+function clearGpsIfd(exif) {
+    const reader = openExif(exif);
+    if (!reader) throw new Error('EXIF block is not TIFF data');
+    const { tiff, read16, read32 } = reader;
+
+    for (const pointer of readIfdEntries(reader, reader.firstIfd)) {
+        if (pointer.tag !== GPS_IFD_TAG) continue;
+
+        const gpsIfd = read32(pointer.valueOffset);
+        if (gpsIfd + 2 > tiff.length) throw new Error('GPS IFD outside the EXIF block');
+        const entriesEnd = gpsIfd + 2 + read16(gpsIfd) * 12;
+        if (entriesEnd + 4 > tiff.length) throw new Error('GPS IFD outside the EXIF block');
+        for (const entry of readIfdEntries(reader, gpsIfd)) {
+            if (entry.size > 4) {
+                // Values that don't fit in the entry are stored elsewhere in the block
+                tiff.fill(0, entry.valueOffset, Math.min(entry.valueOffset + entry.size, tiff.length));
+            }
+        }
+        // Zero entries, count and next-IFD pointer: an empty IFD
+        tiff.fill(0, gpsIfd, entriesEnd + 4);
+    }
+    return exif;
+}
+
+// Removes GPS properties (e.g. exif:GPSLatitude) from an XMP packet, as attributes or as elements
+function removeXmpGps(xmp) {
+    return xmp
+        .replace(/\s[\w-]+:GPS\w+="[^"]*"/g, '')
+        .replace(/<([\w-]+:GPS\w+)[\s>][\s\S]*?<\/\1>/g, '')
+        .replace(/<[\w-]+:GPS\w+[^>]*\/>/g, '');
+}
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length, 0);
+    header.write(type, 4, 'latin1');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+    return Buffer.concat([header, data, crc]);
+}
+
+/**
+ * Removes location data from an image's metadata, keeping everything else
+ * The image is rendered to a PNG (see renderImage) whose EXIF GPS block is emptied and whose XMP loses its GPS
+ * properties; EXIF that can't be read is dropped whole, so location never slips through.
+ * @param {sharp.Sharp} sharpInstance - Image, already EXIF-rotated
+ * @returns {Promise<sharp.Sharp>} Image with the remaining metadata
+ */
+async function removeGpsMetadata(sharpInstance) {
+    const { data } = await sharpInstance.keepMetadata().png({ compressionLevel: 0 }).toBuffer({ resolveWithObject: true });
+
+    const chunks = [data.subarray(0, PNG_SIGNATURE_LENGTH)];
+    let offset = PNG_SIGNATURE_LENGTH;
+    while (offset + 12 <= data.length) {
+        const length = data.readUInt32BE(offset);
+        const type = data.toString('latin1', offset + 4, offset + 8);
+        const chunk = data.subarray(offset, offset + 12 + length);
+        const content = Buffer.from(chunk.subarray(8, 8 + length));
+        offset += 12 + length;
+
+        if (type === 'eXIf') {
+            try {
+                chunks.push(pngChunk(type, clearGpsIfd(content)));
+            } catch (exifError) {
+                console.error('Dropping unreadable EXIF data:', exifError.message);
+            }
+        } else if (type === 'tEXt' && content.toString('latin1', 0, XMP_KEYWORD.length + 1) === `${XMP_KEYWORD}\0`) {
+            const xmp = content.toString('utf8', XMP_KEYWORD.length + 1);
+            chunks.push(pngChunk(type, Buffer.concat([Buffer.from(`${XMP_KEYWORD}\0`, 'latin1'), Buffer.from(removeXmpGps(xmp), 'utf8')])));
+        } else if ((type === 'iTXt' || type === 'zTXt') && content.toString('latin1', 0, XMP_KEYWORD.length) === XMP_KEYWORD) {
+            // Possibly compressed XMP; not written by libvips, dropped rather than inspected
+            continue;
+        } else {
+            chunks.push(chunk);
+        }
+    }
+    return sharp(Buffer.concat(chunks));
+}
+
+/**
+ * Sets which metadata the final encode writes
+ * @param {sharp.Sharp} sharpInstance - Pipeline about to be encoded
+ * @param {Object|null} metadata - Result of parseMetadataPolicy; null strips everything (sharp's default)
+ * @param {Object} options - Encode options
+ * @param {boolean} options.srgb - Convert kept colour profiles to sRGB, for outputs that ignore profiles (PDF pages)
+ * @returns {sharp.Sharp} Pipeline with the metadata settings
+ */
+function applyMetadataPolicy(sharpInstance, metadata, options = {}) {
+    if (!metadata) return sharpInstance;
+
+    let image = sharpInstance;
+    const keepsExif = metadata.policy === 'keep-all' || metadata.policy === 'strip-gps';
+    if (keepsExif) {
+        image = image.keepMetadata();
+    } else if (metadata.policy === 'keep-icc') {
+        image = image.keepIccProfile();
+    }
+    if (options.srgb && metadata.policy !== 'strip-all') {
+        image = image.withIccProfile('srgb');
+    }
+
+    const tags = {};
+    if (metadata.copyright) tags.Copyright = metadata.copyright;
+    if (metadata.artist) tags.Artist = metadata.artist;
+    if (Object.keys(tags).length > 0) {
+        // Merging keeps the input's EXIF; otherwise only these fields are written
+        image = keepsExif ? image.withExifMerge({ IFD0: tags }) : image.withExif({ IFD0: tags });
+    }
+    return image;
+}
+
+module.exports = {
+    parseMetadataPolicy,
+    keepsSourceMetadata,
+    renderImage,
+    removeGpsMetadata,
+    applyMetadataPolicy,
+    metadataPolicies
+};
@@ -0,0 +1,146 @@
+// Resize, crop, rotate and flip options for converted images, applied to every file of a batch.
+// Steps run in this order: crop box, rotation, flip/flop, resize (or smart crop), max-dimension downscale.
+const sharp = require('sharp');
+const { renderImage } = require('./imageMetadata');
+
+const fitModes = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const smartCrops = ['attention', 'entropy'];
+const MAX_DIMENSION = 16384; // pixels; well past any camera, below sharp's own limits
+// Fill for the corners of angled rotations and the borders of "contain"
+const TRANSPARENT = { r: 255, g: 255, b: 255, alpha: 0 };
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+
+function parseDimension(value, name) {
+    if (value === undefined || value === '') return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > MAX_DIMENSION) {
+        throw new Error(`Invalid ${name} "${value}". Use a whole number of pixels between 1 and ${MAX_DIMENSION}.`);
+    }
+    return number;
+}
+
+function parseCrop(value) {
+    if (value === undefined || value === '' || value === 'none') return null;
+    const crop = String(value).trim().toLowerCase();
+    if (smartCrops.includes(crop)) return crop;
+
+    const parts = crop.split(',').map(part => part.trim());
+    const numbers = parts.map(Number);
+    if (parts.length !== 4 || parts.some(part => part === '') || !numbers.every(Number.isInteger) ||
+        numbers.some(number => number < 0) || numbers[2] === 0 || numbers[3] === 0) {
+        throw new Error(`Invalid crop "${value}". Use attention, entropy or a box "left,top,width,height" in pixels.`);
+    }
+    const [left, top, width, height] = numbers;
+    return { left, top, width, height };
+}
+
+/**
+ * Reads the resize, crop and rotate fields of a convert request
+ * @param {Object} body - Form fields: width and height (pixels; with only one the other follows the aspect ratio),
+ *   fit (cover, contain, fill, inside, outside; default inside), crop ("left,top,width,height" in pixels of the
+ *   upright image, or attention/entropy to crop smartly to width x height), rotate (degrees clockwise),
+ *   flip and flop ("true" mirrors vertically / horizontally) and max_dimension (longest side in pixels; only shrinks)
+ * @returns {Object|null} Options, or null when the images are to be left as they are
+ * @throws {Error} When a field has an unsupported value
+ */
+function parseTransformOptions(body = {}) {
+    const width = parseDimension(body.width, 'width');
+    const height = parseDimension(body.height, 'height');
+    const maxDimension = parseDimension(body.max_dimension, 'maximum dimension');
+
+    const fit = (body.fit || 'inside').toLowerCase();
+    if (!fitModes.includes(fit)) {
+        throw new Error(`Invalid fit "${body.fit}". Supported: ${fitModes.join(', ')}`);
+    }
+
+    const crop = parseCrop(body.crop);
+    if (typeof crop === 'string' && (!width || !height)) {
+        throw new Error(`The ${crop} crop needs both a width and a height.`);
+    }
+
+    let rotate = 0;
+    if (body.rotate !== undefined && body.rotate !== '') {
+        rotate = Number(body.rotate);
+        if (!Number.isFinite(rotate) || Math.abs(rotate) > 360) {
+            throw new Error(`Invalid rotation "${body.rotate}". Use degrees between -360 and 360.`);
+        }
+        rotate %= 360;
+    }
+
+    const flip = body.flip === 'true';
+    const flop = body.flop === 'true';
+
+    if (!width && !height && !maxDimension && !crop && !rotate && !flip && !flop) {
+        return null;
+    }
+    return { width, height, fit, crop, rotate, flip, flop, maxDimension };
+}
+
+/**
+ * Resizes, crops, rotates and flips an image
+ * Each step renders the image before the next (see renderImage), since sharp would otherwise reorder the
+ * operations (and ignore a second rotate after the EXIF one).
+ * @param {sharp.Sharp} sharpInstance - Image, already EXIF-rotated
+ * @param {Object} transform - Result of parseTransformOptions
+ * @param {Object} options - Output options
+ * @param {boolean} options.opaque - Fill with white instead of transparency, for formats without alpha (JPEG)
+ * @param {boolean} options.keepMetadata - Carry the input's metadata along (see utils/imageMetadata.js)
+ * @returns {Promise<sharp.Sharp>} Transformed image
+ * @throws {Error} When the crop box lies outside the image
+ */
+async function transformImage(sharpInstance, transform, options = {}) {
+    const background = options.opaque ? WHITE : TRANSPARENT;
+    let current = await renderImage(sharpInstance, options.keepMetadata);
+    const step = async apply => {
+        current = await renderImage(apply(current.load()), options.keepMetadata);
+    };
+
+    if (transform.crop && typeof transform.crop === 'object') {
+        // Images in a batch differ in size, so the box is clipped to each image
+        const { width, height } = current.info;
+        const left = Math.min(transform.crop.left, width);
+        const top = Math.min(transform.crop.top, height);
+        const box = {
+            left,
+            top,
+            width: Math.min(transform.crop.width, width - left),
+            height: Math.min(transform.crop.height, height - top)
+        };
+        if (box.width < 1 || box.height < 1) {
+            throw new Error(`Crop box ${transform.crop.left},${transform.crop.top},${transform.crop.width},${transform.crop.height} lies outside the ${width}x${height} image.`);
+        }
+        await step(image => image.extract(box));
+    }
+
+    if (transform.rotate) {
+        await step(image => image.rotate(transform.rotate, { background }));
+    }
+
+    if (transform.flip || transform.flop) {
+        await step(image => image.flip(transform.flip).flop(transform.flop));
+    }
+
+    if (transform.width || transform.height) {
+        const smartCrop = typeof transform.crop === 'string';
+        await step(image => image.resize({
+            width: transform.width || undefined,
+            height: transform.height || undefined,
+            fit: smartCrop ? 'cover' : transform.fit,
+            position: smartCrop ? sharp.strategy[transform.crop] : 'centre',
+            background
+        }));
+    }
+
+    if (transform.maxDimension) {
+        await step(image => image.resize({
+            width: transform.maxDimension,
+            height: transform.maxDimension,
+            fit: 'inside',
+            withoutEnlargement: true
+        }));
+    }
+
+    return current.load();
+}
+
+module.exports = { parseTransformOptions, transformImage, fitModes };
@@ -0,0 +1,256 @@
+// Storage for background conversion jobs: job records plus their input/output files ("blobs").
+// MemoryJobStore keeps everything in process (local development); MongoJobStore persists jobs in
+// MongoDB and blobs in GridFS so any serverless instance can pick up and finish a job.
+// Passwords sent with a job are kept apart from its options in `secrets`; MongoJobStore encrypts them.
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const JOB_TTL_MS = 60 * 60 * 1000; // jobs and their files are kept for one hour
+
+// Request fields that are never stored in plain text
+const SECRET_OPTIONS = ['password', 'user_password', 'owner_password'];
+
+/**
+ * Separates the passwords of a job request from its other options
+ * @param {Object} body - Request fields
+ * @returns {{options: Object, secrets: Object|null}} secrets is null when no password was sent
+ */
+function splitJobSecrets(body) {
+    const options = { ...body };
+    const secrets = {};
+    for (const name of SECRET_OPTIONS) {
+        if (options[name] !== undefined) {
+            if (options[name] !== '') secrets[name] = options[name];
+            delete options[name];
+        }
+    }
+    return { options, secrets: Object.keys(secrets).length > 0 ? secrets : null };
+}
+
+// AES-256-GCM key for job secrets in MongoDB. JOB_SECRET_KEY should be set; the MongoDB connection string is
+// the fallback because it is also a server-side secret that isn't stored in the database.
+function secretKey() {
+    const keyMaterial = process.env.JOB_SECRET_KEY || process.env.MONGODB_URI;
+    return crypto.createHash('sha256').update(`job-secrets:${keyMaterial}`).digest();
+}
+
+function sealSecrets(secrets) {
+    if (!secrets) return null;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', secretKey(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+}
+
+function openSecrets(sealed) {
+    if (!sealed) return null;
+    const [iv, tag, data] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey(), iv);
+    decipher.setAuthTag(tag);
+    return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'));
+}
+
+// Returns a deep copy so callers can't mutate stored state by accident
+function clone(job) {
+    return job ? JSON.parse(JSON.stringify(job)) : null;
+}
+
+class MemoryJobStore {
+    constructor() {
+        this.jobs = new Map();
+        this.blobs = new Map();
+    }
+
+    async create(job) {
+        const now = new Date();
+        const record = { ...job, createdAt: now, updatedAt: now, expiresAt: new Date(now.getTime() + JOB_TTL_MS), lockedUntil: null };
+        this.jobs.set(job.id, record);
+        return clone(record);
+    }
+
+    async get(id) {
+        return clone(this.jobs.get(id));
+    }
+
+    async update(id, patch) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        Object.assign(job, JSON.parse(JSON.stringify(patch)), { updatedAt: new Date() });
+        return clone(job);
+    }
+
+    // Locks an unfinished job (a specific one, or the oldest available) for `leaseMs`
+    async claim(id, leaseMs) {
+        const now = Date.now();
+        const candidates = id ? [this.jobs.get(id)].filter(Boolean) : Array.from(this.jobs.values());
+        const job = candidates
+            .filter(j => ['queued', 'running'].includes(j.status) && (!j.lockedUntil || new Date(j.lockedUntil).getTime() < now))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
+        if (!job) return null;
+        job.status = 'running';
+        job.lockedUntil = new Date(now + leaseMs);
+        job.updatedAt = new Date();
+        return clone(job);
+    }
+
+    async release(id) {
+        const job = this.jobs.get(id);
+        if (job) job.lockedUntil = null;
+    }
+
+    async putBlob(jobId, key, buffer) {
+        this.blobs.set(`${jobId}/${key}`, Buffer.from(buffer));
+    }
+
+    async getBlob(jobId, key) {
+        return this.blobs.get(`${jobId}/${key}`) || null;
+    }
+
+    async deleteBlobs(jobId, prefix = '') {
+        for (const key of this.blobs.keys()) {
+            if (key.startsWith(`${jobId}/${prefix}`)) this.blobs.delete(key);
+        }
+    }
+
+    // Drops expired jobs and their files
+    async sweep() {
+        const now = Date.now();
+        for (const [id, job] of this.jobs) {
+            if (new Date(job.expiresAt).getTime() < now) {
+                this.jobs.delete(id);
+                await this.deleteBlobs(id);
+            }
+        }
+    }
+}
+
+class MongoJobStore {
+    constructor(getDatabase) {
+        this.getDatabase = getDatabase;
+        this.indexesReady = false;
+    }
+
+    async collections() {
+        const db = await this.getDatabase();
+        if (!db) {
+            throw new Error('Database not available');
+        }
+        const { GridFSBucket } = require('mongodb');
+        const jobs = db.collection('jobs');
+        if (!this.indexesReady) {
+            // MongoDB removes expired job records itself; sweep() removes their GridFS files
+            await jobs.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+            await jobs.createIndex({ status: 1, createdAt: 1 });
+            this.indexesReady = true;
+        }
+        return { jobs, bucket: new GridFSBucket(db, { bucketName: 'job_files' }) };
+    }
+
+    async create(job) {
+        const { jobs } = await this.collections();
+        const now = new Date();
+        const record = { ...job, _id: job.id, createdAt: now, updatedAt: now, expiresAt: new Date(now.getTime() + JOB_TTL_MS), lockedUntil: null };
+        await jobs.insertOne({ ...record, secrets: sealSecrets(job.secrets) });
+        return this.toJob(record);
+    }
+
+    async get(id) {
+        const { jobs } = await this.collections();
+        return this.toJob(await jobs.findOne({ _id: id }));
+    }
+
+    async update(id, patch) {
+        const { jobs } = await this.collections();
+        const fields = { ...patch, updatedAt: new Date() };
+        if ('secrets' in patch) fields.secrets = sealSecrets(patch.secrets);
+        const result = await jobs.findOneAndUpdate(
+            { _id: id },
+            { $set: fields },
+            { returnDocument: 'after' }
+        );
+        return this.toJob(result);
+    }
+
+    async claim(id, leaseMs) {
+        const { jobs } = await this.collections();
+        const now = new Date();
+        const filter = {
+            status: { $in: ['queued', 'running'] },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+        };
+        if (id) filter._id = id;
+        const result = await jobs.findOneAndUpdate(
+            filter,
+            { $set: { status: 'running', lockedUntil: new Date(now.getTime() + leaseMs), updatedAt: now } },
+            { sort: { createdAt: 1 }, returnDocument: 'after' }
+        );
+        return this.toJob(result);
+    }
+
+    async release(id) {
+        const { jobs } = await this.collections();
+        await jobs.updateOne({ _id: id }, { $set: { lockedUntil: null } });
+    }
+
+    async putBlob(jobId, key, buffer) {
+        const { bucket } = await this.collections();
+        const filename = `${jobId}/${key}`;
+        // Replace any earlier copy, e.g. from a retried step
+        for (const file of await bucket.find({ filename }).toArray()) {
+            await bucket.delete(file._id);
+        }
+        await new Promise((resolve, reject) => {
+            Readable.from([Buffer.from(buffer)])
+                .pipe(bucket.openUploadStream(filename, { metadata: { jobId, expiresAt: new Date(Date.now() + JOB_TTL_MS) } }))
+                .on('finish', resolve)
+                .on('error', reject);
+        });
+    }
+
+    async getBlob(jobId, key) {
+        const { bucket } = await this.collections();
+        const filename = `${jobId}/${key}`;
+        const files = await bucket.find({ filename }).limit(1).toArray();
+        if (files.length === 0) return null;
+        const chunks = [];
+        for await (const chunk of bucket.openDownloadStreamByName(filename)) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    async deleteBlobs(jobId, prefix = '') {
+        const { bucket } = await this.collections();
+        const escaped = `${jobId}/${prefix}`.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        for (const file of await bucket.find({ filename: { $regex: `^${escaped}` } }).toArray()) {
+            await bucket.delete(file._id);
+        }
+    }
+
+    async sweep() {
+        const { bucket } = await this.collections();
+        for (const file of await bucket.find({ 'metadata.expiresAt': { $lt: new Date() } }).toArray()) {
+            await bucket.delete(file._id);
+        }
+    }
+
+    toJob(record) {
+        if (!record) return null;
+        const { _id, ...job } = record;
+        return clone({ ...job, id: _id, secrets: typeof job.secrets === 'string' ? openSecrets(job.secrets) : job.secrets || null });
+    }
+}
+
+/**
+ * Picks the job store for this environment: MongoDB when MONGODB_URI is set, otherwise in-memory
+ * @returns {MemoryJobStore|MongoJobStore}
+ */
+function createJobStore() {
+    if (process.env.MONGODB_URI) {
+        const db = require('../database');
+        return new MongoJobStore(db.connectToDatabase);
+    }
+    return new MemoryJobStore();
+}
+
+module.exports = { MemoryJobStore, MongoJobStore, createJobStore, splitJobSecrets, JOB_TTL_MS };
@@ -0,0 +1,210 @@
+// Background worker for conversion jobs.
+// Handlers either convert one file at a time (processFile), so progress is saved after every file and a
+// job can be resumed by the next worker run, or process all inputs together (processAll), e.g. combining.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+
+const LEASE_MS = 60 * 1000; // a crashed worker's lock expires after this and another run can resume the job
+
+// Builds a ZIP in memory from [{name, buffer}] entries
+function createZipBuffer(entries) {
+    return new Promise((resolve, reject) => {
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        const chunks = [];
+        archive.on('data', chunk => chunks.push(chunk));
+        archive.on('end', () => resolve(Buffer.concat(chunks)));
+        archive.on('error', reject);
+        entries.forEach(entry => archive.append(entry.buffer, { name: entry.name }));
+        archive.finalize();
+    });
+}
+
+// Copies a stored input to /tmp so handlers get the same {path, originalname, size} shape as multer files
+async function materializeInput(store, job, fileInfo) {
+    const buffer = await store.getBlob(job.id, `input/${fileInfo.index}`);
+    if (!buffer) {
+        throw new Error(`Input file ${fileInfo.name} is no longer available`);
+    }
+    const tmpPath = path.join('/tmp', `job_${job.id}_${fileInfo.index}_${crypto.randomBytes(4).toString('hex')}`);
+    fs.writeFileSync(tmpPath, buffer);
+    return { path: tmpPath, originalname: fileInfo.name, size: buffer.length, mimetype: fileInfo.mimetype };
+}
+
+function removeTmp(file) {
+    try {
+        if (file && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    } catch (cleanupError) {
+        console.error('Cleanup error:', cleanupError);
+    }
+}
+
+function progressOf(files) {
+    const completed = files.filter(f => f.status !== 'pending').length;
+    return { completed, total: files.length, percent: files.length ? Math.round((completed / files.length) * 100) : 100 };
+}
+
+/**
+ * Creates a worker that runs queued jobs from `store`
+ * @param {Object} store - Job store (see jobStore.js)
+ * @param {Object} handlers - Map of job type to {processFile(job, file) => {buffer, name, mimetype}, zipName} or
+ *   {processAll(job, files) => {buffer, name, mimetype, fileErrors}}
+ * @returns {{runJob: Function, tick: Function, start: Function, stop: Function}}
+ */
+function createJobWorker(store, handlers) {
+    let timer = null;
+    let busy = false;
+
+    // Finishes a per-file job: a single successful output is returned as-is, anything else as a ZIP
+    async function finalizePerFileJob(job, handler) {
+        const outputs = [];
+        for (const file of job.files) {
+            if (file.status === 'completed') {
+                outputs.push({ name: file.outputName, buffer: await store.getBlob(job.id, `output/${file.index}`) });
+            } else {
+                outputs.push({ name: `ERROR_${file.name}.txt`, buffer: Buffer.from(`Error converting ${file.name}: ${file.error}`) });
+            }
+        }
+
+        const succeeded = job.files.filter(f => f.status === 'completed');
+        if (succeeded.length === 0) {
+            throw new Error(`All files failed: ${job.files.map(f => `${f.name}: ${f.error}`).join('; ')}`);
+        }
+
+        if (job.files.length === 1) {
+            return { buffer: outputs[0].buffer, name: outputs[0].name, mimetype: job.files[0].outputMimetype };
+        }
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        return { buffer: await createZipBuffer(outputs), name: `${handler.zipName || job.type}_${timestamp}.zip`, mimetype: 'application/zip' };
+    }
+
+    /**
+     * Works on a claimed job until it finishes or `deadline` passes; unfinished jobs are released for the next run
+     * @param {Object} job - Claimed job record
+     * @param {number} deadline - Timestamp (ms) after which no new file is started
+     */
+    async function runJob(job, deadline) {
+        const handler = handlers[job.type];
+
+        try {
+            if (!handler) {
+                throw new Error(`Unknown job type: ${job.type}`);
+            }
+
+            let result;
+            if (handler.processAll) {
+                const inputs = [];
+                try {
+                    for (const fileInfo of job.files) {
+                        inputs.push(await materializeInput(store, job, fileInfo));
+                    }
+                    result = await handler.processAll(job, inputs);
+                } finally {
+                    inputs.forEach(removeTmp);
+                }
+                const failed = new Map((result.fileErrors || []).map(e => [e.index, e.error]));
+                job.files.forEach(file => {
+                    file.status = failed.has(file.index) ? 'failed' : 'completed';
+                    if (failed.has(file.index)) file.error = failed.get(file.index);
+                });
+            } else {
+                for (const fileInfo of job.files) {
+                    if (fileInfo.status !== 'pending') continue;
+                    if (Date.now() > deadline) {
+                        // Out of time for this run; progress so far is saved
+                        await store.release(job.id);
+                        return store.get(job.id);
+                    }
+
+                    let input = null;
+                    try {
+                        input = await materializeInput(store, job, fileInfo);
+                        const output = await handler.processFile(job, input);
+                        await store.putBlob(job.id, `output/${fileInfo.index}`, output.buffer);
+                        fileInfo.status = 'completed';
+                        fileInfo.outputName = output.name;
+                        fileInfo.outputMimetype = output.mimetype;
+                    } catch (fileError) {
+                        console.error(`Job ${job.id}: error converting ${fileInfo.name}:`, fileError);
+                        fileInfo.status = 'failed';
+                        fileInfo.error = fileError.message;
+                    } finally {
+                        removeTmp(input);
+                    }
+
+                    await store.update(job.id, { files: job.files, progress: progressOf(job.files) });
+                }
+                result = await finalizePerFileJob(job, handler);
+            }
+
+            await store.putBlob(job.id, 'result', result.buffer);
+            await store.deleteBlobs(job.id, 'input/');
+            await store.deleteBlobs(job.id, 'output/');
+            console.log(`Job ${job.id} (${job.type}) completed: ${result.name}`);
+            return store.update(job.id, {
+                status: 'completed',
+                files: job.files,
+                progress: progressOf(job.files),
+                result: { name: result.name, mimetype: result.mimetype, size: result.buffer.length },
+                secrets: null,
+                lockedUntil: null
+            });
+        } catch (error) {
+            console.error(`Job ${job.id} (${job.type}) failed:`, error);
+            // Errors can carry per-file results (e.g. the combine manifest)
+            (error.files || []).forEach(entry => {
+                const file = job.files[entry.index];
+                if (file && entry.status === 'failed') {
+                    file.status = 'failed';
+                    file.error = entry.error;
+                }
+            });
+            await store.deleteBlobs(job.id);
+            return store.update(job.id, {
+                status: 'failed',
+                error: error.message,
+                files: job.files,
+                progress: progressOf(job.files),
+                secrets: null,
+                lockedUntil: null
+            });
+        }
+    }
+
+    /**
+     * Claims and runs one job (a specific one if `jobId` is given) within `budgetMs`
+     * @returns {Promise<Object|null>} Updated job, or null when nothing could be claimed
+     */
+    async function tick({ jobId = null, budgetMs = LEASE_MS } = {}) {
+        if (busy) return null;
+        busy = true;
+        try {
+            await store.sweep();
+            const job = await store.claim(jobId, Math.max(LEASE_MS, budgetMs));
+            if (!job) return null;
+            return await runJob(job, Date.now() + budgetMs);
+        } catch (error) {
+            console.error('Job worker error:', error);
+            return null;
+        } finally {
+            busy = false;
+        }
+    }
+
+    // Polls for queued jobs in long-running processes (local development)
+    function start(intervalMs = 1000) {
+        if (timer) return;
+        timer = setInterval(() => tick(), intervalMs);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { runJob, tick, start, stop };
+}
+
+module.exports = { createJobWorker, createZipBuffer, progressOf };
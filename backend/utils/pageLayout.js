@@ -0,0 +1,166 @@
+// Page layout for images placed into a combined PDF: page size, orientation, margins, scaling mode and N-up grids.
+// All measurements are PDF points (1/72 inch); image sizes are taken 1 pixel = 1 point, as the combine route always has.
+const { PageSizes } = require('pdf-lib');
+
+const POINTS_PER_MM = 72 / 25.4;
+const GRID_GAP_POINTS = 8; // space between images on an N-up page
+const MIN_PAGE_MM = 25;
+const MAX_PAGE_MM = 5000; // just under the 200 inch page size limit of PDF viewers
+
+const pageSizes = {
+    a4: PageSizes.A4,
+    letter: PageSizes.Letter,
+    legal: PageSizes.Legal
+};
+
+// Columns x rows for each N-up option on a portrait sheet; landscape sheets swap them
+const gridShapes = {
+    1: [1, 1],
+    2: [1, 2],
+    4: [2, 2],
+    6: [2, 3]
+};
+
+const fitModes = ['fit', 'fill', 'center'];
+const orientations = ['auto', 'portrait', 'landscape'];
+
+function parseMillimetres(value, name, { min, max }) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+        throw new Error(`Invalid ${name} "${value}". Use a number of millimetres between ${min} and ${max}.`);
+    }
+    return number * POINTS_PER_MM;
+}
+
+/**
+ * Reads the layout fields of a combine request
+ * @param {Object} body - Form fields: page_size (auto, a4, letter, legal, custom), page_width/page_height (mm, custom only),
+ *   orientation (auto, portrait, landscape), margin (mm), fit (fit, fill, center), images_per_page (1, 2, 4, 6)
+ * @returns {{pageSize: string, customSize: number[]|null, orientation: string, margin: number, fit: string, perPage: number}}
+ * @throws {Error} When a field has an unsupported value
+ */
+function parseLayoutOptions(body = {}) {
+    const pageSize = (body.page_size || 'auto').toLowerCase();
+    if (pageSize !== 'auto' && pageSize !== 'custom' && !pageSizes[pageSize]) {
+        throw new Error(`Invalid page size "${body.page_size}". Supported: auto, ${Object.keys(pageSizes).join(', ')}, custom`);
+    }
+
+    let customSize = null;
+    if (pageSize === 'custom') {
+        const limit = { min: MIN_PAGE_MM, max: MAX_PAGE_MM };
+        customSize = [
+            parseMillimetres(body.page_width, 'page width', limit),
+            parseMillimetres(body.page_height, 'page height', limit)
+        ];
+    }
+
+    const orientation = (body.orientation || 'auto').toLowerCase();
+    if (!orientations.includes(orientation)) {
+        throw new Error(`Invalid orientation "${body.orientation}". Supported: ${orientations.join(', ')}`);
+    }
+
+    const fit = (body.fit || 'fit').toLowerCase();
+    if (!fitModes.includes(fit)) {
+        throw new Error(`Invalid fit mode "${body.fit}". Supported: ${fitModes.join(', ')}`);
+    }
+
+    const perPage = body.images_per_page === undefined || body.images_per_page === '' ? 1 : Number(body.images_per_page);
+    if (!gridShapes[perPage]) {
+        throw new Error(`Invalid images per page "${body.images_per_page}". Supported: ${Object.keys(gridShapes).join(', ')}`);
+    }
+
+    const margin = body.margin === undefined || body.margin === '' ? 0 : parseMillimetres(body.margin, 'margin', { min: 0, max: 100 });
+
+    return { pageSize, customSize, orientation, margin, fit, perPage };
+}
+
+/**
+ * Size of the sheet for a page whose first image is imageWidth x imageHeight
+ * With page_size "auto" and one image per page the sheet wraps the image (scaled down to A4 if larger) plus margins.
+ * "auto" orientation turns standard sizes to match the image; custom sizes are used as entered.
+ * @returns {number[]} [width, height] in points
+ */
+function getSheetSize(layout, imageWidth, imageHeight) {
+    let [width, height] = layout.pageSize === 'custom' ? layout.customSize : (pageSizes[layout.pageSize] || PageSizes.A4);
+
+    if (layout.pageSize === 'auto' && layout.perPage === 1) {
+        const [maxWidth, maxHeight] = PageSizes.A4;
+        const ratio = Math.min(1, maxWidth / imageWidth, maxHeight / imageHeight);
+        width = imageWidth * ratio;
+        height = imageHeight * ratio;
+        return [width + layout.margin * 2, height + layout.margin * 2];
+    }
+
+    if (layout.orientation === 'auto' && layout.pageSize === 'custom') {
+        return [width, height];
+    }
+
+    // "auto" orientation follows the image, so landscape photos get landscape pages
+    const landscape = layout.orientation === 'landscape' ||
+        (layout.orientation === 'auto' && imageWidth > imageHeight);
+    if (landscape !== width > height) {
+        [width, height] = [height, width];
+    }
+    return [width, height];
+}
+
+/**
+ * Splits the printable area of a sheet into the N-up grid, in reading order (left to right, top to bottom)
+ * @returns {{x: number, y: number, width: number, height: number}[]} Cells in PDF coordinates (origin bottom-left)
+ */
+function getGridCells(layout, sheetWidth, sheetHeight) {
+    let [columns, rows] = gridShapes[layout.perPage];
+    if (sheetWidth > sheetHeight) {
+        [columns, rows] = [rows, columns];
+    }
+
+    const gap = layout.perPage > 1 ? GRID_GAP_POINTS : 0;
+    const areaWidth = sheetWidth - layout.margin * 2;
+    const areaHeight = sheetHeight - layout.margin * 2;
+    const cellWidth = (areaWidth - gap * (columns - 1)) / columns;
+    const cellHeight = (areaHeight - gap * (rows - 1)) / rows;
+    if (cellWidth <= 0 || cellHeight <= 0) {
+        throw new Error('Margins leave no room for images on the page');
+    }
+
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            cells.push({
+                x: layout.margin + column * (cellWidth + gap),
+                y: sheetHeight - layout.margin - (row + 1) * cellHeight - row * gap,
+                width: cellWidth,
+                height: cellHeight
+            });
+        }
+    }
+    return cells;
+}
+
+/**
+ * Where to draw an image inside a cell
+ * fit: scale to fit inside the cell; fill: cover the cell, cropping the overflow; center: natural size, only shrunk if too large
+ * @returns {{x: number, y: number, width: number, height: number, clip: boolean}} clip is true when the image overflows the cell
+ */
+function placeImage(layout, imageWidth, imageHeight, cell) {
+    let scale;
+    if (layout.fit === 'fill') {
+        scale = Math.max(cell.width / imageWidth, cell.height / imageHeight);
+    } else if (layout.fit === 'center') {
+        scale = Math.min(1, cell.width / imageWidth, cell.height / imageHeight);
+    } else {
+        scale = Math.min(cell.width / imageWidth, cell.height / imageHeight);
+    }
+
+    const width = imageWidth * scale;
+    const height = imageHeight * scale;
+    return {
+        x: cell.x + (cell.width - width) / 2,
+        y: cell.y + (cell.height - height) / 2,
+        width,
+        height,
+        clip: width > cell.width + 0.01 || height > cell.height + 0.01
+    };
+}
+
+module.exports = { parseLayoutOptions, getSheetSize, getGridCells, placeImage, pageSizes };
@@ -0,0 +1,74 @@
+const { PDFDocument, degrees } = require('pdf-lib');
+const { parsePageRange } = require('./pageRange');
+
+/**
+ * Parses a page plan such as "1-3,5,7r90,2;8-" into output documents
+ * Pages are listed in output order, so a plan can reorder, repeat (duplicate) and leave out (delete) pages.
+ * "r<degrees>" after a page or range rotates it clockwise by 90, 180 or 270 (negative values turn counter-clockwise),
+ * and ";" starts another output document, which extracts parts of the PDF into separate files.
+ * @param {string} spec - Page plan; empty or "all" keeps every page once
+ * @param {number} pageCount - Number of pages in the document
+ * @returns {{page: number, rotation: number}[][]} One list of 1-based pages per output document
+ */
+function parsePagePlan(spec, pageCount) {
+    const text = (spec || '').toString().trim().toLowerCase();
+    const groups = text === '' ? [''] : text.split(';').map(group => group.trim());
+
+    return groups.map(group => {
+        if (group === '' && groups.length > 1) {
+            throw new Error(`Page plan "${spec}" has an empty part`);
+        }
+        if (group === '' || group === 'all') {
+            return parsePageRange('', pageCount).map(page => ({ page, rotation: 0 }));
+        }
+
+        const entries = [];
+        for (const part of group.split(',').map(p => p.trim()).filter(Boolean)) {
+            const match = part.match(/^(.*?)(?:r(-?\d+))?$/);
+            let rotation = 0;
+            if (match[2] !== undefined) {
+                rotation = Number(match[2]);
+                if (rotation % 90 !== 0) {
+                    throw new Error(`Invalid rotation "${match[2]}" in "${part}". Use a multiple of 90 degrees.`);
+                }
+                rotation = ((rotation % 360) + 360) % 360;
+            }
+            if (match[1].trim() === '') {
+                throw new Error(`Missing page number in "${part}"`);
+            }
+            parsePageRange(match[1].trim(), pageCount).forEach(page => entries.push({ page, rotation }));
+        }
+        if (entries.length === 0) {
+            throw new Error(`Page plan "${spec}" does not select any pages`);
+        }
+        return entries;
+    });
+}
+
+/**
+ * Builds new PDFs from a source PDF according to a page plan
+ * @param {Buffer} buffer - Source PDF file contents
+ * @param {string} spec - Page plan, see parsePagePlan
+ * @returns {Promise<{pdfBytes: Uint8Array, pageCount: number}[]>} One entry per output document
+ */
+async function applyPagePlan(buffer, spec) {
+    const source = await PDFDocument.load(buffer);
+    const groups = parsePagePlan(spec, source.getPageCount());
+
+    const outputs = [];
+    for (const entries of groups) {
+        const output = await PDFDocument.create();
+        // copyPages makes an independent copy for every index, so repeated pages can be rotated separately
+        const pages = await output.copyPages(source, entries.map(entry => entry.page - 1));
+        pages.forEach((page, i) => {
+            if (entries[i].rotation) {
+                page.setRotation(degrees((page.getRotation().angle + entries[i].rotation) % 360));
+            }
+            output.addPage(page);
+        });
+        outputs.push({ pdfBytes: await output.save(), pageCount: pages.length });
+    }
+    return outputs;
+}
+
+module.exports = { parsePagePlan, applyPagePlan };
@@ -0,0 +1,75 @@
+/**
+ * Parses a page selection such as "1-3,5,8-" into 1-based page numbers
+ * Open-ended ranges run to the last page; "last" may be used in place of a number.
+ * @param {string} spec - Page selection; empty or "all" selects every page
+ * @param {number} pageCount - Number of pages in the document
+ * @returns {number[]} Page numbers in the order given (duplicates preserved)
+ */
+function parsePageRange(spec, pageCount) {
+    const text = (spec || '').toString().trim().toLowerCase();
+    if (text === '' || text === 'all') {
+        return Array.from({ length: pageCount }, (_, i) => i + 1);
+    }
+
+    const toPage = (value, fallback) => {
+        if (value === '') return fallback;
+        if (value === 'last') return pageCount;
+        const page = Number(value);
+        if (!Number.isInteger(page) || page < 1) {
+            throw new Error(`Invalid page number "${value}" in page range "${spec}"`);
+        }
+        if (page > pageCount) {
+            throw new Error(`Page ${page} is out of range (document has ${pageCount} pages)`);
+        }
+        return page;
+    };
+
+    const pages = [];
+    for (const part of text.split(',').map(p => p.trim()).filter(Boolean)) {
+        const dash = part.indexOf('-');
+        if (dash === -1) {
+            pages.push(toPage(part));
+            continue;
+        }
+        const start = toPage(part.slice(0, dash).trim(), 1);
+        const end = toPage(part.slice(dash + 1).trim(), pageCount);
+        const step = start <= end ? 1 : -1; // "5-3" selects pages in reverse
+        for (let page = start; page !== end + step; page += step) {
+            pages.push(page);
+        }
+    }
+
+    if (pages.length === 0) {
+        throw new Error(`Page range "${spec}" does not select any pages`);
+    }
+    return pages;
+}
+
+/**
+ * Checks the syntax of a page selection before the page count is known (see parsePageRange)
+ * @param {string} spec - Page selection; empty or "all" selects every page
+ * @returns {string} The selection, trimmed
+ * @throws {Error} When a part is not a page number, "last" or a range of them
+ */
+function validatePageRange(spec) {
+    const text = (spec || '').toString().trim().toLowerCase();
+    if (text === '' || text === 'all') {
+        return text;
+    }
+
+    const isPage = value => value === 'last' || /^[1-9]\d*$/.test(value);
+    const parts = text.split(',').map(p => p.trim()).filter(Boolean);
+    const valid = parts.length > 0 && parts.every(part => {
+        const dash = part.indexOf('-');
+        if (dash === -1) return isPage(part);
+        const start = part.slice(0, dash).trim();
+        const end = part.slice(dash + 1).trim();
+        return (start !== '' || end !== '') && (start === '' || isPage(start)) && (end === '' || isPage(end));
+    });
+    if (!valid) {
+        throw new Error(`Invalid page range "${spec}". Use page numbers such as 1-3,5,8- or last.`);
+    }
+    return text;
+}
+
+module.exports = { parsePageRange, validatePageRange };
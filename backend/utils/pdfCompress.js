@@ -0,0 +1,216 @@
+// PDF compression: downsamples and recompresses embedded images with sharp, drops unreferenced objects
+// and metadata, and saves with object streams.
+const zlib = require('zlib');
+const sharp = require('sharp');
+const { PDFDocument, PDFName, PDFNumber, PDFRef, PDFDict, PDFArray, PDFStream, PDFRawStream } = require('pdf-lib');
+
+// Resolution images are downsampled to (relative to the largest page) and JPEG quality, like Ghostscript's presets
+const compressionPresets = {
+    screen: { dpi: 72, quality: 50 },
+    ebook: { dpi: 150, quality: 70 },
+    print: { dpi: 300, quality: 85 }
+};
+
+const DEFAULT_PRESET = 'ebook';
+
+/**
+ * Looks up a compression preset by name
+ * @param {string} name - screen, ebook or print; empty selects the default (ebook)
+ * @returns {{name: string, dpi: number, quality: number}} Preset settings
+ * @throws {Error} When the preset is unknown
+ */
+function getCompressionPreset(name) {
+    const key = (name || DEFAULT_PRESET).toString().toLowerCase();
+    if (!compressionPresets[key]) {
+        throw new Error(`Invalid compression preset "${name}". Supported: ${Object.keys(compressionPresets).join(', ')}`);
+    }
+    return { name: key, ...compressionPresets[key] };
+}
+
+// Number of colour channels of an image colour space we can re-encode, or 0 for anything else (CMYK, Indexed, Lab, ...)
+function getChannelCount(context, colorSpace) {
+    const space = context.lookup(colorSpace);
+    if (space === PDFName.of('DeviceRGB')) return 3;
+    if (space === PDFName.of('DeviceGray')) return 1;
+    if (space instanceof PDFArray && space.get(0) === PDFName.of('ICCBased')) {
+        const profile = context.lookup(space.get(1));
+        const n = profile instanceof PDFStream ? profile.dict.lookup(PDFName.of('N')) : null;
+        return n instanceof PDFNumber && (n.asNumber() === 1 || n.asNumber() === 3) ? n.asNumber() : 0;
+    }
+    return 0;
+}
+
+// Single filter of a stream, or undefined when it has none or a chain of filters
+function getFilter(dict) {
+    const filter = dict.lookup(PDFName.of('Filter'));
+    if (filter instanceof PDFArray && filter.size() === 1) return filter.lookup(0);
+    return filter instanceof PDFName ? filter : undefined;
+}
+
+// A Decode array other than the default [0 1 0 1 ...] inverts or remaps the samples
+function hasCustomDecode(dict) {
+    const decode = dict.lookup(PDFName.of('Decode'));
+    return decode instanceof PDFArray &&
+        decode.asArray().some((value, i) => !(value instanceof PDFNumber) || value.asNumber() !== i % 2);
+}
+
+// Opens an image XObject with sharp; returns null for encodings we leave alone
+function readImage(context, stream) {
+    const dict = stream.dict;
+    const width = dict.lookup(PDFName.of('Width'));
+    const height = dict.lookup(PDFName.of('Height'));
+    const bitsPerComponent = dict.lookup(PDFName.of('BitsPerComponent'));
+    if (!(width instanceof PDFNumber) || !(height instanceof PDFNumber)) return null;
+    if (!(bitsPerComponent instanceof PDFNumber) || bitsPerComponent.asNumber() !== 8) return null;
+    if (dict.has(PDFName.of('ImageMask')) || hasCustomDecode(dict)) return null;
+
+    const channels = getChannelCount(context, dict.get(PDFName.of('ColorSpace')));
+    if (!channels) return null;
+
+    const filter = getFilter(dict);
+    if (filter === PDFName.of('DCTDecode')) {
+        return { image: sharp(Buffer.from(stream.contents)), channels, width: width.asNumber(), height: height.asNumber() };
+    }
+    if (filter === PDFName.of('FlateDecode')) {
+        // PNG/TIFF predictors are not undone here, so predicted images are kept as they are
+        const parms = dict.lookup(PDFName.of('DecodeParms'));
+        const predictor = parms instanceof PDFDict ? parms.lookup(PDFName.of('Predictor')) : null;
+        if (predictor instanceof PDFNumber && predictor.asNumber() > 1) return null;
+
+        const pixels = zlib.inflateSync(Buffer.from(stream.contents));
+        if (pixels.length !== width.asNumber() * height.asNumber() * channels) return null;
+        const raw = { width: width.asNumber(), height: height.asNumber(), channels };
+        return { image: sharp(pixels, { raw }), channels, ...raw };
+    }
+    return null;
+}
+
+/**
+ * Re-encodes one image XObject; returns the replacement stream, or null when it would not be smaller
+ * Soft masks (transparency) stay lossless; everything else becomes JPEG.
+ */
+async function recompressImage(context, stream, { maxDimension, quality, isSoftMask }) {
+    const source = readImage(context, stream);
+    if (!source) return null;
+
+    let image = source.image;
+    if (Math.max(source.width, source.height) > maxDimension) {
+        image = image.resize({ width: maxDimension, height: maxDimension, fit: 'inside' });
+    }
+
+    const dict = stream.dict.clone(context);
+    dict.delete(PDFName.of('DecodeParms'));
+
+    let contents;
+    let info;
+    if (isSoftMask) {
+        const result = await image.extractChannel(0).raw().toBuffer({ resolveWithObject: true });
+        contents = zlib.deflateSync(result.data);
+        info = result.info;
+        dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+    } else {
+        image = image.toColourspace(source.channels === 1 ? 'b-w' : 'srgb');
+        const result = await image.jpeg({ quality, mozjpeg: true }).toBuffer({ resolveWithObject: true });
+        if (result.info.channels !== source.channels) return null;
+        contents = result.data;
+        info = result.info;
+        dict.set(PDFName.of('Filter'), PDFName.of('DCTDecode'));
+    }
+
+    if (contents.length >= stream.contents.length) return null;
+    dict.set(PDFName.of('Width'), PDFNumber.of(info.width));
+    dict.set(PDFName.of('Height'), PDFNumber.of(info.height));
+    return PDFRawStream.of(dict, contents);
+}
+
+// Refs reachable from the document catalog (and the Info dictionary, if kept); everything else is left over
+// from earlier edits and can go
+function findReachableRefs(context) {
+    const reachable = new Set();
+    const pending = [context.trailerInfo.Root, context.trailerInfo.Info].filter(Boolean);
+    while (pending.length > 0) {
+        const object = pending.pop();
+        if (object instanceof PDFRef) {
+            if (reachable.has(object)) continue;
+            reachable.add(object);
+            pending.push(context.lookup(object));
+        } else if (object instanceof PDFDict) {
+            object.entries().forEach(([, value]) => pending.push(value));
+        } else if (object instanceof PDFArray) {
+            pending.push(...object.asArray());
+        } else if (object instanceof PDFStream) {
+            pending.push(object.dict);
+        }
+    }
+    return reachable;
+}
+
+/**
+ * Shrinks a PDF with a compression preset
+ * @param {Buffer} buffer - PDF file contents
+ * @param {string} presetName - screen, ebook or print (see compressionPresets)
+ * @param {Object} options - Compression options
+ * @param {boolean} options.keepInfo - Keep the document properties (title, author, ...) of the Info dictionary
+ * @returns {Promise<{pdfBytes: Uint8Array, originalSize: number, compressedSize: number, imagesRecompressed: number}>}
+ *   The original bytes are returned unchanged when compression would not make the file smaller
+ */
+async function compressPdf(buffer, presetName, options = {}) {
+    const preset = getCompressionPreset(presetName);
+    const pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false });
+    const context = pdfDoc.context;
+
+    // Images never need more pixels than the largest page can show at the preset resolution
+    const largestPageSide = Math.max(...pdfDoc.getPages().map(page => Math.max(...Object.values(page.getSize()))));
+    const maxDimension = Math.max(1, Math.ceil(largestPageSide / 72 * preset.dpi));
+
+    const softMasks = new Set();
+    const images = [];
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        if (!(object instanceof PDFRawStream) || object.dict.lookup(PDFName.of('Subtype')) !== PDFName.of('Image')) continue;
+        images.push([ref, object]);
+        const softMask = object.dict.get(PDFName.of('SMask'));
+        if (softMask instanceof PDFRef) softMasks.add(softMask);
+    }
+
+    let imagesRecompressed = 0;
+    for (const [ref, stream] of images) {
+        try {
+            const replacement = await recompressImage(context, stream, {
+                maxDimension,
+                quality: preset.quality,
+                isSoftMask: softMasks.has(ref)
+            });
+            if (replacement) {
+                context.assign(ref, replacement);
+                imagesRecompressed++;
+            }
+        } catch (imageError) {
+            // An image sharp can't read is kept as it is
+            console.warn(`Skipping image ${ref}: ${imageError.message}`);
+        }
+    }
+
+    // Strip document metadata: the Info dictionary, XMP streams and application private data
+    if (!options.keepInfo) {
+        context.trailerInfo.Info = undefined;
+    }
+    pdfDoc.catalog.delete(PDFName.of('Metadata'));
+    pdfDoc.catalog.delete(PDFName.of('PieceInfo'));
+    pdfDoc.getPages().forEach(page => {
+        page.node.delete(PDFName.of('Metadata'));
+        page.node.delete(PDFName.of('PieceInfo'));
+    });
+
+    const reachable = findReachableRefs(context);
+    for (const [ref] of context.enumerateIndirectObjects()) {
+        if (!reachable.has(ref)) context.delete(ref);
+    }
+
+    const pdfBytes = await pdfDoc.save({ useObjectStreams: true, addDefaultPage: false });
+    if (pdfBytes.length >= buffer.length) {
+        return { pdfBytes: new Uint8Array(buffer), originalSize: buffer.length, compressedSize: buffer.length, imagesRecompressed: 0 };
+    }
+    return { pdfBytes, originalSize: buffer.length, compressedSize: pdfBytes.length, imagesRecompressed };
+}
+
+module.exports = { compressPdf, getCompressionPreset, compressionPresets };
@@ -0,0 +1,508 @@
+// PDF password encryption (Standard security handler). pdf-lib can neither read nor write encrypted PDFs,
+// so encrypted files are decrypted while they are parsed, and output is encrypted just before it is written.
+// Decryption supports RC4 and AES-128 (revisions 2-4) and AES-256 (revisions 5-6); encryption always uses AES-256.
+const crypto = require('crypto');
+const {
+    PDFDocument, PDFParser, PDFWriter, PDFRef, PDFName, PDFNumber, PDFBool, PDFDict, PDFArray,
+    PDFString, PDFHexString, PDFStream, PDFRawStream
+} = require('pdf-lib');
+
+// Padding for passwords of revisions 2-4 (ISO 32000-1, 7.6.3.3)
+const PASSWORD_PADDING = Buffer.from('28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex');
+
+// Permission bits of the P entry; bits 7-8 and 13-32 are reserved and must be set
+const RESERVED_PERMISSION_BITS = 0xfffff0c0;
+const permissionBits = {
+    print: (1 << 2) | (1 << 11), // print, high quality print
+    modify: (1 << 3) | (1 << 5) | (1 << 8) | (1 << 10), // modify, annotate, fill forms, assemble
+    copy: 1 << 4,
+    accessibility: 1 << 9 // text extraction for screen readers, always allowed
+};
+
+function createPasswordError(incorrect) {
+    return new Error(incorrect
+        ? 'Incorrect password for this PDF.'
+        : 'This PDF is password protected. Please provide its password.');
+}
+
+// RC4 isn't available in OpenSSL 3 builds of Node, and it's only needed for old PDFs
+function rc4(key, data) {
+    const state = new Uint8Array(256).map((_, i) => i);
+    for (let i = 0, j = 0; i < 256; i++) {
+        j = (j + state[i] + key[i % key.length]) & 0xff;
+        [state[i], state[j]] = [state[j], state[i]];
+    }
+    const output = Buffer.alloc(data.length);
+    for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+        i = (i + 1) & 0xff;
+        j = (j + state[i]) & 0xff;
+        [state[i], state[j]] = [state[j], state[i]];
+        output[n] = data[n] ^ state[(state[i] + state[j]) & 0xff];
+    }
+    return output;
+}
+
+const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+
+function aesEncrypt(key, data) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv(`aes-${key.length * 8}-cbc`, key, iv);
+    return Buffer.concat([iv, cipher.update(data), cipher.final()]);
+}
+
+function aesDecrypt(key, data) {
+    if (data.length < 32 || data.length % 16 !== 0) return Buffer.alloc(0);
+    const decipher = crypto.createDecipheriv(`aes-${key.length * 8}-cbc`, key, data.subarray(0, 16));
+    decipher.setAutoPadding(false);
+    const plain = Buffer.concat([decipher.update(data.subarray(16)), decipher.final()]);
+    // Some writers get the padding wrong, so only strip it when it is valid
+    const padding = plain[plain.length - 1];
+    const valid = padding >= 1 && padding <= 16 && plain.subarray(-padding).every(byte => byte === padding);
+    return valid ? plain.subarray(0, -padding) : plain;
+}
+
+// AES-256 without IV or padding, used for the key wrapping entries (UE, OE, Perms) of revision 6
+function aesRaw(mode, key, data, decrypt = false) {
+    const cipher = decrypt
+        ? crypto.createDecipheriv(mode, key, mode.endsWith('ecb') ? null : Buffer.alloc(16))
+        : crypto.createCipheriv(mode, key, mode.endsWith('ecb') ? null : Buffer.alloc(16));
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+// Password hash of revision 6 (ISO 32000-2, algorithm 2.B); revision 5 is a single SHA-256
+function hashPassword(revision, password, salt, userKey = Buffer.alloc(0)) {
+    let key = sha256(password, salt, userKey);
+    if (revision < 6) return key;
+
+    let round = 0;
+    let block;
+    do {
+        const input = Buffer.concat(Array(64).fill(Buffer.concat([password, key, userKey])));
+        const cipher = crypto.createCipheriv('aes-128-cbc', key.subarray(0, 16), key.subarray(16, 32));
+        cipher.setAutoPadding(false);
+        block = Buffer.concat([cipher.update(input), cipher.final()]);
+        const remainder = block.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+        key = crypto.createHash(['sha256', 'sha384', 'sha512'][remainder]).update(block).digest();
+        round++;
+    } while (round < 64 || block[block.length - 1] > round - 32);
+    return key.subarray(0, 32);
+}
+
+function stringBytes(object) {
+    return object instanceof PDFString || object instanceof PDFHexString ? Buffer.from(object.asBytes()) : Buffer.alloc(0);
+}
+
+function int32LE(value) {
+    const bytes = Buffer.alloc(4);
+    bytes.writeInt32LE(value | 0);
+    return bytes;
+}
+
+/**
+ * Works out the file key of an encrypted PDF from its Encrypt dictionary and a password
+ * @returns {{decryptString: function, decryptStream: function, encryptString: function, encryptStream: function,
+ *   encryptMetadata: boolean}} Per-object decryption, and encryption with the same file key
+ * @throws {Error} When the password is missing or wrong, or the encryption isn't supported
+ */
+function createDecryptor(encrypt, documentId, password) {
+    const filter = encrypt.lookup(PDFName.of('Filter'));
+    if (filter !== PDFName.of('Standard')) {
+        throw new Error(`Unsupported PDF encryption (${filter ? filter.decodeText() : 'unknown'} security handler)`);
+    }
+    const number = name => {
+        const value = encrypt.lookup(PDFName.of(name));
+        return value instanceof PDFNumber ? value.asNumber() : undefined;
+    };
+    const version = number('V') || 0;
+    const revision = number('R');
+    const permissions = number('P') || 0;
+    const ownerKey = stringBytes(encrypt.lookup(PDFName.of('O')));
+    const userKey = stringBytes(encrypt.lookup(PDFName.of('U')));
+    const encryptMetadata = encrypt.lookup(PDFName.of('EncryptMetadata')) !== PDFBool.False;
+
+    // Crypt filters (V4+) choose the cipher for streams and strings separately
+    const cipherOf = filterName => {
+        if (version < 4) return 'rc4';
+        if (!filterName || filterName === PDFName.of('Identity')) return 'identity';
+        const cryptFilters = encrypt.lookup(PDFName.of('CF'));
+        const cryptFilter = cryptFilters instanceof PDFDict ? cryptFilters.lookup(filterName) : null;
+        const method = cryptFilter instanceof PDFDict ? cryptFilter.lookup(PDFName.of('CFM')) : null;
+        if (method === PDFName.of('AESV3')) return 'aes256';
+        if (method === PDFName.of('AESV2')) return 'aes128';
+        if (method === PDFName.of('V2')) return 'rc4';
+        return 'identity';
+    };
+    const streamCipher = cipherOf(encrypt.lookup(PDFName.of('StmF')));
+    const stringCipher = cipherOf(encrypt.lookup(PDFName.of('StrF')));
+
+    let fileKey = null;
+    if (revision === 5 || revision === 6) {
+        const passwordBytes = Buffer.from((password || '').normalize('NFKC'), 'utf8').subarray(0, 127);
+        const userEntry = userKey.subarray(0, 48);
+        if (hashPassword(revision, passwordBytes, userKey.subarray(32, 40)).equals(userKey.subarray(0, 32))) {
+            const wrapKey = hashPassword(revision, passwordBytes, userKey.subarray(40, 48));
+            fileKey = aesRaw('aes-256-cbc', wrapKey, stringBytes(encrypt.lookup(PDFName.of('UE'))), true);
+        } else if (hashPassword(revision, passwordBytes, ownerKey.subarray(32, 40), userEntry).equals(ownerKey.subarray(0, 32))) {
+            const wrapKey = hashPassword(revision, passwordBytes, ownerKey.subarray(40, 48), userEntry);
+            fileKey = aesRaw('aes-256-cbc', wrapKey, stringBytes(encrypt.lookup(PDFName.of('OE'))), true);
+        }
+    } else if (revision >= 2 && revision <= 4) {
+        const keyLength = revision === 2 ? 5 : (number('Length') || 40) / 8;
+        const pad = passwordBytes => Buffer.concat([passwordBytes, PASSWORD_PADDING]).subarray(0, 32);
+
+        // Algorithm 2: file key from a user password, checked against U with algorithms 4/5
+        const keyFromUserPassword = paddedPassword => {
+            let key = md5(paddedPassword, ownerKey.subarray(0, 32), int32LE(permissions), documentId,
+                revision >= 4 && !encryptMetadata ? Buffer.from([0xff, 0xff, 0xff, 0xff]) : Buffer.alloc(0));
+            if (revision >= 3) {
+                for (let i = 0; i < 50; i++) key = md5(key.subarray(0, keyLength));
+            }
+            key = key.subarray(0, keyLength);
+
+            let check;
+            if (revision === 2) {
+                check = rc4(key, PASSWORD_PADDING);
+                return check.equals(userKey.subarray(0, 32)) ? key : null;
+            }
+            check = rc4(key, md5(PASSWORD_PADDING, documentId));
+            for (let i = 1; i <= 19; i++) check = rc4(key.map(byte => byte ^ i), check);
+            return check.equals(userKey.subarray(0, 16)) ? key : null;
+        };
+
+        const passwordBytes = Buffer.from(password || '', 'latin1');
+        fileKey = keyFromUserPassword(pad(passwordBytes));
+        if (!fileKey) {
+            // Algorithm 7: the owner password decrypts O back into the user password
+            let ownerHash = md5(pad(passwordBytes));
+            if (revision >= 3) {
+                for (let i = 0; i < 50; i++) ownerHash = md5(ownerHash);
+            }
+            const rc4Key = ownerHash.subarray(0, keyLength);
+            let userPassword = ownerKey.subarray(0, 32);
+            if (revision === 2) {
+                userPassword = rc4(rc4Key, userPassword);
+            } else {
+                for (let i = 19; i >= 0; i--) userPassword = rc4(rc4Key.map(byte => byte ^ i), userPassword);
+            }
+            fileKey = keyFromUserPassword(userPassword);
+        }
+    } else {
+        throw new Error(`Unsupported PDF encryption (revision ${revision})`);
+    }
+
+    if (!fileKey) {
+        throw createPasswordError(Boolean(password));
+    }
+
+    // Algorithm 1: RC4 and AES-128 use a key per object; AES-256 uses the file key for everything
+    const objectKey = (cipher, ref) => {
+        if (cipher === 'aes256') return fileKey;
+        return md5(fileKey,
+            Buffer.from([ref.objectNumber & 0xff, (ref.objectNumber >> 8) & 0xff, (ref.objectNumber >> 16) & 0xff]),
+            Buffer.from([ref.generationNumber & 0xff, (ref.generationNumber >> 8) & 0xff]),
+            cipher === 'aes128' ? Buffer.from('sAlT') : Buffer.alloc(0)
+        ).subarray(0, Math.min(fileKey.length + 5, 16));
+    };
+    const decryptData = (cipher, ref, data) => {
+        if (cipher === 'identity') return data;
+        return cipher === 'rc4' ? rc4(objectKey(cipher, ref), data) : aesDecrypt(objectKey(cipher, ref), data);
+    };
+    const encryptData = (cipher, ref, data) => {
+        if (cipher === 'identity') return data;
+        return cipher === 'rc4' ? rc4(objectKey(cipher, ref), data) : aesEncrypt(objectKey(cipher, ref), data);
+    };
+
+    return {
+        decryptString: (ref, data) => decryptData(stringCipher, ref, data),
+        decryptStream: (ref, data) => decryptData(streamCipher, ref, data),
+        encryptString: (ref, data) => encryptData(stringCipher, ref, data),
+        encryptStream: (ref, data) => encryptData(streamCipher, ref, data),
+        encryptMetadata
+    };
+}
+
+// Replaces every string (and stream contents) in an object with transformed bytes
+function transformObject(object, transformString, transformStream) {
+    if (object instanceof PDFString || object instanceof PDFHexString) {
+        return PDFHexString.of(transformString(Buffer.from(object.asBytes())).toString('hex'));
+    }
+    if (object instanceof PDFDict) {
+        object.entries().forEach(([key, value]) => {
+            const transformed = transformObject(value, transformString, transformStream);
+            if (transformed !== value) object.set(key, transformed);
+        });
+        return object;
+    }
+    if (object instanceof PDFArray) {
+        object.asArray().forEach((value, i) => {
+            const transformed = transformObject(value, transformString, transformStream);
+            if (transformed !== value) object.set(i, transformed);
+        });
+        return object;
+    }
+    if (object instanceof PDFStream) {
+        transformObject(object.dict, transformString, transformStream);
+        const contents = object instanceof PDFRawStream ? object.contents : object.getContents();
+        return PDFRawStream.of(object.dict, transformStream(Buffer.from(contents)));
+    }
+    return object;
+}
+
+// pdf-lib's parser with a hook on every indirect object, so object streams are decrypted before they are unpacked
+class DecryptingParser extends PDFParser {
+    constructor(bytes, decryptObject) {
+        super(bytes, Infinity, false, false);
+        this.decryptObject = decryptObject;
+        this.currentRef = null;
+    }
+
+    parseIndirectObjectHeader() {
+        this.currentRef = super.parseIndirectObjectHeader();
+        return this.currentRef;
+    }
+
+    parseObject() {
+        // Only the top level object of an indirect object; nested values are parsed with currentRef cleared
+        const ref = this.currentRef;
+        this.currentRef = null;
+        const object = super.parseObject();
+        return ref ? this.decryptObject(ref, object) : object;
+    }
+}
+
+const isObjectStream = object =>
+    object instanceof PDFRawStream && object.dict.lookup(PDFName.of('Type')) === PDFName.of('ObjStm');
+const isXRefStream = object =>
+    object instanceof PDFRawStream && object.dict.lookup(PDFName.of('Type')) === PDFName.of('XRef');
+
+// Finds the Encrypt dictionary and document ID without decrypting anything; encrypt is null for unencrypted PDFs
+async function scanEncryption(buffer) {
+    // Object streams are kept packed because they can't be read yet
+    const scan = await new DecryptingParser(buffer, (ref, object) => {
+        if (!isObjectStream(object)) return object;
+        const dict = object.dict.clone();
+        dict.delete(PDFName.of('Type'));
+        return PDFRawStream.of(dict, object.contents);
+    }).parseDocument();
+    const encryptRef = scan.trailerInfo.Encrypt;
+    const encrypt = scan.lookup(encryptRef);
+    if (!(encrypt instanceof PDFDict)) {
+        return { encrypt: null };
+    }
+    const idArray = scan.lookup(scan.trailerInfo.ID);
+    const documentId = idArray instanceof PDFArray ? stringBytes(idArray.lookup(0)) : Buffer.alloc(0);
+    return { encrypt, encryptRef, documentId, idArray: idArray instanceof PDFArray ? idArray : null };
+}
+
+/**
+ * Removes the password protection of a PDF
+ * @param {Buffer} buffer - PDF file contents
+ * @param {string} password - User or owner password; PDFs with only an owner password open without one
+ * @returns {Promise<Buffer>} Decrypted PDF, or the input itself when it isn't encrypted
+ * @throws {Error} When the password is missing or wrong
+ */
+async function decryptPdf(buffer, password) {
+    // First pass: find the Encrypt dictionary
+    const { encrypt, encryptRef, documentId } = await scanEncryption(buffer);
+    if (!encrypt) {
+        return buffer;
+    }
+    const decryptor = createDecryptor(encrypt, documentId, password);
+
+    // Second pass: decrypt every object as it is parsed. The Encrypt dictionary and xref streams are never encrypted.
+    const context = await new DecryptingParser(buffer, (ref, object) => {
+        if (ref === encryptRef || isXRefStream(object)) return object;
+        if (!decryptor.encryptMetadata && object instanceof PDFStream &&
+            object.dict.lookup(PDFName.of('Type')) === PDFName.of('Metadata')) return object;
+        return transformObject(object, data => decryptor.decryptString(ref, data), data => decryptor.decryptStream(ref, data));
+    }).parseDocument();
+
+    if (encryptRef instanceof PDFRef) {
+        context.delete(encryptRef);
+    }
+    context.trailerInfo.Encrypt = undefined;
+    return Buffer.from(await PDFWriter.forContext(context, Infinity).serializeToBuffer());
+}
+
+/**
+ * Describes the password protection of a PDF without needing its password
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<Object|null>} null for unencrypted PDFs, otherwise {algorithm, revision, needsPassword,
+ *   permissions: {print, copy, modify}}; needsPassword is false for PDFs that only restrict permissions
+ */
+async function getEncryptionInfo(buffer) {
+    const { encrypt, documentId } = await scanEncryption(buffer);
+    if (!encrypt) {
+        return null;
+    }
+    const number = name => {
+        const value = encrypt.lookup(PDFName.of(name));
+        return value instanceof PDFNumber ? value.asNumber() : undefined;
+    };
+    const version = number('V') || 0;
+    let algorithm = `RC4 ${version === 1 ? 40 : number('Length') || 40}-bit`;
+    if (version >= 5) {
+        algorithm = 'AES 256-bit';
+    } else if (version === 4) {
+        const cryptFilters = encrypt.lookup(PDFName.of('CF'));
+        const cryptFilter = cryptFilters instanceof PDFDict ? cryptFilters.lookup(encrypt.lookup(PDFName.of('StmF'))) : null;
+        const method = cryptFilter instanceof PDFDict ? cryptFilter.lookup(PDFName.of('CFM')) : null;
+        algorithm = method === PDFName.of('AESV2') ? 'AES 128-bit' : 'RC4 128-bit';
+    }
+
+    let needsPassword = true;
+    try {
+        createDecryptor(encrypt, documentId, '');
+        needsPassword = false;
+    } catch (passwordError) {
+        // Opening without a password failed (or the encryption isn't supported)
+    }
+
+    const flags = number('P') || 0;
+    return {
+        algorithm,
+        revision: number('R'),
+        needsPassword,
+        permissions: {
+            print: (flags & (1 << 2)) !== 0,
+            copy: (flags & permissionBits.copy) !== 0,
+            modify: (flags & (1 << 3)) !== 0
+        }
+    };
+}
+
+/**
+ * Reads an uploaded PDF with pdf-lib, decrypting it first when it is password protected
+ * @param {Buffer} buffer - PDF file contents
+ * @param {string} password - Password for encrypted PDFs
+ * @param {Object} options - PDFDocument.load options
+ * @returns {Promise<PDFDocument>}
+ */
+async function loadPdfDocument(buffer, password, options = {}) {
+    return PDFDocument.load(await decryptPdf(buffer, password), options);
+}
+
+/**
+ * Encrypts an edited copy of a PDF again exactly the way the original was protected
+ * The copy keeps the original's Encrypt dictionary and document ID and is encrypted with its file key, so the user
+ * and owner passwords, the permissions and the algorithm all stay the same, whichever password was supplied.
+ * @param {Buffer} buffer - Unencrypted PDF written from the original
+ * @param {Buffer} original - Uploaded PDF file contents
+ * @param {string} password - User or owner password the original was opened with
+ * @returns {Promise<Buffer>} Encrypted PDF, or the input itself when the original wasn't encrypted
+ * @throws {Error} When the password is missing or wrong, or the output doesn't keep the original protection
+ */
+async function reprotectPdf(buffer, original, password) {
+    const { encrypt, documentId, idArray } = await scanEncryption(original);
+    if (!encrypt) {
+        return buffer;
+    }
+    const crypt = createDecryptor(encrypt, documentId, password);
+
+    const pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false });
+    const context = pdfDoc.context;
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        if (!crypt.encryptMetadata && object instanceof PDFStream &&
+            object.dict.lookup(PDFName.of('Type')) === PDFName.of('Metadata')) continue;
+        context.assign(ref, transformObject(object, data => crypt.encryptString(ref, data), data => crypt.encryptStream(ref, data)));
+    }
+
+    // Revisions 2-4 derive the file key from the first ID string, so the ID must not change either
+    context.trailerInfo.Encrypt = context.register(encrypt.clone(context));
+    if (idArray) {
+        context.trailerInfo.ID = idArray.clone(context);
+    }
+    // Object streams would hold the already encrypted strings, so the PDF is written with a plain xref table
+    const output = Buffer.from(await pdfDoc.save({ useObjectStreams: false, addDefaultPage: false, updateFieldAppearances: false }));
+
+    // Both passwords open the output only if it has the original password entries and ID and the same file key
+    const written = await scanEncryption(output);
+    const entry = (dict, name) => {
+        const value = dict && dict.lookup(PDFName.of(name));
+        return value instanceof PDFNumber ? String(value.asNumber()) : stringBytes(value).toString('hex');
+    };
+    const unchanged = written.encrypt && written.documentId.equals(documentId) &&
+        ['O', 'U', 'OE', 'UE', 'Perms', 'P', 'R'].every(name => entry(written.encrypt, name) === entry(encrypt, name));
+    if (!unchanged) {
+        throw new Error('The PDF could not be saved with its original passwords.');
+    }
+    createDecryptor(written.encrypt, written.documentId, password);
+    return output;
+}
+
+/**
+ * Builds the P (permissions) value of an Encrypt dictionary
+ * @param {{print: boolean, copy: boolean, modify: boolean}} allow - Permissions to grant
+ * @returns {number} Signed 32-bit permission flags
+ */
+function getPermissionFlags(allow) {
+    let flags = RESERVED_PERMISSION_BITS | permissionBits.accessibility;
+    ['print', 'copy', 'modify'].forEach(permission => {
+        if (allow[permission]) flags |= permissionBits[permission];
+    });
+    return flags | 0;
+}
+
+/**
+ * Password protects a PDF with AES-256 (PDF 2.0, revision 6)
+ * @param {Buffer} buffer - Unencrypted PDF file contents
+ * @param {Object} options - Protection options
+ * @param {string} options.userPassword - Password needed to open the PDF; empty opens without one
+ * @param {string} options.ownerPassword - Password that lifts the permission restrictions; random when empty
+ * @param {{print: boolean, copy: boolean, modify: boolean}} options.permissions - What users who open the PDF may do
+ * @returns {Promise<Uint8Array>} Encrypted PDF
+ */
+async function encryptPdf(buffer, { userPassword = '', ownerPassword = '', permissions = {} }) {
+    const pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false });
+    const context = pdfDoc.context;
+    const passwordBytes = password => Buffer.from(password.normalize('NFKC'), 'utf8').subarray(0, 127);
+
+    // Algorithms 8-10 of ISO 32000-2: a random file key wrapped once for each password
+    const fileKey = crypto.randomBytes(32);
+    const user = passwordBytes(userPassword);
+    const owner = ownerPassword ? passwordBytes(ownerPassword) : crypto.randomBytes(32);
+
+    const userSalts = crypto.randomBytes(16);
+    const userEntry = Buffer.concat([hashPassword(6, user, userSalts.subarray(0, 8)), userSalts]);
+    const userWrapped = aesRaw('aes-256-cbc', hashPassword(6, user, userSalts.subarray(8, 16)), fileKey);
+
+    const ownerSalts = crypto.randomBytes(16);
+    const ownerEntry = Buffer.concat([hashPassword(6, owner, ownerSalts.subarray(0, 8), userEntry), ownerSalts]);
+    const ownerWrapped = aesRaw('aes-256-cbc', hashPassword(6, owner, ownerSalts.subarray(8, 16), userEntry), fileKey);
+
+    const flags = getPermissionFlags(permissions);
+    const perms = Buffer.concat([int32LE(flags), Buffer.from([0xff, 0xff, 0xff, 0xff]), Buffer.from('Tadb'), crypto.randomBytes(4)]);
+
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        context.assign(ref, transformObject(object, data => aesEncrypt(fileKey, data), data => aesEncrypt(fileKey, data)));
+    }
+
+    const hex = bytes => PDFHexString.of(bytes.toString('hex'));
+    context.trailerInfo.Encrypt = context.register(context.obj({
+        Filter: 'Standard',
+        V: 5,
+        R: 6,
+        Length: 256,
+        CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+        StmF: 'StdCF',
+        StrF: 'StdCF',
+        O: hex(ownerEntry),
+        U: hex(userEntry),
+        OE: hex(ownerWrapped),
+        UE: hex(userWrapped),
+        P: flags,
+        Perms: hex(aesRaw('aes-256-ecb', fileKey, perms)),
+        EncryptMetadata: true
+    }));
+    const documentId = crypto.randomBytes(16);
+    context.trailerInfo.ID = context.obj([hex(documentId), hex(documentId)]);
+
+    // Object streams would hold the already encrypted strings, so the PDF is written with a plain xref table
+    return pdfDoc.save({ useObjectStreams: false, addDefaultPage: false, updateFieldAppearances: false });
+}
+
+module.exports = {
+    decryptPdf, encryptPdf, reprotectPdf, loadPdfDocument, getEncryptionInfo, getPermissionFlags, createPasswordError
+};
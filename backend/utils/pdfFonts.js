@@ -0,0 +1,14 @@
+// Helpers for text drawn with pdf-lib's standard fonts (Helvetica and friends). They only cover the WinAnsi
+// (Latin) character set and pdf-lib throws on anything else, so text from users and file names is filtered first.
+
+/**
+ * Makes a filter that replaces the characters a font can't draw with "?"
+ * @param {PDFFont} font - Embedded font
+ * @returns {function(string): string} Filter for text drawn with the font
+ */
+function createPrintableFilter(font) {
+    const characters = new Set(font.getCharacterSet());
+    return text => Array.from(text).map(char => characters.has(char.codePointAt(0)) ? char : '?').join('');
+}
+
+module.exports = { createPrintableFilter };
@@ -0,0 +1,211 @@
+// PDF document properties: reads and writes the Info dictionary (title, author, dates, ...) with pdf-lib
+// and inspects a PDF's pages, fonts and encryption.
+const { PDFDocument, PDFName, PDFDict, PDFRef, PDFStream, PDFArray } = require('pdf-lib');
+const { decryptPdf, getEncryptionInfo } = require('./pdfEncryption');
+
+// Creator and producer of PDFs we build, instead of pdf-lib's own name
+const DEFAULT_PRODUCER = 'ConvertFile.me';
+
+// Form field -> Info dictionary key of the text properties
+const textFields = {
+    title: 'Title',
+    author: 'Author',
+    subject: 'Subject',
+    keywords: 'Keywords',
+    creator: 'Creator',
+    producer: 'Producer'
+};
+
+// Form field -> Info dictionary key of the dates
+const dateFields = {
+    creation_date: 'CreationDate',
+    modification_date: 'ModDate'
+};
+
+/**
+ * Reads the metadata fields of a request
+ * Fields that are not sent are left alone; fields sent empty are removed from the PDF.
+ * @param {Object} body - Form fields: title, author, subject, keywords (comma-separated), creator, producer,
+ *   creation_date and modification_date (ISO 8601, e.g. 2024-05-31 or 2024-05-31T14:30:00Z)
+ * @returns {Object} Changes keyed by Info dictionary key: a string or Date to set, or null to remove
+ * @throws {Error} When a date can't be parsed
+ */
+function parseMetadataFields(body = {}) {
+    const changes = {};
+    Object.entries(textFields).forEach(([field, key]) => {
+        if (body[field] === undefined) return;
+        const value = String(body[field]).trim();
+        changes[key] = value || null;
+    });
+    Object.entries(dateFields).forEach(([field, key]) => {
+        if (body[field] === undefined) return;
+        const value = String(body[field]).trim();
+        if (!value) {
+            changes[key] = null;
+            return;
+        }
+        const date = new Date(value);
+        if (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid ${field.replace('_', ' ')} "${value}". Use a date such as 2024-05-31 or 2024-05-31T14:30:00Z.`);
+        }
+        changes[key] = date;
+    });
+    return changes;
+}
+
+/**
+ * Writes metadata changes with pdf-lib's setters
+ * The XMP metadata stream is dropped, since viewers that prefer it would otherwise keep showing the old values.
+ * @param {PDFDocument} pdfDoc - Document to change (loaded with updateMetadata: false)
+ * @param {Object} changes - Result of parseMetadataFields
+ * @param {Object} options - Write options
+ * @param {boolean} options.touch - Set the modification date to now unless the changes set one
+ */
+function applyMetadata(pdfDoc, changes, options = {}) {
+    const setters = {
+        Title: value => pdfDoc.setTitle(value),
+        Author: value => pdfDoc.setAuthor(value),
+        Subject: value => pdfDoc.setSubject(value),
+        Keywords: value => pdfDoc.setKeywords(value.split(/[,;]/).map(keyword => keyword.trim()).filter(Boolean)),
+        Creator: value => pdfDoc.setCreator(value),
+        Producer: value => pdfDoc.setProducer(value),
+        CreationDate: value => pdfDoc.setCreationDate(value),
+        ModDate: value => pdfDoc.setModificationDate(value)
+    };
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value === null) {
+            pdfDoc.getInfoDict().delete(PDFName.of(key));
+        } else {
+            setters[key](value);
+        }
+    });
+    if (options.touch && changes.ModDate === undefined) {
+        pdfDoc.setModificationDate(new Date());
+    }
+    pdfDoc.catalog.delete(PDFName.of('Metadata'));
+}
+
+// pdf-lib's date getters throw on malformed date strings, which are common in older PDFs
+function readDate(getDate) {
+    try {
+        const date = getDate();
+        return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+    } catch (dateError) {
+        return null;
+    }
+}
+
+/**
+ * Reads the document properties of a PDF
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @returns {{title, author, subject, keywords, creator, producer, creationDate, modificationDate}} Strings
+ *   (dates as ISO 8601) or null when not set
+ */
+function readMetadata(pdfDoc) {
+    return {
+        title: pdfDoc.getTitle() || null,
+        author: pdfDoc.getAuthor() || null,
+        subject: pdfDoc.getSubject() || null,
+        keywords: pdfDoc.getKeywords() || null,
+        creator: pdfDoc.getCreator() || null,
+        producer: pdfDoc.getProducer() || null,
+        creationDate: readDate(() => pdfDoc.getCreationDate()),
+        modificationDate: readDate(() => pdfDoc.getModificationDate())
+    };
+}
+
+// Fonts used by the pages, including those inside form XObjects
+function listFonts(pdfDoc) {
+    const context = pdfDoc.context;
+    const fonts = new Map();
+    const visited = new Set();
+
+    const describeFont = font => {
+        const baseFont = font.lookup(PDFName.of('BaseFont'));
+        const name = baseFont instanceof PDFName ? baseFont.decodeText() : '(unnamed)';
+        const subtype = font.lookup(PDFName.of('Subtype'));
+        // Composite (Type0) fonts keep their descriptor in the descendant font
+        const descendants = font.lookup(PDFName.of('DescendantFonts'));
+        const descriptorOwner = descendants instanceof PDFArray ? descendants.lookup(0) : font;
+        const descriptor = descriptorOwner instanceof PDFDict ? descriptorOwner.lookup(PDFName.of('FontDescriptor')) : null;
+        const embedded = descriptor instanceof PDFDict &&
+            ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(PDFName.of(key)));
+        return {
+            name: name.replace(/^[A-Z]{6}\+/, ''),
+            type: subtype instanceof PDFName ? subtype.decodeText() : 'Unknown',
+            embedded: embedded || subtype === PDFName.of('Type3'),
+            subset: /^[A-Z]{6}\+/.test(name)
+        };
+    };
+
+    const visitResources = resources => {
+        if (!(resources instanceof PDFDict)) return;
+        const fontDict = resources.lookup(PDFName.of('Font'));
+        if (fontDict instanceof PDFDict) {
+            fontDict.entries().forEach(([, value]) => {
+                const font = context.lookup(value);
+                if (!(font instanceof PDFDict)) return;
+                const info = describeFont(font);
+                const key = `${info.name}|${info.type}|${info.embedded}|${info.subset}`;
+                if (!fonts.has(key)) fonts.set(key, info);
+            });
+        }
+        const xObjects = resources.lookup(PDFName.of('XObject'));
+        if (xObjects instanceof PDFDict) {
+            xObjects.entries().forEach(([, value]) => {
+                if (value instanceof PDFRef) {
+                    if (visited.has(value)) return;
+                    visited.add(value);
+                }
+                const xObject = context.lookup(value);
+                if (xObject instanceof PDFStream && xObject.dict.lookup(PDFName.of('Subtype')) === PDFName.of('Form')) {
+                    visitResources(xObject.dict.lookup(PDFName.of('Resources')));
+                }
+            });
+        }
+    };
+
+    pdfDoc.getPages().forEach(page => visitResources(page.node.Resources()));
+    return Array.from(fonts.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Describes a PDF: version, pages, encryption, fonts and document properties
+ * @param {Buffer} buffer - PDF file contents
+ * @param {string} password - Password for encrypted PDFs (encryption details are read without it)
+ * @returns {Promise<Object>} {pdfVersion, pageCount, pages: [{pageNumber, width, height, rotation}],
+ *   encryption, fonts: [{name, type, embedded, subset}], metadata}; page sizes are in points (1/72 inch)
+ * @throws {Error} When the password is missing or wrong; the error's encryption property describes the protection
+ */
+async function inspectPdf(buffer, password) {
+    const encryption = await getEncryptionInfo(buffer);
+    let decrypted;
+    try {
+        decrypted = await decryptPdf(buffer, password);
+    } catch (passwordError) {
+        // Still tell the caller how the file is protected
+        passwordError.encryption = encryption;
+        throw passwordError;
+    }
+    const pdfDoc = await PDFDocument.load(decrypted, { updateMetadata: false });
+    const header = buffer.subarray(0, 1024).toString('latin1').match(/%PDF-(\d\.\d)/);
+
+    return {
+        pdfVersion: header ? header[1] : null,
+        pageCount: pdfDoc.getPageCount(),
+        pages: pdfDoc.getPages().map((page, index) => {
+            const { width, height } = page.getSize();
+            return {
+                pageNumber: index + 1,
+                width: Math.round(width * 100) / 100,
+                height: Math.round(height * 100) / 100,
+                rotation: page.getRotation().angle
+            };
+        }),
+        encryption,
+        fonts: listFonts(pdfDoc),
+        metadata: readMetadata(pdfDoc)
+    };
+}
+
+module.exports = { parseMetadataFields, applyMetadata, readMetadata, inspectPdf, DEFAULT_PRODUCER };
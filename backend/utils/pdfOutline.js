@@ -0,0 +1,225 @@
+// Outlines (bookmarks) for combined PDFs: reads the outline of an input PDF with pdf-lib, writes a new outline tree
+// and draws an optional table of contents with clickable entries.
+const { PDFName, PDFString, PDFHexString, PDFArray, PDFDict, PDFRef, PDFNumber, PDFNull, StandardFonts, PageSizes, rgb } = require('pdf-lib');
+const { createPrintableFilter } = require('./pdfFonts');
+
+const MAX_OUTLINE_DEPTH = 16; // deeper (or cyclic) outlines are cut off
+const TOC_MARGIN = 56;
+const TOC_TITLE_SIZE = 20;
+const TOC_ENTRY_SIZE = 12;
+const TOC_LINE_HEIGHT = 22;
+
+function decodeText(value) {
+    return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : '';
+}
+
+// Finds a key in a name tree (the /Dests tree of the /Names dictionary)
+function lookupNameTree(context, node, name, depth = 0) {
+    const dict = context.lookup(node);
+    if (!(dict instanceof PDFDict) || depth > MAX_OUTLINE_DEPTH) return undefined;
+
+    const names = dict.lookup(PDFName.of('Names'));
+    if (names instanceof PDFArray) {
+        for (let i = 0; i + 1 < names.size(); i += 2) {
+            if (decodeText(names.lookup(i)) === name) return names.lookup(i + 1);
+        }
+    }
+    const kids = dict.lookup(PDFName.of('Kids'));
+    if (kids instanceof PDFArray) {
+        for (let i = 0; i < kids.size(); i++) {
+            const found = lookupNameTree(context, kids.get(i), name, depth + 1);
+            if (found !== undefined) return found;
+        }
+    }
+    return undefined;
+}
+
+// Explicit destination array of an outline item, following GoTo actions and named destinations
+function resolveDestination(pdfDoc, item) {
+    let dest = item.lookup(PDFName.of('Dest'));
+    if (dest === undefined) {
+        const action = item.lookup(PDFName.of('A'));
+        if (action instanceof PDFDict && action.lookup(PDFName.of('S')) === PDFName.of('GoTo')) {
+            dest = action.lookup(PDFName.of('D'));
+        }
+    }
+    if (dest instanceof PDFName) {
+        const dests = pdfDoc.catalog.lookup(PDFName.of('Dests'));
+        dest = dests instanceof PDFDict ? dests.lookup(dest) : undefined;
+    } else if (dest instanceof PDFString || dest instanceof PDFHexString) {
+        const names = pdfDoc.catalog.lookup(PDFName.of('Names'));
+        const tree = names instanceof PDFDict ? names.get(PDFName.of('Dests')) : undefined;
+        dest = tree ? lookupNameTree(pdfDoc.context, tree, dest.decodeText()) : undefined;
+    }
+    if (dest instanceof PDFDict) {
+        dest = dest.lookup(PDFName.of('D'));
+    }
+    return dest instanceof PDFArray ? dest : null;
+}
+
+// View part of a destination (e.g. /XYZ left top zoom); only plain values can move to another document
+function getDestinationView(dest) {
+    const view = dest.asArray().slice(1);
+    const isPlain = view.length > 0 && view.every(value => value instanceof PDFName || value instanceof PDFNumber || value === PDFNull);
+    return isPlain ? view : [PDFName.of('Fit')];
+}
+
+/**
+ * Reads the outline of a PDF
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @returns {{title: string, pageIndex: number|null, view: PDFObject[], children: Object[]}[]} Top-level items;
+ *   pageIndex is null for items that don't point to a page of this document (e.g. web links)
+ */
+function readOutline(pdfDoc) {
+    const context = pdfDoc.context;
+    const outlines = pdfDoc.catalog.lookup(PDFName.of('Outlines'));
+    if (!(outlines instanceof PDFDict)) return [];
+
+    const pageIndices = new Map(pdfDoc.getPages().map((page, index) => [page.ref, index]));
+    const visited = new Set();
+
+    const readItems = (firstRef, depth) => {
+        const items = [];
+        let ref = firstRef;
+        while (ref instanceof PDFRef && !visited.has(ref) && depth <= MAX_OUTLINE_DEPTH) {
+            visited.add(ref);
+            const item = context.lookup(ref);
+            if (!(item instanceof PDFDict)) break;
+
+            const dest = resolveDestination(pdfDoc, item);
+            const target = dest ? dest.get(0) : undefined;
+            let pageIndex = null;
+            if (target instanceof PDFRef && pageIndices.has(target)) pageIndex = pageIndices.get(target);
+            if (target instanceof PDFNumber) pageIndex = target.asNumber();
+            if (pageIndex !== null && (pageIndex < 0 || pageIndex >= pageIndices.size)) pageIndex = null;
+
+            items.push({
+                title: decodeText(item.lookup(PDFName.of('Title'))),
+                pageIndex,
+                view: pageIndex === null ? [] : getDestinationView(dest),
+                children: readItems(item.get(PDFName.of('First')), depth + 1)
+            });
+            ref = item.get(PDFName.of('Next'));
+        }
+        return items;
+    };
+    return readItems(outlines.get(PDFName.of('First')), 0);
+}
+
+// Writes sibling outline items under a parent; returns the first and last refs
+function writeOutlineItems(context, entries, parentRef) {
+    const refs = entries.map(() => context.nextRef());
+    entries.forEach((entry, i) => {
+        const item = context.obj({ Title: PDFHexString.fromText(entry.title), Parent: parentRef });
+        if (i > 0) item.set(PDFName.of('Prev'), refs[i - 1]);
+        if (i < refs.length - 1) item.set(PDFName.of('Next'), refs[i + 1]);
+        if (entry.pageRef) {
+            item.set(PDFName.of('Dest'), context.obj([entry.pageRef, ...(entry.view || [PDFName.of('Fit')])]));
+        }
+        if (entry.children && entry.children.length > 0) {
+            const children = writeOutlineItems(context, entry.children, refs[i]);
+            item.set(PDFName.of('First'), children.first);
+            item.set(PDFName.of('Last'), children.last);
+            // Negative: collapsed, showing that many items when expanded
+            item.set(PDFName.of('Count'), PDFNumber.of(-entry.children.length));
+        }
+        context.assign(refs[i], item);
+    });
+    return { first: refs[0], last: refs[refs.length - 1] };
+}
+
+/**
+ * Replaces the outline of a document
+ * @param {PDFDocument} pdfDoc - Document to add the outline to
+ * @param {{title: string, pageRef: PDFRef, view: PDFObject[], children: Object[]}[]} entries - Top-level items,
+ *   shown collapsed; items without a pageRef only group their children
+ */
+function writeOutline(pdfDoc, entries) {
+    if (entries.length === 0) return;
+    const context = pdfDoc.context;
+    const rootRef = context.nextRef();
+    const { first, last } = writeOutlineItems(context, entries, rootRef);
+    context.assign(rootRef, context.obj({ Type: 'Outlines', First: first, Last: last, Count: entries.length }));
+    pdfDoc.catalog.set(PDFName.of('Outlines'), rootRef);
+    // Open the bookmarks panel when the file is opened
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+/**
+ * Inserts table of contents pages at the front of a document, one clickable line per entry
+ * @param {PDFDocument} pdfDoc - Document to add the pages to
+ * @param {{title: string, pageRef: PDFRef}[]} entries - Lines of the table, in order
+ * @param {Object} options - Table options
+ * @param {number} options.startNumber - Number printed for the first page of the document (default 1)
+ * @returns {Promise<number>} Number of pages inserted
+ */
+async function addTableOfContents(pdfDoc, entries, options = {}) {
+    const startNumber = options.startNumber === undefined ? 1 : options.startNumber;
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const printable = createPrintableFilter(font);
+
+    const [pageWidth, pageHeight] = PageSizes.A4;
+    const firstLineY = pageHeight - TOC_MARGIN - TOC_TITLE_SIZE - TOC_LINE_HEIGHT * 1.5;
+    const linesPerPage = Math.floor((firstLineY - TOC_MARGIN) / TOC_LINE_HEIGHT) + 1;
+    const tocPageCount = Math.max(1, Math.ceil(entries.length / linesPerPage));
+
+    const tocPages = [];
+    for (let i = 0; i < tocPageCount; i++) {
+        tocPages.push(pdfDoc.insertPage(i, [pageWidth, pageHeight]));
+    }
+    // Page refs are resolved after inserting, so the printed numbers include the contents pages themselves
+    const pageNumbers = new Map(pdfDoc.getPages().map((page, index) => [page.ref, startNumber + index]));
+
+    tocPages[0].drawText('Contents', { x: TOC_MARGIN, y: pageHeight - TOC_MARGIN - TOC_TITLE_SIZE, font: boldFont, size: TOC_TITLE_SIZE });
+
+    const textWidth = pageWidth - TOC_MARGIN * 2;
+    entries.forEach((entry, i) => {
+        const page = tocPages[Math.floor(i / linesPerPage)];
+        const y = firstLineY - (i % linesPerPage) * TOC_LINE_HEIGHT;
+        const number = String(pageNumbers.get(entry.pageRef) || '');
+        const numberWidth = font.widthOfTextAtSize(number, TOC_ENTRY_SIZE);
+
+        // Shorten long titles so they end before the page number
+        let title = printable(entry.title);
+        const maxTitleWidth = textWidth - numberWidth - 24;
+        while (title.length > 1 && font.widthOfTextAtSize(title, TOC_ENTRY_SIZE) > maxTitleWidth) {
+            title = title.slice(0, -2) + '…';
+        }
+        const titleWidth = font.widthOfTextAtSize(title, TOC_ENTRY_SIZE);
+
+        page.drawText(title, { x: TOC_MARGIN, y, font, size: TOC_ENTRY_SIZE, color: rgb(0.1, 0.1, 0.1) });
+        page.drawText(number, { x: pageWidth - TOC_MARGIN - numberWidth, y, font, size: TOC_ENTRY_SIZE, color: rgb(0.1, 0.1, 0.1) });
+        // Dotted leader between title and number
+        const leaderWidth = font.widthOfTextAtSize(' .', TOC_ENTRY_SIZE);
+        const dots = Math.floor((textWidth - titleWidth - numberWidth - 12) / leaderWidth);
+        if (dots > 0) {
+            page.drawText(' .'.repeat(dots), {
+                x: pageWidth - TOC_MARGIN - numberWidth - 6 - dots * leaderWidth,
+                y,
+                font,
+                size: TOC_ENTRY_SIZE,
+                color: rgb(0.6, 0.6, 0.6)
+            });
+        }
+
+        // The whole line links to the entry's page
+        const link = pdfDoc.context.register(pdfDoc.context.obj({
+            Type: 'Annot',
+            Subtype: 'Link',
+            Rect: [TOC_MARGIN, y - 6, pageWidth - TOC_MARGIN, y + TOC_ENTRY_SIZE + 4],
+            Border: [0, 0, 0],
+            Dest: [entry.pageRef, 'Fit']
+        }));
+        const annots = page.node.lookup(PDFName.of('Annots'));
+        if (annots instanceof PDFArray) {
+            annots.push(link);
+        } else {
+            page.node.set(PDFName.of('Annots'), pdfDoc.context.obj([link]));
+        }
+    });
+
+    return tocPageCount;
+}
+
+module.exports = { readOutline, writeOutline, addTableOfContents };
@@ -0,0 +1,66 @@
+const { openPdfDocument } = require('./pdfjs');
+const { parsePageRange } = require('./pageRange');
+
+const MIN_DPI = 36;
+const MAX_DPI = 600;
+const MAX_PIXELS = 40 * 1000 * 1000; // cap the canvas size so very large pages can't exhaust memory
+
+/**
+ * Renders selected pages of a PDF to PNG buffers using pdfjs and its Node canvas backend
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} options - Render options
+ * @param {number} options.dpi - Output resolution (36-600, default 150)
+ * @param {string} options.pages - Page selection, e.g. "1-3,5" (default all pages)
+ * @param {string} options.password - Password for encrypted PDFs
+ * @param {Function} onPage - Async callback invoked with {pageNumber, pageCount, buffer, width, height} for each page
+ * @returns {Promise<number>} Number of pages rendered
+ */
+async function renderPdfPages(buffer, options, onPage) {
+    const dpi = Math.min(Math.max(parseInt(options.dpi, 10) || 150, MIN_DPI), MAX_DPI);
+    const pdfDocument = await openPdfDocument(buffer, { password: options.password });
+
+    try {
+        const pageNumbers = parsePageRange(options.pages, pdfDocument.numPages);
+
+        for (const pageNumber of pageNumbers) {
+            const page = await pdfDocument.getPage(pageNumber);
+            let scale = dpi / 72; // PDF user space is 72 units per inch
+            const unscaled = page.getViewport({ scale: 1 });
+            const pixels = unscaled.width * unscaled.height * scale * scale;
+            if (pixels > MAX_PIXELS) {
+                scale *= Math.sqrt(MAX_PIXELS / pixels);
+            }
+
+            const viewport = page.getViewport({ scale });
+            const canvasAndContext = pdfDocument.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+            // Paint a white background; PDF pages are transparent by default
+            canvasAndContext.context.fillStyle = '#ffffff';
+            canvasAndContext.context.fillRect(0, 0, canvasAndContext.canvas.width, canvasAndContext.canvas.height);
+
+            await page.render({
+                canvasContext: canvasAndContext.context,
+                viewport
+            }).promise;
+
+            const pngBuffer = canvasAndContext.canvas.toBuffer('image/png');
+            const { width, height } = canvasAndContext.canvas;
+            pdfDocument.canvasFactory.destroy(canvasAndContext);
+            page.cleanup();
+
+            await onPage({
+                pageNumber,
+                pageCount: pdfDocument.numPages,
+                buffer: pngBuffer,
+                width,
+                height
+            });
+        }
+
+        return pageNumbers.length;
+    } finally {
+        await pdfDocument.destroy();
+    }
+}
+
+module.exports = { renderPdfPages, MIN_DPI, MAX_DPI };
@@ -0,0 +1,110 @@
+const { PDFDocument } = require('pdf-lib');
+const { openPdfDocument } = require('./pdfjs');
+const { parsePageRange } = require('./pageRange');
+
+const splitStrategies = ['every', 'ranges', 'bookmarks', 'single'];
+
+// Keeps bookmark titles usable as file names
+function sanitizeFileName(title) {
+    return title.replace(/[\\/:*?"<>|\x00-\x1f]/g, '').replace(/\s+/g, ' ').trim().slice(0, 60);
+}
+
+/**
+ * Reads the top-level bookmarks (outline) of a PDF with their 1-based start pages
+ * Uses pdfjs, which resolves both explicit and named destinations.
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<{title: string, pageNumber: number}[]>} Bookmarks sorted by page
+ */
+async function getTopLevelBookmarks(buffer) {
+    const pdfDocument = await openPdfDocument(buffer);
+    try {
+        const outline = (await pdfDocument.getOutline()) || [];
+        const bookmarks = [];
+        for (const item of outline) {
+            const dest = typeof item.dest === 'string' ? await pdfDocument.getDestination(item.dest) : item.dest;
+            if (!Array.isArray(dest) || !dest[0]) continue; // links to URLs or missing targets
+            const pageIndex = typeof dest[0] === 'number' ? dest[0] : await pdfDocument.getPageIndex(dest[0]);
+            bookmarks.push({ title: item.title || '', pageNumber: pageIndex + 1 });
+        }
+        return bookmarks.sort((a, b) => a.pageNumber - b.pageNumber);
+    } finally {
+        await pdfDocument.destroy();
+    }
+}
+
+/**
+ * Works out which pages go into each output file
+ * @param {Buffer} buffer - PDF file contents
+ * @param {number} pageCount - Number of pages in the PDF
+ * @param {Object} options - Split options
+ * @param {string} options.strategy - every (fixed page count), ranges, bookmarks or single (one file per page)
+ * @param {number} options.pagesPerFile - Pages per file for "every"
+ * @param {string} options.ranges - Comma-separated ranges for "ranges", one file each, e.g. "1-3,4-6,7-"
+ * @returns {Promise<{label: string, pages: number[]}[]>} Output files with their 1-based pages
+ */
+async function planSplit(buffer, pageCount, options) {
+    const pageNumbers = (start, end) => Array.from({ length: end - start + 1 }, (_, i) => start + i);
+
+    switch (options.strategy) {
+        case 'every': {
+            const groups = [];
+            for (let start = 1; start <= pageCount; start += options.pagesPerFile) {
+                const end = Math.min(start + options.pagesPerFile - 1, pageCount);
+                groups.push({ label: start === end ? `page_${start}` : `pages_${start}-${end}`, pages: pageNumbers(start, end) });
+            }
+            return groups;
+        }
+        case 'ranges': {
+            const ranges = (options.ranges || '').split(',').map(range => range.trim()).filter(Boolean);
+            if (ranges.length === 0) {
+                throw new Error('No page ranges given');
+            }
+            return ranges.map(range => {
+                const pages = parsePageRange(range, pageCount);
+                const label = pages.length === 1 ? `page_${pages[0]}` : `pages_${pages[0]}-${pages[pages.length - 1]}`;
+                return { label, pages };
+            });
+        }
+        case 'bookmarks': {
+            const bookmarks = (await getTopLevelBookmarks(buffer))
+                .filter((bookmark, i, all) => i === 0 || bookmark.pageNumber !== all[i - 1].pageNumber);
+            if (bookmarks.length === 0) {
+                throw new Error('This PDF has no bookmarks to split by');
+            }
+            // Pages before the first bookmark (e.g. a cover) stay with the first section
+            return bookmarks.map((bookmark, i) => {
+                const start = i === 0 ? 1 : bookmark.pageNumber;
+                const end = i + 1 < bookmarks.length ? bookmarks[i + 1].pageNumber - 1 : pageCount;
+                const number = String(i + 1).padStart(2, '0');
+                const title = sanitizeFileName(bookmark.title);
+                return { label: title ? `${number}_${title}` : number, pages: pageNumbers(start, end) };
+            });
+        }
+        case 'single':
+            return pageNumbers(1, pageCount).map(page => ({ label: `page_${page}`, pages: [page] }));
+        default:
+            throw new Error(`Invalid split strategy "${options.strategy}". Supported: ${splitStrategies.join(', ')}`);
+    }
+}
+
+/**
+ * Splits a PDF into several PDFs
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} options - See planSplit
+ * @returns {Promise<{label: string, pdfBytes: Uint8Array, pageCount: number}[]>} One entry per output file
+ */
+async function splitPdf(buffer, options) {
+    const source = await PDFDocument.load(buffer);
+    const groups = await planSplit(buffer, source.getPageCount(), options);
+
+    const outputs = [];
+    for (const group of groups) {
+        const output = await PDFDocument.create();
+        const pages = await output.copyPages(source, group.pages.map(page => page - 1));
+        pages.forEach(page => output.addPage(page));
+        outputs.push({ label: group.label, pdfBytes: await output.save(), pageCount: pages.length });
+    }
+    return outputs;
+}
+
+module.exports = { splitPdf, planSplit, getTopLevelBookmarks, splitStrategies };
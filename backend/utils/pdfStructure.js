@@ -0,0 +1,560 @@
+// Rebuilds document structure (headings, styled paragraphs, columns, simple tables, images) from a PDF.
+// The result is format-neutral so every PDF-to-document writer works from the same extraction.
+const sharp = require('sharp');
+const { loadPdfjs, openPdfDocument } = require('./pdfjs');
+
+const IMAGE_TIMEOUT_MS = 5000;  // pdfjs resolves image objects asynchronously; don't wait forever on broken ones
+const MIN_IMAGE_SIZE = 8;       // ignore images smaller than this (in points), usually rules or spacers
+const CELL_GAP_FACTOR = 2.5;    // a horizontal gap wider than this many font sizes separates table cells
+const PARAGRAPH_GAP_FACTOR = 1.6;
+const HEADING_SIZE_FACTOR = 1.15;
+const MIN_COLUMN_LINES = 8;     // fewer lines than this on either side of a gap is not a column layout
+
+/**
+ * @typedef {Object} TextRunInfo
+ * @property {string} text
+ * @property {boolean} bold
+ * @property {boolean} italic
+ * @property {number} size - Font size in points
+ * @property {string} font - Font family name suitable for word processors
+ */
+
+/**
+ * Extracts the structure of a PDF
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} options - Extraction options
+ * @param {string} options.password - Password for encrypted PDFs
+ * @returns {Promise<{bodyFontSize: number, pages: Array<{pageNumber: number, width: number, height: number, columns: number, blocks: Array}>}>}
+ *   Blocks are {type: 'heading', level, align, runs}, {type: 'paragraph', align, runs},
+ *   {type: 'table', rows: TextRunInfo[][][]} or {type: 'image', png, width, height}
+ */
+async function extractPdfStructure(buffer, options = {}) {
+    const pdfjs = await loadPdfjs();
+    const pdfDocument = await openPdfDocument(buffer, { password: options.password });
+
+    try {
+        const pages = [];
+        for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+            const page = await pdfDocument.getPage(pageNumber);
+            pages.push(await extractPage(pdfjs, page, pageNumber));
+            page.cleanup();
+        }
+
+        const bodyFontSize = findBodyFontSize(pages);
+        const headingSizes = findHeadingSizes(pages, bodyFontSize);
+        pages.forEach(page => {
+            page.blocks = page.flows.flatMap(flow => buildBlocks(flow, bodyFontSize, headingSizes));
+            delete page.flows;
+        });
+
+        return { bodyFontSize, pages };
+    } finally {
+        await pdfDocument.destroy();
+    }
+}
+
+async function extractPage(pdfjs, page, pageNumber) {
+    const [offsetX, offsetY, right, top] = page.view;
+    const width = right - offsetX;
+    const height = top - offsetY;
+
+    // The operator list has to be fetched first: it loads fonts into commonObjs and gives us image placements
+    const operatorList = await page.getOperatorList();
+    const textContent = await page.getTextContent();
+
+    const fontCache = new Map();
+    const describeFont = (fontName) => {
+        if (!fontCache.has(fontName)) {
+            let name = '';
+            try {
+                name = page.commonObjs.get(fontName).name || '';
+            } catch (error) {
+                name = (textContent.styles[fontName] && textContent.styles[fontName].fontFamily) || '';
+            }
+            fontCache.set(fontName, parseFontName(name));
+        }
+        return fontCache.get(fontName);
+    };
+
+    const items = textContent.items
+        .filter(item => item.str && item.str.trim().length > 0)
+        .map(item => {
+            const [a, b, c, d, e, f] = item.transform;
+            const size = Math.round((Math.hypot(c, d) || item.height || 12) * 10) / 10;
+            const font = describeFont(item.fontName);
+            return {
+                text: item.str,
+                x0: e - offsetX,
+                x1: e - offsetX + (item.width || item.str.length * size * 0.5),
+                y: f - offsetY,
+                size,
+                bold: font.bold,
+                italic: font.italic,
+                font: font.family,
+                rotated: Math.abs(b) > 0.01 || Math.abs(c) > 0.01 || a < 0
+            };
+        });
+
+    const lines = groupLines(items.filter(item => !item.rotated));
+    const images = await extractImages(pdfjs, page, operatorList, offsetX, offsetY);
+    const gutter = findGutter(lines, width);
+
+    return {
+        pageNumber,
+        width,
+        height,
+        columns: gutter && !gutter.hasSpanning ? 2 : 1,
+        flows: orderElements(lines, images, gutter)
+    };
+}
+
+// Splits a PDF font name like "ABCDEF+TimesNewRomanPS-BoldItalicMT" into family and style
+function parseFontName(rawName) {
+    const name = rawName.replace(/^[A-Z]{6}\+/, '');
+    const bold = /bold|black|heavy|semibold|demi/i.test(name);
+    const italic = /italic|oblique|slanted/i.test(name);
+
+    let family = name.split(/[-,]/)[0].replace(/(PS)?MT$/, '').replace(/PS$/, '');
+    const knownFamilies = {
+        helvetica: 'Arial',
+        arial: 'Arial',
+        times: 'Times New Roman',
+        timesroman: 'Times New Roman',
+        timesnewroman: 'Times New Roman',
+        courier: 'Courier New',
+        couriernew: 'Courier New',
+        'sans-serif': 'Arial',
+        serif: 'Times New Roman',
+        monospace: 'Courier New'
+    };
+    family = knownFamilies[family.toLowerCase()] || family.replace(/([a-z])([A-Z])/g, '$1 $2') || 'Times New Roman';
+
+    return { family, bold, italic };
+}
+
+// Groups text items into lines by baseline, then splits each line into cells at wide gaps
+function groupLines(items) {
+    const sorted = items.slice().sort((a, b) => (b.y - a.y) || (a.x0 - b.x0));
+    const lines = [];
+
+    for (const item of sorted) {
+        const line = lines[lines.length - 1];
+        if (line && Math.abs(line.y - item.y) <= Math.max(line.size, item.size) * 0.4) {
+            line.items.push(item);
+            line.size = Math.max(line.size, item.size);
+        } else {
+            lines.push({ y: item.y, size: item.size, items: [item] });
+        }
+    }
+
+    return lines.map(line => finishLine(line.items));
+}
+
+function finishLine(items) {
+    items.sort((a, b) => a.x0 - b.x0);
+    const size = Math.max(...items.map(item => item.size));
+
+    const cells = [];
+    for (const item of items) {
+        const cell = cells[cells.length - 1];
+        if (cell && item.x0 - cell.x1 <= Math.max(size * CELL_GAP_FACTOR, 12)) {
+            cell.items.push(item);
+            cell.x1 = Math.max(cell.x1, item.x1);
+        } else {
+            cells.push({ x0: item.x0, x1: item.x1, items: [item] });
+        }
+    }
+
+    return {
+        kind: 'line',
+        y: Math.max(...items.map(item => item.y)),
+        top: Math.max(...items.map(item => item.y + item.size)),
+        x0: items[0].x0,
+        x1: Math.max(...items.map(item => item.x1)),
+        size,
+        items,
+        cells
+    };
+}
+
+// Looks for an empty vertical band in the middle of the page that separates two text columns
+function findGutter(lines, pageWidth) {
+    if (lines.length < MIN_COLUMN_LINES) return null;
+
+    const resolution = 2; // points per coverage bucket
+    const coverage = new Array(Math.ceil(pageWidth / resolution) + 1).fill(0);
+    for (const line of lines) {
+        for (const cell of line.cells) {
+            const from = Math.max(0, Math.floor(cell.x0 / resolution));
+            const to = Math.min(coverage.length - 1, Math.ceil(cell.x1 / resolution));
+            for (let i = from; i <= to; i++) coverage[i]++;
+        }
+    }
+
+    const allowed = Math.max(1, Math.floor(lines.length * 0.05));
+    const start = Math.floor((pageWidth * 0.3) / resolution);
+    const end = Math.ceil((pageWidth * 0.7) / resolution);
+    let best = null;
+    let runStart = -1;
+    for (let i = start; i <= end + 1; i++) {
+        const open = i <= end && coverage[i] <= allowed;
+        if (open && runStart === -1) runStart = i;
+        if (!open && runStart !== -1) {
+            if (!best || i - runStart > best.to - best.from) best = { from: runStart, to: i };
+            runStart = -1;
+        }
+    }
+    if (!best || (best.to - best.from) * resolution < 12) return null;
+
+    const gutter = { x0: best.from * resolution, x1: best.to * resolution };
+    const leftCells = lines.flatMap(line => line.cells.filter(cell => cell.x1 <= gutter.x0 + resolution));
+    const rightCells = lines.flatMap(line => line.cells.filter(cell => cell.x0 >= gutter.x1 - resolution));
+    if (leftCells.length < MIN_COLUMN_LINES || rightCells.length < MIN_COLUMN_LINES) return null;
+
+    // Column text fills most of its column; short cells on one side mean a table or a ragged margin instead
+    const leftWidth = gutter.x0 - Math.min(...leftCells.map(cell => cell.x0));
+    const rightWidth = Math.max(...rightCells.map(cell => cell.x1)) - gutter.x1;
+    const fillRatio = (cells, width) => cells.reduce((sum, cell) => sum + (cell.x1 - cell.x0), 0) / (cells.length * width);
+    if (fillRatio(leftCells, leftWidth) < 0.6 || fillRatio(rightCells, rightWidth) < 0.6) return null;
+
+    gutter.hasSpanning = lines.some(line => line.cells.some(cell => cell.x0 < gutter.x0 && cell.x1 > gutter.x1));
+    return gutter;
+}
+
+// Orders lines and images into reading flows; two-column regions read left column first, then right
+function orderElements(lines, images, gutter) {
+    const byTop = (a, b) => b.top - a.top;
+
+    if (!gutter) {
+        return [[...lines, ...images].sort(byTop)];
+    }
+
+    const middle = (gutter.x0 + gutter.x1) / 2;
+    const spanning = [];
+    const columns = [[], []];
+
+    for (const line of lines) {
+        if (line.cells.some(cell => cell.x0 < gutter.x0 && cell.x1 > gutter.x1)) {
+            spanning.push(line);
+            continue;
+        }
+        // Lines that share a baseline across the gutter belong to different columns
+        const leftItems = line.items.filter(item => item.x1 <= middle);
+        const rightItems = line.items.filter(item => item.x1 > middle);
+        if (leftItems.length) columns[0].push(finishLine(leftItems));
+        if (rightItems.length) columns[1].push(finishLine(rightItems));
+    }
+    for (const image of images) {
+        if (image.x0 < gutter.x0 && image.x1 > gutter.x1) spanning.push(image);
+        else columns[image.x1 <= middle ? 0 : 1].push(image);
+    }
+
+    // Spanning elements split the page into bands; each band is read column by column
+    spanning.sort(byTop);
+    const flows = [];
+    let current = [];
+    let upper = Infinity;
+    const takeBand = (lower) => {
+        for (const column of columns) {
+            current.push(...column.filter(el => el.top <= upper && el.top > lower).sort(byTop));
+        }
+    };
+    for (const element of spanning) {
+        takeBand(element.top);
+        current.push(element);
+        upper = element.top;
+    }
+    takeBand(-Infinity);
+    flows.push(current);
+
+    return flows;
+}
+
+// Walks the operator list tracking the transform matrix to find where each image is painted
+async function extractImages(pdfjs, page, operatorList, offsetX, offsetY) {
+    const { OPS } = pdfjs;
+    const images = [];
+    const stack = [];
+    let ctm = [1, 0, 0, 1, 0, 0];
+
+    const multiply = (m, n) => [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+
+    for (let i = 0; i < operatorList.fnArray.length; i++) {
+        const fn = operatorList.fnArray[i];
+        const args = operatorList.argsArray[i];
+
+        if (fn === OPS.save) {
+            stack.push(ctm);
+        } else if (fn === OPS.restore) {
+            ctm = stack.pop() || [1, 0, 0, 1, 0, 0];
+        } else if (fn === OPS.transform) {
+            ctm = multiply(ctm, args);
+        } else if (fn === OPS.paintImageXObject || fn === OPS.paintInlineImageXObject) {
+            const placement = {
+                x0: Math.min(ctm[4], ctm[4] + ctm[0] + ctm[2]) - offsetX,
+                x1: Math.max(ctm[4], ctm[4] + ctm[0] + ctm[2]) - offsetX,
+                bottom: Math.min(ctm[5], ctm[5] + ctm[1] + ctm[3]) - offsetY,
+                top: Math.max(ctm[5], ctm[5] + ctm[1] + ctm[3]) - offsetY
+            };
+            const width = placement.x1 - placement.x0;
+            const height = placement.top - placement.bottom;
+            if (width < MIN_IMAGE_SIZE || height < MIN_IMAGE_SIZE) continue;
+
+            try {
+                const imageData = fn === OPS.paintInlineImageXObject ? args[0] : await getImageObject(page, args[0]);
+                const png = imageData && await imageDataToPng(imageData);
+                if (png) {
+                    images.push({ kind: 'image', ...placement, width, height, png });
+                }
+            } catch (error) {
+                console.warn(`Skipping unreadable image on page ${page.pageNumber}:`, error.message);
+            }
+        }
+    }
+
+    return images;
+}
+
+function getImageObject(page, objId) {
+    const store = objId.startsWith('g_') ? page.commonObjs : page.objs;
+    return Promise.race([
+        new Promise(resolve => store.get(objId, resolve)),
+        new Promise(resolve => setTimeout(() => resolve(null), IMAGE_TIMEOUT_MS))
+    ]);
+}
+
+// Converts a pdfjs decoded image (1-bit gray, RGB or RGBA) into a PNG buffer
+async function imageDataToPng(imageData) {
+    const { width, height, kind, data } = imageData;
+    if (!data || !width || !height) return null;
+
+    if (kind === 1) {
+        // GRAYSCALE_1BPP: rows padded to whole bytes, 1 = white
+        const rowBytes = (width + 7) >> 3;
+        const gray = Buffer.alloc(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const bit = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+                gray[y * width + x] = bit ? 255 : 0;
+            }
+        }
+        return sharp(gray, { raw: { width, height, channels: 1 } }).png().toBuffer();
+    }
+
+    const channels = kind === 2 ? 3 : 4;
+    return sharp(Buffer.from(data.buffer, data.byteOffset, width * height * channels), {
+        raw: { width, height, channels }
+    }).png().toBuffer();
+}
+
+// The most common font size by character count is taken as body text
+function findBodyFontSize(pages) {
+    const counts = new Map();
+    for (const page of pages) {
+        for (const flow of page.flows) {
+            for (const element of flow) {
+                if (element.kind !== 'line') continue;
+                for (const item of element.items) {
+                    const size = Math.round(item.size * 2) / 2;
+                    counts.set(size, (counts.get(size) || 0) + item.text.length);
+                }
+            }
+        }
+    }
+    let body = 12, best = -1;
+    counts.forEach((count, size) => {
+        if (count > best) {
+            best = count;
+            body = size;
+        }
+    });
+    return body;
+}
+
+// Distinct font sizes noticeably larger than body text, largest first; their rank is the heading level
+function findHeadingSizes(pages, bodyFontSize) {
+    const sizes = new Set();
+    for (const page of pages) {
+        for (const flow of page.flows) {
+            for (const element of flow) {
+                if (element.kind === 'line' && element.size >= bodyFontSize * HEADING_SIZE_FACTOR) {
+                    sizes.add(Math.round(element.size));
+                }
+            }
+        }
+    }
+    return Array.from(sizes).sort((a, b) => b - a);
+}
+
+// Converts a reading flow of lines and images into paragraph, heading, table and image blocks
+function buildBlocks(flow, bodyFontSize, headingSizes) {
+    const lines = flow.filter(element => element.kind === 'line');
+    const flowLeft = lines.length ? Math.min(...lines.map(line => line.x0)) : 0;
+    const flowRight = lines.length ? Math.max(...lines.map(line => line.x1)) : 0;
+    const blocks = [];
+    let paragraph = null;
+    let tableLines = [];
+
+    const flushParagraph = () => {
+        if (paragraph) {
+            blocks.push(finishParagraph(paragraph, flowLeft, flowRight, bodyFontSize, headingSizes));
+            paragraph = null;
+        }
+    };
+    const flushTable = () => {
+        if (tableLines.length >= 2) {
+            const table = buildTable(tableLines);
+            if (table) {
+                blocks.push(table);
+                tableLines = [];
+                return;
+            }
+        }
+        // Not enough aligned rows for a table: treat the lines as ordinary paragraphs
+        const pending = tableLines;
+        tableLines = [];
+        pending.forEach(addLine);
+    };
+    const addLine = (line) => {
+        const previous = paragraph && paragraph.lines[paragraph.lines.length - 1];
+        const startsNew = !previous ||
+            line.y >= previous.y || // moved back up the page, i.e. into the next column
+            previous.y - line.y > Math.max(previous.size, line.size) * PARAGRAPH_GAP_FACTOR ||
+            Math.abs(previous.size - line.size) > 1 ||
+            isAllBold(previous) !== isAllBold(line);
+        if (startsNew) {
+            flushParagraph();
+            paragraph = { lines: [] };
+        }
+        paragraph.lines.push(line);
+    };
+
+    for (const element of flow) {
+        if (element.kind === 'image') {
+            flushTable();
+            flushParagraph();
+            blocks.push({ type: 'image', png: element.png, width: element.width, height: element.height });
+        } else if (element.cells.length >= 2) {
+            flushParagraph();
+            tableLines.push(element);
+        } else {
+            flushTable();
+            addLine(element);
+        }
+    }
+    flushTable();
+    flushParagraph();
+
+    return blocks;
+}
+
+function isAllBold(line) {
+    return line.items.every(item => item.bold);
+}
+
+function finishParagraph(paragraph, flowLeft, flowRight, bodyFontSize, headingSizes) {
+    const runs = [];
+    paragraph.lines.forEach((line, index) => {
+        if (index > 0 && runs.length) {
+            const last = runs[runs.length - 1];
+            // Re-join words hyphenated across line breaks
+            if (/[a-z]-$/.test(last.text) && /^[a-z]/.test(line.items[0].text)) {
+                last.text = last.text.slice(0, -1);
+            } else if (!/\s$/.test(last.text)) {
+                last.text += ' ';
+            }
+        }
+        appendRuns(runs, line.items);
+    });
+
+    const size = Math.max(...paragraph.lines.map(line => line.size));
+    const text = runs.map(run => run.text).join('');
+    const block = {
+        type: 'paragraph',
+        align: detectAlignment(paragraph.lines, flowLeft, flowRight),
+        runs
+    };
+
+    const sizeRank = headingSizes.indexOf(Math.round(size));
+    if (text.length < 200 && sizeRank !== -1) {
+        block.type = 'heading';
+        block.level = Math.min(sizeRank + 1, 3);
+    } else if (text.length < 100 && paragraph.lines.length === 1 && runs.every(run => run.bold) && size >= bodyFontSize) {
+        // Short bold lines at body size are section titles
+        block.type = 'heading';
+        block.level = Math.min(headingSizes.length + 1, 3);
+    }
+
+    return block;
+}
+
+// Merges items with identical styling into runs, inserting spaces where items are visibly apart
+function appendRuns(runs, items) {
+    let previous = null;
+    for (const item of items) {
+        let text = item.text;
+        const last = runs[runs.length - 1];
+        if (previous && item.x0 - previous.x1 > item.size * 0.15 && !/\s$/.test(last.text) && !/^\s/.test(text)) {
+            text = ' ' + text;
+        }
+        if (last && last.bold === item.bold && last.italic === item.italic && last.size === item.size && last.font === item.font) {
+            last.text += text;
+        } else {
+            runs.push({ text, bold: item.bold, italic: item.italic, size: item.size, font: item.font });
+        }
+        previous = item;
+    }
+}
+
+function detectAlignment(lines, flowLeft, flowRight) {
+    const width = flowRight - flowLeft;
+    if (width <= 0) return 'left';
+
+    const centered = lines.every(line => {
+        const leftGap = line.x0 - flowLeft;
+        const rightGap = flowRight - line.x1;
+        return leftGap > width * 0.1 && Math.abs(leftGap - rightGap) < width * 0.08;
+    });
+    if (centered) return 'center';
+
+    const rightAligned = lines.every(line => line.x0 - flowLeft > width * 0.3 && flowRight - line.x1 < width * 0.03);
+    return rightAligned ? 'right' : 'left';
+}
+
+// Builds a table from consecutive multi-cell lines whose cells line up on shared column starts
+function buildTable(lines) {
+    const tolerance = 10;
+    const starts = [];
+    for (const line of lines) {
+        for (const cell of line.cells) {
+            if (!starts.some(start => Math.abs(start - cell.x0) <= tolerance)) starts.push(cell.x0);
+        }
+    }
+    starts.sort((a, b) => a - b);
+
+    const maxCells = Math.max(...lines.map(line => line.cells.length));
+    if (starts.length > maxCells + 1) return null; // cells don't line up, so this isn't a grid
+
+    const rows = lines.map(line => {
+        const row = starts.map(() => []);
+        for (const cell of line.cells) {
+            let column = 0;
+            starts.forEach((start, index) => {
+                if (start <= cell.x0 + tolerance) column = index;
+            });
+            appendRuns(row[column], cell.items);
+        }
+        return row;
+    });
+
+    return { type: 'table', rows };
+}
+
+module.exports = { extractPdfStructure };
@@ -0,0 +1,48 @@
+const path = require('path');
+const { createPasswordError } = require('./pdfEncryption');
+
+// pdfjs-dist ships as an ES module, so it has to be loaded with a dynamic import from CommonJS
+let pdfjsPromise = null;
+
+function loadPdfjs() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+    return pdfjsPromise;
+}
+
+// Font and CMap data bundled with pdfjs-dist, needed for PDFs that don't embed their fonts
+const pdfjsRoot = path.dirname(require.resolve('pdfjs-dist/package.json'));
+const standardFontDataUrl = path.join(pdfjsRoot, 'standard_fonts') + path.sep;
+const cMapUrl = path.join(pdfjsRoot, 'cmaps') + path.sep;
+
+/**
+ * Opens a PDF with pdfjs for rendering or text extraction
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} options - Load options
+ * @param {string} options.password - Password for encrypted PDFs
+ * @returns {Promise<Object>} pdfjs PDFDocumentProxy; call destroy() when finished
+ */
+async function openPdfDocument(buffer, options = {}) {
+    const pdfjs = await loadPdfjs();
+    const loadingTask = pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        password: options.password || undefined,
+        standardFontDataUrl,
+        cMapUrl,
+        cMapPacked: true,
+        isEvalSupported: false,
+        verbosity: pdfjs.VerbosityLevel.ERRORS
+    });
+    try {
+        return await loadingTask.promise;
+    } catch (error) {
+        // Same messages as PDFs decrypted for pdf-lib, instead of pdfjs' "No password given"
+        if (error.name === 'PasswordException') {
+            throw createPasswordError(error.code === pdfjs.PasswordResponses.INCORRECT_PASSWORD);
+        }
+        throw error;
+    }
+}
+
+module.exports = { loadPdfjs, openPdfDocument };
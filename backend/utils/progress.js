@@ -0,0 +1,67 @@
+// Per-request progress channels for batch conversions, streamed to the browser over Server-Sent Events.
+// The client picks a progress id, opens GET /api/progress/:id and sends the same id with its upload.
+// Events are buffered so a client that connects after processing has started still sees everything.
+const EventEmitter = require('events');
+
+const CHANNEL_TTL_MS = 5 * 60 * 1000; // channels are dropped five minutes after their last event
+const TERMINAL_EVENTS = ['done', 'error'];
+
+const channels = new Map();
+
+function isValidProgressId(id) {
+    return typeof id === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(id);
+}
+
+function sweepChannels() {
+    const now = Date.now();
+    for (const [id, channel] of channels) {
+        if (channel.expiresAt < now) channels.delete(id);
+    }
+}
+
+function getChannel(id) {
+    sweepChannels();
+    let channel = channels.get(id);
+    if (!channel) {
+        channel = { events: [], emitter: new EventEmitter(), expiresAt: Date.now() + CHANNEL_TTL_MS };
+        channels.set(id, channel);
+    }
+    return channel;
+}
+
+/**
+ * Returns a function that publishes progress events for `id`; a no-op when the request didn't ask for progress
+ * @param {string} id - Progress id sent by the client
+ * @returns {function(string, Object=): void} report(type, data)
+ */
+function createProgressReporter(id) {
+    if (!isValidProgressId(id)) {
+        return () => {};
+    }
+    return (type, data = {}) => {
+        const channel = getChannel(id);
+        const event = { type, ...data, timestamp: Date.now() };
+        channel.events.push(event);
+        channel.expiresAt = Date.now() + CHANNEL_TTL_MS;
+        channel.emitter.emit('event', event);
+    };
+}
+
+/**
+ * Calls `listener` for every past and future event of `id`
+ * @param {string} id - Progress id
+ * @param {function(Object): void} listener - Receives each event
+ * @returns {function(): void} Unsubscribe function
+ */
+function subscribeToProgress(id, listener) {
+    const channel = getChannel(id);
+    channel.events.forEach(listener);
+    channel.emitter.on('event', listener);
+    return () => channel.emitter.off('event', listener);
+}
+
+function isTerminalEvent(event) {
+    return TERMINAL_EVENTS.includes(event.type);
+}
+
+module.exports = { createProgressReporter, subscribeToProgress, isValidProgressId, isTerminalEvent };
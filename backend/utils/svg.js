@@ -0,0 +1,191 @@
+// Raster-to-SVG output.
+// "embed" wraps the image as a PNG data URI; "trace" posterizes it and turns each colour region into <path> elements.
+
+const MAX_TRACE_DIMENSION = 512; // tracing cost grows with pixel count, so large inputs are downscaled first
+const ALPHA_THRESHOLD = 128;     // pixels more transparent than this are left out of traced paths
+
+/**
+ * Builds an SVG that embeds the raster image with matching dimensions and viewBox
+ * @param {Buffer} pngBuffer - PNG-encoded image
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {string} SVG document
+ */
+function embedRasterSvg(pngBuffer, width, height) {
+    const href = `data:image/png;base64,${pngBuffer.toString('base64')}`;
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+        `width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+        `<image width="${width}" height="${height}" href="${href}" xlink:href="${href}"/>\n` +
+        `</svg>\n`;
+}
+
+// Median-cut colour quantization over opaque pixels; returns up to `colorCount` [r, g, b] entries
+function buildPalette(data, channels, colorCount) {
+    const pixels = [];
+    for (let i = 0; i < data.length; i += channels) {
+        if (channels === 4 && data[i + 3] < ALPHA_THRESHOLD) continue;
+        pixels.push([data[i], data[i + 1], data[i + 2]]);
+    }
+    if (pixels.length === 0) return [];
+
+    const channelRange = (bucket, c) => {
+        let min = 255, max = 0;
+        for (const p of bucket) {
+            if (p[c] < min) min = p[c];
+            if (p[c] > max) max = p[c];
+        }
+        return max - min;
+    };
+
+    const buckets = [pixels];
+    while (buckets.length < colorCount) {
+        // Split the bucket with the widest spread on any channel
+        let target = -1, targetChannel = 0, widest = 0;
+        buckets.forEach((bucket, index) => {
+            if (bucket.length < 2) return;
+            for (let c = 0; c < 3; c++) {
+                const range = channelRange(bucket, c);
+                if (range > widest) {
+                    widest = range;
+                    target = index;
+                    targetChannel = c;
+                }
+            }
+        });
+        if (target === -1) break;
+
+        const bucket = buckets[target].sort((a, b) => a[targetChannel] - b[targetChannel]);
+        const middle = bucket.length >> 1;
+        buckets.splice(target, 1, bucket.slice(0, middle), bucket.slice(middle));
+    }
+
+    return buckets.map(bucket => {
+        const sum = [0, 0, 0];
+        for (const p of bucket) {
+            sum[0] += p[0];
+            sum[1] += p[1];
+            sum[2] += p[2];
+        }
+        return sum.map(v => Math.round(v / bucket.length));
+    });
+}
+
+function nearestColor(palette, r, g, b) {
+    let best = 0, bestDistance = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+        const dr = palette[i][0] - r, dg = palette[i][1] - g, db = palette[i][2] - b;
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = i;
+        }
+    }
+    return best;
+}
+
+// Traces the outline of every pixel labelled `label` into closed SVG subpaths.
+// Boundary edges are emitted clockwise (outer) / counter-clockwise (holes), so the default nonzero fill rule works.
+function traceLabel(labels, width, height, label) {
+    const stride = width + 1;
+    const edges = new Map(); // start vertex -> list of end vertices
+    const addEdge = (x1, y1, x2, y2) => {
+        const from = y1 * stride + x1;
+        const to = y2 * stride + x2;
+        if (!edges.has(from)) edges.set(from, []);
+        edges.get(from).push(to);
+    };
+    const isLabel = (x, y) => x >= 0 && y >= 0 && x < width && y < height && labels[y * width + x] === label;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (labels[y * width + x] !== label) continue;
+            if (!isLabel(x, y - 1)) addEdge(x, y, x + 1, y);
+            if (!isLabel(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+            if (!isLabel(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+            if (!isLabel(x - 1, y)) addEdge(x, y + 1, x, y);
+        }
+    }
+
+    const subpaths = [];
+    for (const start of edges.keys()) {
+        while (edges.get(start).length > 0) {
+            // Walk edges until we return to the start vertex
+            const points = [start];
+            let current = start;
+            do {
+                const outgoing = edges.get(current);
+                current = outgoing.pop();
+                points.push(current);
+            } while (current !== start && edges.get(current) && edges.get(current).length > 0);
+
+            // Keep only corners: drop vertices that continue in a straight line
+            const corners = points.slice(0, -1).filter((point, i, loop) => {
+                const prev = loop[(i - 1 + loop.length) % loop.length];
+                const next = loop[(i + 1) % loop.length];
+                const sameRow = Math.floor(prev / stride) === Math.floor(point / stride) && Math.floor(point / stride) === Math.floor(next / stride);
+                const sameColumn = prev % stride === point % stride && point % stride === next % stride;
+                return !sameRow && !sameColumn;
+            });
+            if (corners.length < 4) continue;
+
+            // Axis-aligned outline, so alternate H and V commands
+            let d = `M${corners[0] % stride} ${Math.floor(corners[0] / stride)}`;
+            for (let i = 1; i < corners.length; i++) {
+                const prevY = Math.floor(corners[i - 1] / stride);
+                const x = corners[i] % stride;
+                const y = Math.floor(corners[i] / stride);
+                d += y === prevY ? `H${x}` : `V${y}`;
+            }
+            subpaths.push(d + 'Z');
+        }
+    }
+
+    return subpaths.join('');
+}
+
+function toHex(color) {
+    return '#' + color.map(v => v.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Vectorizes raw RGBA pixels into an SVG of flat-colour <path> regions
+ * @param {Buffer} data - Raw RGB/RGBA pixels, top-down
+ * @param {Object} info - Pixel layout {width, height, channels}
+ * @param {Object} options - Tracing options
+ * @param {number} options.colors - Palette size for posterization (2-32)
+ * @param {number} options.outputWidth - Width attribute of the SVG (defaults to traced width)
+ * @param {number} options.outputHeight - Height attribute of the SVG (defaults to traced height)
+ * @returns {string} SVG document
+ */
+function traceRasterSvg(data, info, options = {}) {
+    const { width, height, channels } = info;
+    const colorCount = Math.min(Math.max(parseInt(options.colors, 10) || 8, 2), 32);
+    const outputWidth = options.outputWidth || width;
+    const outputHeight = options.outputHeight || height;
+
+    const palette = buildPalette(data, channels, colorCount);
+    const labels = new Int16Array(width * height).fill(-1);
+    const colorCache = new Map();
+
+    for (let i = 0, p = 0; i < labels.length; i++, p += channels) {
+        if (channels === 4 && data[p + 3] < ALPHA_THRESHOLD) continue;
+        const key = (data[p] << 16) | (data[p + 1] << 8) | data[p + 2];
+        if (!colorCache.has(key)) {
+            colorCache.set(key, nearestColor(palette, data[p], data[p + 1], data[p + 2]));
+        }
+        labels[i] = colorCache.get(key);
+    }
+
+    const paths = palette.map((color, label) => {
+        const d = traceLabel(labels, width, height, label);
+        return d ? `<path fill="${toHex(color)}" d="${d}"/>` : '';
+    }).filter(Boolean);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${width} ${height}">\n` +
+        paths.join('\n') +
+        `\n</svg>\n`;
+}
+
+module.exports = { embedRasterSvg, traceRasterSvg, MAX_TRACE_DIMENSION };
@@ -0,0 +1,144 @@
+// Target file-size mode for converted images ("make it under 200KB"): searches the quality of a lossy encoder
+// and, when allowed, the image dimensions for the best result that fits in the requested number of bytes.
+const { applyEncoderOptions } = require('./imageEncoding');
+const { renderImage, keepsSourceMetadata, applyMetadataPolicy } = require('./imageMetadata');
+
+const lossyFormats = ['jpg', 'jpeg', 'webp', 'avif', 'heic', 'heif'];
+const MIN_QUALITY = 10; // lower qualities are rarely usable
+const DEFAULT_MAX_QUALITY = 80; // sharp's default when the encoder options set none
+const MIN_TARGET_BYTES = 1024;
+const MAX_TARGET_BYTES = 50 * 1024 * 1024; // the upload limit
+const MIN_DIMENSION = 16; // pixels; downscaling stops here
+const MAX_DOWNSCALE_ROUNDS = 6;
+const MAX_REFINE_ROUNDS = 8; // binary-search steps for the scale once a downscaled result fits
+const units = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(2)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Reads the target size fields of a convert request
+ * @param {Object} body - Form fields: target_size (bytes, or with a KB/MB suffix such as 200KB or 1.5MB;
+ *   1 KB = 1024 bytes) and allow_downscale ("true" also shrinks images that are too large at the lowest quality)
+ * @param {string} format - Output format; only lossy formats (jpg, webp, avif, heic, heif) have a quality to search
+ * @param {Object} encoder - Encoder options of the request (see utils/imageEncoding.js)
+ * @returns {{bytes: number, allowDownscale: boolean}|null} Target, or null when no target size is set
+ * @throws {Error} When the size is invalid or can't apply to the format or encoder options
+ */
+function parseTargetSize(body = {}, format, encoder = {}) {
+    if (body.target_size === undefined || body.target_size === '') return null;
+
+    const match = String(body.target_size).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/);
+    const bytes = match ? Math.floor(Number(match[1]) * units[match[2] || 'b']) : NaN;
+    if (!match || bytes < MIN_TARGET_BYTES || bytes > MAX_TARGET_BYTES) {
+        throw new Error(`Invalid target size "${body.target_size}". Use bytes or a size such as 200KB or 1.5MB, between 1KB and 50MB.`);
+    }
+    if (!lossyFormats.includes(format)) {
+        throw new Error('A target size needs a lossy output format: jpg, webp, avif, heic or heif.');
+    }
+    if (encoder.lossless || encoder.nearLossless) {
+        throw new Error('A target size can\'t be combined with lossless encoding.');
+    }
+    return { bytes, allowDownscale: body.allow_downscale === 'true' };
+}
+
+/**
+ * Encodes an image at the highest quality that fits in a target size
+ * Quality is binary-searched between MIN_QUALITY and the encoder's own quality; with allowDownscale the image is
+ * shrunk (by the ratio of target to result size) and searched again while even MIN_QUALITY is too large. That
+ * ratio overshoots when headers and metadata make up much of the size, so the scale is then binary-searched
+ * between the last size that was too large and the one that fits, keeping the quality found there.
+ * @param {sharp.Sharp} sharpInstance - Image to encode
+ * @param {string} format - jpg, webp, avif, heic or heif
+ * @param {Object} encoder - Result of parseEncoderOptions; its quality is the upper bound of the search
+ * @param {Object} target - Result of parseTargetSize
+ * @param {Object|null} metadata - Metadata to write (see utils/imageMetadata.js); it counts towards the size
+ * @returns {Promise<{buffer: Buffer, bytes: number, quality: number, width: number, height: number}>}
+ * @throws {Error} With statusCode 422 when the target can't be met
+ */
+async function encodeToTargetSize(sharpInstance, format, encoder, target, metadata = null) {
+    const keepMetadata = keepsSourceMetadata(metadata);
+    const original = await renderImage(sharpInstance, keepMetadata);
+    const maxQuality = Math.max(encoder.quality || DEFAULT_MAX_QUALITY, MIN_QUALITY);
+
+    const encode = async (image, quality) => {
+        const pipeline = applyMetadataPolicy(image.load(), metadata);
+        const buffer = await applyEncoderOptions(pipeline, format, { ...encoder, quality }).toBuffer();
+        return { buffer, bytes: buffer.length, quality, width: image.info.width, height: image.info.height };
+    };
+
+    // Highest quality that fits, or the MIN_QUALITY result when none does
+    const searchQuality = async image => {
+        const best = await encode(image, maxQuality);
+        if (best.bytes <= target.bytes) return best;
+        let fitting = await encode(image, MIN_QUALITY);
+        if (fitting.bytes > target.bytes) return fitting;
+
+        let low = MIN_QUALITY;
+        let high = maxQuality;
+        while (high - low > 1) {
+            const quality = Math.floor((low + high) / 2);
+            const result = await encode(image, quality);
+            if (result.bytes <= target.bytes) {
+                low = quality;
+                fitting = result;
+            } else {
+                high = quality;
+            }
+        }
+        return fitting;
+    };
+
+    // The original resized to a fraction of its size, or null when that is too small
+    const resizeTo = async scale => {
+        const width = Math.round(original.info.width * scale);
+        const height = Math.round(original.info.height * scale);
+        if (width < MIN_DIMENSION || height < MIN_DIMENSION) return null;
+        return renderImage(original.load().resize(width, height, { fit: 'fill' }), keepMetadata);
+    };
+
+    let result = await searchQuality(original);
+    let scale = 1;
+    let tooLargeScale = 1;
+    for (let round = 0; result.bytes > target.bytes && target.allowDownscale && round < MAX_DOWNSCALE_ROUNDS; round++) {
+        // Size grows roughly with the pixel count; aim a little below the target
+        const nextScale = scale * Math.sqrt(target.bytes / result.bytes) * 0.9;
+        const resized = await resizeTo(nextScale);
+        if (!resized) break;
+        tooLargeScale = scale;
+        scale = nextScale;
+        result = await searchQuality(resized);
+    }
+
+    if (scale < 1 && result.bytes <= target.bytes) {
+        // Grow back towards the last size that was too large while the quality found still fits, until the
+        // dimensions differ by less than 2 pixels; only the final size gets a full quality search
+        const longSide = Math.max(original.info.width, original.info.height);
+        const quality = result.quality;
+        let grown = null;
+        for (let round = 0; round < MAX_REFINE_ROUNDS && (tooLargeScale - scale) * longSide >= 2; round++) {
+            // Geometric middle: the bounds can be an order of magnitude apart
+            const middle = Math.sqrt(scale * tooLargeScale);
+            const resized = await resizeTo(middle);
+            if ((await encode(resized, quality)).bytes <= target.bytes) {
+                scale = middle;
+                grown = resized;
+            } else {
+                tooLargeScale = middle;
+            }
+        }
+        if (grown) result = await searchQuality(grown);
+    }
+
+    if (result.bytes > target.bytes) {
+        const error = new Error(`Couldn't get the image under ${formatBytes(target.bytes)}: the smallest result was ` +
+            `${formatBytes(result.bytes)} (quality ${result.quality}, ${result.width}x${result.height}). ` +
+            (target.allowDownscale ? 'Try a larger target size.' : 'Try a larger target size or allow downscaling.'));
+        error.statusCode = 422;
+        throw error;
+    }
+    return result;
+}
+
+module.exports = { parseTargetSize, encodeToTargetSize, lossyFormats };
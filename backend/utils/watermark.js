@@ -0,0 +1,255 @@
+// Text and image watermarks ("DRAFT", "CONFIDENTIAL", logos): drawn with pdf-lib on PDF pages and composited
+// with sharp onto images. Placement is worked out once in visual coordinates (origin bottom-left) for both.
+const fs = require('fs');
+const sharp = require('sharp');
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
+const { parsePageRange, validatePageRange } = require('./pageRange');
+const { renderImage } = require('./imageMetadata');
+
+const positions = ['center', 'top', 'bottom', 'left', 'right', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const EDGE_MARGIN = 0.04; // gap to the page edge, as a fraction of the shorter side
+const TILE_GAP = 0.08; // gap between tiled copies, as a fraction of the shorter side
+
+function parseNumber(value, name, { min, max, fallback }) {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+        throw new Error(`Invalid watermark ${name} "${value}". Use a number between ${min} and ${max}.`);
+    }
+    return number;
+}
+
+/**
+ * Reads the watermark fields of a request
+ * @param {Object} body - Form fields: watermark_text, watermark_position, watermark_opacity (0-1),
+ *   watermark_rotation (degrees counter-clockwise), watermark_size (% of the page width), watermark_color (#rrggbb),
+ *   watermark_tile ("true" repeats it across the page), watermark_pages (page range such as 1-3,5, PDFs only)
+ * @param {Object} imageFile - Uploaded watermark image (multer file), used instead of text
+ * @returns {Object|null} Watermark options, or null when no watermark was requested
+ * @throws {Error} When a field has an unsupported value
+ */
+function parseWatermarkOptions(body = {}, imageFile = null) {
+    const text = (body.watermark_text || '').trim();
+    if (!text && !imageFile) {
+        return null;
+    }
+
+    const position = (body.watermark_position || 'center').toLowerCase();
+    if (!positions.includes(position)) {
+        throw new Error(`Invalid watermark position "${body.watermark_position}". Supported: ${positions.join(', ')}`);
+    }
+
+    const color = body.watermark_color || '#808080';
+    if (!/^#[0-9a-f]{6}$/i.test(color)) {
+        throw new Error(`Invalid watermark color "${color}". Use a hex color such as #ff0000.`);
+    }
+
+    let pages;
+    try {
+        pages = validatePageRange(body.watermark_pages);
+    } catch (rangeError) {
+        throw new Error(`Invalid watermark pages "${body.watermark_pages}". Use page numbers such as 1-3,5,8- or last.`);
+    }
+
+    return {
+        text: imageFile ? null : text,
+        imagePath: imageFile ? imageFile.path : null,
+        position,
+        color,
+        opacity: parseNumber(body.watermark_opacity, 'opacity', { min: 0, max: 1, fallback: 0.3 }),
+        // Text runs diagonally by default, the classic "DRAFT" stamp; images stay upright
+        rotation: parseNumber(body.watermark_rotation, 'rotation', { min: -360, max: 360, fallback: imageFile ? 0 : 45 }),
+        size: parseNumber(body.watermark_size, 'size', { min: 5, max: 100, fallback: 50 }),
+        tile: body.watermark_tile === 'true',
+        pages
+    };
+}
+
+/**
+ * Loads what drawing a watermark needs: text metrics (Helvetica Bold) or the image as PNG
+ * @param {Object} options - Result of parseWatermarkOptions
+ * @returns {Promise<Object>} Options plus textWidth/textHeight (at size 1) or png/imageWidth/imageHeight
+ */
+async function prepareWatermark(options) {
+    if (options.imagePath) {
+        const { data, info } = await sharp(fs.readFileSync(options.imagePath)).rotate().png().toBuffer({ resolveWithObject: true });
+        return { ...options, png: data, imageWidth: info.width, imageHeight: info.height };
+    }
+
+    const scratch = await PDFDocument.create();
+    const font = await scratch.embedFont(StandardFonts.HelveticaBold);
+    let textWidth;
+    try {
+        textWidth = font.widthOfTextAtSize(options.text, 1);
+    } catch (encodingError) {
+        throw new Error('Watermark text can only use Latin characters.');
+    }
+    return { ...options, textWidth, textHeight: font.heightAtSize(1, { descender: false }) };
+}
+
+// Width and height of one watermark copy on an area of the given width
+function getWatermarkBox(watermark, areaWidth) {
+    const width = areaWidth * watermark.size / 100;
+    if (watermark.png) {
+        return { width, height: width * watermark.imageHeight / watermark.imageWidth };
+    }
+    const fontSize = width / watermark.textWidth;
+    return { width, height: watermark.textHeight * fontSize, fontSize };
+}
+
+/**
+ * Centers of the watermark copies on an area, origin bottom-left
+ * Positions keep the rotated watermark inside the area; tiling fills the area in a brick pattern.
+ * @returns {{x: number, y: number}[]}
+ */
+function getWatermarkCenters(watermark, areaWidth, areaHeight, box) {
+    const angle = watermark.rotation * Math.PI / 180;
+    const boundsWidth = Math.abs(box.width * Math.cos(angle)) + Math.abs(box.height * Math.sin(angle));
+    const boundsHeight = Math.abs(box.width * Math.sin(angle)) + Math.abs(box.height * Math.cos(angle));
+    const shorterSide = Math.min(areaWidth, areaHeight);
+
+    if (watermark.tile) {
+        const stepX = boundsWidth + shorterSide * TILE_GAP;
+        const stepY = boundsHeight + shorterSide * TILE_GAP;
+        const rows = Math.ceil((areaHeight + boundsHeight) / 2 / stepY);
+        const columns = Math.ceil((areaWidth + boundsWidth) / 2 / stepX) + 1;
+        const centers = [];
+        for (let row = -rows; row <= rows; row++) {
+            for (let column = -columns; column <= columns; column++) {
+                const x = areaWidth / 2 + (column + (Math.abs(row) % 2) / 2) * stepX;
+                const y = areaHeight / 2 + row * stepY;
+                // Keep copies that at least partly overlap the area
+                if (Math.abs(x - areaWidth / 2) < (areaWidth + boundsWidth) / 2 &&
+                    Math.abs(y - areaHeight / 2) < (areaHeight + boundsHeight) / 2) {
+                    centers.push({ x, y });
+                }
+            }
+        }
+        return centers;
+    }
+
+    const margin = shorterSide * EDGE_MARGIN;
+    let x = areaWidth / 2;
+    let y = areaHeight / 2;
+    if (watermark.position.includes('left')) x = margin + boundsWidth / 2;
+    if (watermark.position.includes('right')) x = areaWidth - margin - boundsWidth / 2;
+    if (watermark.position.includes('top')) y = areaHeight - margin - boundsHeight / 2;
+    if (watermark.position.includes('bottom')) y = margin + boundsHeight / 2;
+    return [{ x, y }];
+}
+
+function hexToRgb(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Size of a PDF page as it is shown, with a mapping from shown coordinates (origin bottom-left) to page space
+ * Takes the page's /Rotate and the MediaBox offset into account.
+ * @param {PDFPage} page - pdf-lib page
+ * @returns {{width: number, height: number, rotation: number, toPage: Function}} rotation is 0, 90, 180 or 270
+ */
+function getVisiblePageArea(page) {
+    const mediaBox = page.getMediaBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const [width, height] = rotation % 180 === 0 ? [mediaBox.width, mediaBox.height] : [mediaBox.height, mediaBox.width];
+
+    const toPage = (x, y) => {
+        switch (rotation) {
+            case 90: return { x: mediaBox.x + mediaBox.width - y, y: mediaBox.y + x };
+            case 180: return { x: mediaBox.x + mediaBox.width - x, y: mediaBox.y + mediaBox.height - y };
+            case 270: return { x: mediaBox.x + y, y: mediaBox.y + mediaBox.height - x };
+            default: return { x: mediaBox.x + x, y: mediaBox.y + y };
+        }
+    };
+    return { width, height, rotation, toPage };
+}
+
+/**
+ * Draws the watermark on the selected pages of a PDF
+ * Rotated pages (/Rotate) are handled so the watermark sits the same way up as the page is shown.
+ * @param {PDFDocument} pdfDoc - Document to draw on
+ * @param {Object} watermark - Result of prepareWatermark
+ * @param {Object} options - Drawing options
+ * @param {number} options.firstPage - 0-based index of the page that watermark page 1 refers to; pages before it
+ *   (such as an inserted table of contents) are never watermarked
+ * @throws {Error} With statusCode 422 when the page range goes past the last page
+ */
+async function watermarkPdf(pdfDoc, watermark, options = {}) {
+    const pages = pdfDoc.getPages().slice(options.firstPage || 0);
+    let pageNumbers;
+    try {
+        pageNumbers = parsePageRange(watermark.pages, pages.length);
+    } catch (rangeError) {
+        const error = new Error(`Watermark pages "${watermark.pages}" don't fit the document: ${rangeError.message}.`);
+        error.statusCode = 422;
+        throw error;
+    }
+    const font = watermark.png ? null : await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const image = watermark.png ? await pdfDoc.embedPng(watermark.png) : null;
+    const [red, green, blue] = hexToRgb(watermark.color);
+
+    for (const pageNumber of new Set(pageNumbers)) {
+        const page = pages[pageNumber - 1];
+        const { width: areaWidth, height: areaHeight, rotation: pageRotation, toPage } = getVisiblePageArea(page);
+
+        const box = getWatermarkBox(watermark, areaWidth);
+        const angle = watermark.rotation * Math.PI / 180;
+        for (const center of getWatermarkCenters(watermark, areaWidth, areaHeight, box)) {
+            // pdf-lib rotates around the bottom-left corner, so step back from the center to that corner
+            const origin = toPage(
+                center.x - (Math.cos(angle) * box.width - Math.sin(angle) * box.height) / 2,
+                center.y - (Math.sin(angle) * box.width + Math.cos(angle) * box.height) / 2
+            );
+            const drawOptions = {
+                x: origin.x,
+                y: origin.y,
+                opacity: watermark.opacity,
+                rotate: degrees(watermark.rotation + pageRotation)
+            };
+            if (image) {
+                page.drawImage(image, { ...drawOptions, width: box.width, height: box.height });
+            } else {
+                page.drawText(watermark.text, { ...drawOptions, font, size: box.fontSize, color: rgb(red / 255, green / 255, blue / 255) });
+            }
+        }
+    }
+}
+
+function escapeXml(text) {
+    return text.replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[char]));
+}
+
+/**
+ * Composites the watermark onto an image
+ * @param {sharp.Sharp} sharpInstance - Image pipeline (already auto-rotated)
+ * @param {Object} watermark - Result of prepareWatermark
+ * @param {Object} options - Render options
+ * @param {boolean} options.keepMetadata - Carry the input's metadata along (see utils/imageMetadata.js)
+ * @returns {Promise<sharp.Sharp>} Pipeline of the watermarked image
+ */
+async function watermarkImage(sharpInstance, watermark, options = {}) {
+    // Render first, so the overlay matches the final (EXIF-rotated) size
+    const image = await renderImage(sharpInstance, options.keepMetadata);
+    const info = image.info;
+    const box = getWatermarkBox(watermark, info.width);
+
+    const elements = getWatermarkCenters(watermark, info.width, info.height, box).map(center => {
+        // SVG's y axis points down and its rotation is clockwise
+        const x = center.x;
+        const y = info.height - center.y;
+        const transform = `rotate(${-watermark.rotation} ${x} ${y})`;
+        if (watermark.png) {
+            return `<image xlink:href="data:image/png;base64,${watermark.png.toString('base64')}" x="${x - box.width / 2}" y="${y - box.height / 2}" ` +
+                `width="${box.width}" height="${box.height}" opacity="${watermark.opacity}" transform="${transform}" preserveAspectRatio="none"/>`;
+        }
+        return `<text x="${x}" y="${y}" font-family="Helvetica, Arial, sans-serif" font-weight="bold" font-size="${box.fontSize}" ` +
+            `text-anchor="middle" dominant-baseline="central" fill="${watermark.color}" fill-opacity="${watermark.opacity}" ` +
+            `transform="${transform}">${escapeXml(watermark.text)}</text>`;
+    });
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${info.width}" height="${info.height}">${elements.join('')}</svg>`;
+
+    const output = await renderImage(image.load().composite([{ input: Buffer.from(svg) }]), options.keepMetadata);
+    return output.load();
+}
+
+module.exports = { parseWatermarkOptions, prepareWatermark, watermarkPdf, watermarkImage, getVisiblePageArea, positions };
@@ -120,6 +120,73 @@ document.addEventListener("DOMContentLoaded", function () {
         loadStats();
     }
 
+    // Show SVG options only when SVG is the selected output format
+    const svgOptions = document.getElementById("svgOptions");
+    const convertFormatSelect = document.getElementById("formatSelect");
+    if (svgOptions && convertFormatSelect) {
+        const toggleSvgOptions = () => {
+            svgOptions.style.display = convertFormatSelect.value === "svg" ? "block" : "none";
+        };
+        convertFormatSelect.addEventListener("change", toggleSvgOptions);
+        toggleSvgOptions();
+    }
+
+    // Show the encoder settings of the selected output format
+    const encoderGroups = document.querySelectorAll("[data-encoder-format]");
+    if (encoderGroups.length > 0 && convertFormatSelect) {
+        const toggleEncoderOptions = () => {
+            encoderGroups.forEach(group => {
+                group.style.display = group.dataset.encoderFormat.split(" ").includes(convertFormatSelect.value) ? "block" : "none";
+            });
+        };
+        convertFormatSelect.addEventListener("change", toggleEncoderOptions);
+        toggleEncoderOptions();
+    }
+
+    // Show the crop box field only when a custom crop box is selected
+    const cropSelect = document.getElementById("cropSelect");
+    const cropBoxInput = document.getElementById("cropBoxInput");
+    if (cropSelect && cropBoxInput) {
+        const toggleCropBox = () => {
+            cropBoxInput.style.display = cropSelect.value === "box" ? "block" : "none";
+        };
+        cropSelect.addEventListener("change", toggleCropBox);
+        toggleCropBox();
+    }
+
+    // Show the frame numbers field only when specific frames are selected
+    const framesSelect = document.getElementById("framesSelect");
+    const framesInput = document.getElementById("framesInput");
+    if (framesSelect && framesInput) {
+        const toggleFramesInput = () => {
+            framesInput.style.display = framesSelect.value === "custom" ? "block" : "none";
+        };
+        framesSelect.addEventListener("change", toggleFramesInput);
+        toggleFramesInput();
+    }
+
+    // Show custom page size fields only when a custom size is selected
+    const customSizeOptions = document.getElementById("customSizeOptions");
+    const pageSizeSelect = document.getElementById("pageSizeSelect");
+    if (customSizeOptions && pageSizeSelect) {
+        const toggleCustomSize = () => {
+            customSizeOptions.style.display = pageSizeSelect.value === "custom" ? "block" : "none";
+        };
+        pageSizeSelect.addEventListener("change", toggleCustomSize);
+        toggleCustomSize();
+    }
+
+    // Show the fields that belong to the selected split strategy
+    const splitStrategySelect = document.getElementById("splitStrategySelect");
+    if (splitStrategySelect) {
+        const toggleSplitOptions = () => {
+            document.getElementById("pagesPerFileOptions").style.display = splitStrategySelect.value === "every" ? "block" : "none";
+            document.getElementById("splitRangesOptions").style.display = splitStrategySelect.value === "ranges" ? "block" : "none";
+        };
+        splitStrategySelect.addEventListener("change", toggleSplitOptions);
+        toggleSplitOptions();
+    }
+
     function loadStats() {
         console.log('Loading stats from:', `${API_BASE_URL}/api/stats`);
         fetch(`${API_BASE_URL}/api/stats`)
@@ -139,7 +206,7 @@ document.addEventListener("DOMContentLoaded", function () {
                     totalConversions: 0,
                     totalCombines: 0,
                     totalPdfToWord: 0,
-                    // totalPdfToImages: 0 // COMMENTED OUT - Vercel not supporting this feature
+                    totalPdfToImages: 0
                 });
             });
     }
@@ -151,7 +218,7 @@ document.addEventListener("DOMContentLoaded", function () {
             totalConversions: document.getElementById('totalConversions'),
             totalCombines: document.getElementById('totalCombines'),
             totalPdfToWord: document.getElementById('totalPdfToWord'),
-            // totalPdfToImages: document.getElementById('totalPdfToImages') // COMMENTED OUT - Vercel not supporting this feature
+            totalPdfToImages: document.getElementById('totalPdfToImages')
         };
 
         console.log('Found elements:', elements);
@@ -203,6 +270,13 @@ document.addEventListener("DOMContentLoaded", function () {
         }
     }
 
+    // Read the download name from the server's Content-Disposition header
+    function getDownloadName(response, fallbackName) {
+        const disposition = response.headers.get("Content-Disposition") || "";
+        const match = disposition.match(/filename="?([^";]+)"?/);
+        return match ? match[1] : fallbackName;
+    }
+
     function formatFileName(name) {
         return name.length > 30 ? name.substring(0, 28) + "..." : name;
     }
@@ -222,6 +296,315 @@ document.addEventListener("DOMContentLoaded", function () {
         });
         renderFileList();
         updateFileCount();
+        refreshPagePicker();
+    }
+
+    // Adds the password for encrypted PDF inputs, when the page has a password field
+    function appendPassword(formData) {
+        const passwordInput = document.getElementById("passwordInput");
+        if (passwordInput && passwordInput.value) formData.append("password", passwordInput.value);
+    }
+
+    // Watermark fields shared by the watermark, combine and convert pages; only fields present on the page are sent
+    function appendWatermarkFields(formData) {
+        const textInput = document.getElementById("watermarkTextInput");
+        const imageInput = document.getElementById("watermarkImageInput");
+        const watermarkImage = imageInput && imageInput.files[0];
+        if (!watermarkImage && !(textInput && textInput.value.trim())) return;
+        
+        if (watermarkImage) {
+            formData.append("watermark_image", watermarkImage);
+        } else {
+            formData.append("watermark_text", textInput.value.trim());
+        }
+        const watermarkFields = {
+            watermark_position: "watermarkPositionSelect",
+            watermark_opacity: "watermarkOpacityInput",
+            watermark_rotation: "watermarkRotationInput",
+            watermark_size: "watermarkSizeInput",
+            watermark_color: "watermarkColorInput",
+            watermark_pages: "watermarkPagesInput"
+        };
+        Object.entries(watermarkFields).forEach(([field, id]) => {
+            const element = document.getElementById(id);
+            if (element && element.value.trim()) formData.append(field, element.value.trim());
+        });
+        const tileCheckbox = document.getElementById("watermarkTileCheckbox");
+        if (tileCheckbox && tileCheckbox.checked) formData.append("watermark_tile", "true");
+    }
+
+    // Metadata policy and copyright/artist for converted or embedded images
+    function appendImageMetadataFields(formData) {
+        const imageMetadataFields = {
+            metadata_policy: "metadataPolicySelect",
+            copyright: "copyrightInput",
+            artist: "artistInput"
+        };
+        Object.entries(imageMetadataFields).forEach(([field, id]) => {
+            const element = document.getElementById(id);
+            if (element && element.value.trim()) formData.append(field, element.value.trim());
+        });
+    }
+
+    // Encoder preset plus the fields of the selected format's group; empty fields and unticked boxes keep the preset's values
+    function appendEncoderFields(formData, format) {
+        const presetSelect = document.getElementById("encodingPresetSelect");
+        if (presetSelect) formData.append("encoding_preset", presetSelect.value);
+        const group = document.querySelector(`[data-encoder-format~="${format}"]`);
+        if (!group) return;
+        group.querySelectorAll("[data-encoder-field]").forEach(element => {
+            if (element.type === "checkbox") {
+                if (element.checked) formData.append(element.dataset.encoderField, "true");
+            } else if (element.value.trim()) {
+                formData.append(element.dataset.encoderField, element.value.trim());
+            }
+        });
+    }
+
+    // Resize, crop, rotate and flip fields of the convert page; empty fields leave the images as they are
+    function appendTransformFields(formData) {
+        const transformFields = {
+            width: "resizeWidthInput",
+            height: "resizeHeightInput",
+            fit: "resizeFitSelect",
+            max_dimension: "maxDimensionInput",
+            rotate: "rotateSelect"
+        };
+        Object.entries(transformFields).forEach(([field, id]) => {
+            const element = document.getElementById(id);
+            if (element && element.value.trim()) formData.append(field, element.value.trim());
+        });
+        const cropSelect = document.getElementById("cropSelect");
+        const cropBoxInput = document.getElementById("cropBoxInput");
+        if (cropSelect && cropSelect.value === "box") {
+            if (cropBoxInput && cropBoxInput.value.trim()) formData.append("crop", cropBoxInput.value.trim());
+        } else if (cropSelect && cropSelect.value) {
+            formData.append("crop", cropSelect.value);
+        }
+        ["flip", "flop"].forEach(field => {
+            const checkbox = document.getElementById(`${field}Checkbox`);
+            if (checkbox && checkbox.checked) formData.append(field, "true");
+        });
+    }
+
+    // Metadata fields (inputs with a data-field attribute); an empty field is only sent to clear a value read from the PDF
+    function appendMetadataFields(formData) {
+        document.querySelectorAll("input[data-field]").forEach(input => {
+            let value = input.value.trim();
+            if (!value && input.dataset.loaded !== "true") return;
+            // datetime-local values are in local time, the server expects ISO 8601
+            if (input.type === "datetime-local" && value) value = new Date(value).toISOString();
+            formData.append(input.dataset.field, value);
+        });
+    }
+
+    function formatSize(bytes) {
+        return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(2)} MB` : `${(bytes / 1024).toFixed(2)} KB`;
+    }
+
+    function createNumberBadge(index) {
+        let numberSpan = document.createElement("span");
+        numberSpan.textContent = (index + 1).toString();
+        numberSpan.style.backgroundColor = "#38BDF8";
+        numberSpan.style.color = "white";
+        numberSpan.style.borderRadius = "50%";
+        numberSpan.style.width = "24px";
+        numberSpan.style.height = "24px";
+        numberSpan.style.display = "flex";
+        numberSpan.style.alignItems = "center";
+        numberSpan.style.justifyContent = "center";
+        numberSpan.style.fontSize = "14px";
+        numberSpan.style.fontWeight = "bold";
+        numberSpan.style.minWidth = "24px";
+        return numberSpan;
+    }
+
+    function createProgressId() {
+        if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+        return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // Replace the file list with a per-file progress list fed by the server's progress stream.
+    // Returns {stop, markFailed} to stop listening and to flag files reported failed by the response.
+    function showProgressList(files, progressId) {
+        if (!fileList) return { stop: function () {}, markFailed: function () {} };
+        fileList.innerHTML = "";
+        
+        const statusLabels = files.map((file, index) => {
+            let fileItem = document.createElement("div");
+            fileItem.className = "file-item";
+            fileItem.style.display = "flex";
+            fileItem.style.alignItems = "center";
+            fileItem.style.gap = "12px";
+            fileItem.style.padding = "8px";
+            
+            fileItem.appendChild(createNumberBadge(index));
+            
+            let fileLabel = document.createElement("span");
+            fileLabel.textContent = formatFileName(file.name);
+            fileLabel.style.flex = "1";
+            fileItem.appendChild(fileLabel);
+            
+            let statusLabel = document.createElement("span");
+            statusLabel.textContent = "Waiting";
+            statusLabel.style.color = "#64748B";
+            statusLabel.style.fontSize = "14px";
+            fileItem.appendChild(statusLabel);
+            
+            fileList.appendChild(fileItem);
+            return statusLabel;
+        });
+        
+        let summary = document.createElement("div");
+        summary.style.padding = "8px";
+        summary.style.fontWeight = "bold";
+        fileList.appendChild(summary);
+        
+        const setStatus = (index, text, color) => {
+            if (!statusLabels[index]) return;
+            statusLabels[index].textContent = text;
+            statusLabels[index].style.color = color;
+        };
+        
+        const source = new EventSource(`${API_BASE_URL}/api/progress/${progressId}`);
+        const on = (type, handler) => source.addEventListener(type, event => {
+            if (event.data) handler(JSON.parse(event.data));
+        });
+        
+        on("file_started", data => setStatus(data.index, "Processing...", "#2563eb"));
+        on("file_completed", data => setStatus(data.index, `Done (${formatSize(data.bytes)})`, "#16a34a"));
+        on("file_failed", data => setStatus(data.index, `Failed: ${data.error}`, "#dc2626"));
+        on("zip_finalizing", () => { summary.textContent = "Creating ZIP..."; });
+        on("pdf_finalizing", () => { summary.textContent = "Building PDF..."; });
+        on("done", data => {
+            summary.textContent = `Finished (${formatSize(data.bytes)})`;
+            source.close();
+        });
+        on("error", data => {
+            statusLabels.forEach((label, index) => {
+                if (label.textContent === "Processing...") setStatus(index, "Failed", "#dc2626");
+            });
+            summary.textContent = `Failed: ${data.error}`;
+            source.close();
+        });
+        // Connection errors arrive as "error" events without data; progress is optional, so just stop listening
+        source.onerror = () => source.close();
+        
+        return {
+            stop: () => source.close(),
+            markFailed: (index, message) => setStatus(index, `Failed: ${message}`, "#dc2626")
+        };
+    }
+
+    // One line per file a combine request left out, from its manifest
+    function describeFailedFiles(entries) {
+        return (entries || [])
+            .filter(entry => entry.status === "failed")
+            .map(entry => `- ${entry.name}: ${entry.error}`)
+            .join("\n");
+    }
+
+    // /api/inspect requests per file, and the names of files whose details are shown; both survive re-renders
+    const fileDetails = new WeakMap();
+    const openDetails = new Set();
+
+    function formatExposure(exif) {
+        const parts = [];
+        if (exif.exposureTime) parts.push(exif.exposureTime < 1 ? `1/${Math.round(1 / exif.exposureTime)} s` : `${exif.exposureTime} s`);
+        if (exif.fNumber) parts.push(`f/${exif.fNumber}`);
+        if (exif.iso) parts.push(`ISO ${exif.iso}`);
+        if (exif.focalLength) parts.push(`${exif.focalLength} mm`);
+        return parts.join(", ");
+    }
+
+    function showFileDetails(panel, info) {
+        panel.innerHTML = "";
+        const addLine = (label, text) => {
+            const line = document.createElement("p");
+            const strong = document.createElement("strong");
+            strong.textContent = `${label}: `;
+            line.appendChild(strong);
+            line.appendChild(document.createTextNode(text));
+            panel.appendChild(line);
+        };
+
+        if (info.error) {
+            addLine("Error", info.error);
+            return;
+        }
+        addLine("Format", `${info.format.toUpperCase()} (${info.mimetype})${info.extensionMatches ? "" : " - does not match the file extension"}`);
+        if (info.format === "pdf") return;
+        if (info.warning) addLine("Note", info.warning);
+
+        if (info.width && info.height) addLine("Dimensions", `${info.width} × ${info.height} px`);
+        if (info.colorSpace) {
+            const colour = [info.colorSpace];
+            if (info.bitDepth) colour.push(`${info.bitDepth}-bit`);
+            if (info.channels) colour.push(`${info.channels} channel${info.channels === 1 ? "" : "s"}`);
+            if (info.palette) colour.push("palette");
+            colour.push(info.hasAlpha ? "alpha" : "no alpha");
+            addLine("Colour", colour.join(", "));
+        }
+        addLine("ICC profile", info.iccProfile ? `${info.iccProfile.name || "Unnamed"} (${formatSize(info.iccProfile.size)})` : "None");
+
+        if (info.exif) {
+            const camera = [info.exif.make, info.exif.model].filter(Boolean).join(" ");
+            if (camera || info.exif.lens) addLine("Camera", [camera, info.exif.lens].filter(Boolean).join(", "));
+            if (info.exif.dateTaken) addLine("Taken", info.exif.dateTaken.replace("T", " "));
+            if (formatExposure(info.exif)) addLine("Exposure", formatExposure(info.exif));
+            if (info.exif.artist) addLine("Artist", info.exif.artist);
+            if (info.exif.copyright) addLine("Copyright", info.exif.copyright);
+            const gps = info.exif.gps;
+            addLine("GPS", gps ? `${gps.latitude}, ${gps.longitude}${gps.altitude !== null ? ` (${gps.altitude} m)` : ""}` : "None");
+        } else {
+            addLine("EXIF", "None");
+        }
+
+        if (info.animation) {
+            const loop = info.animation.loop === 0 ? "loops forever" : info.animation.loop ? `plays ${info.animation.loop} time${info.animation.loop === 1 ? "" : "s"}` : "";
+            const duration = info.animation.durationMs ? `${(info.animation.durationMs / 1000).toFixed(2)} s` : "";
+            addLine("Animation", [`${info.frames} frames`, duration, loop].filter(Boolean).join(", "));
+        } else if (info.frames > 1) {
+            addLine("Pages", info.frames.toString());
+        }
+
+        if (info.heif) {
+            const heif = info.heif;
+            const parts = [`brand ${heif.majorBrand}`, heif.codec ? heif.codec.toUpperCase() : "unknown codec", `${heif.imageCount} image${heif.imageCount === 1 ? "" : "s"}`];
+            if (heif.gridTiles) parts.push(`primary image in ${heif.gridTiles} tiles`);
+            if (heif.thumbnailCount) parts.push(`${heif.thumbnailCount} thumbnail${heif.thumbnailCount === 1 ? "" : "s"}`);
+            if (heif.auxiliaryCount) parts.push(`${heif.auxiliaryCount} auxiliary (alpha/depth)`);
+            addLine("HEIF container", parts.join(", "));
+        }
+    }
+
+    // Details panel under a file in the list; inspects the file on the server the first time it opens
+    function createDetailsPanel(file) {
+        let panel = document.createElement("div");
+        panel.className = "file-details";
+
+        panel.textContent = "Inspecting...";
+
+        let request = fileDetails.get(file);
+        if (!request) {
+            const formData = new FormData();
+            formData.append("files", file);
+            request = fetch(`${API_BASE_URL}/api/inspect`, {
+                method: "POST",
+                body: formData
+            })
+            .then(response => response.json())
+            .then(data => (data.files && data.files[0]) || { error: data.error || "Could not inspect the file." })
+            .catch(error => {
+                console.error("Error:", error);
+                // Not kept, so opening the panel again retries
+                fileDetails.delete(file);
+                return { error: `Could not inspect the file: ${error.message}` };
+            });
+            fileDetails.set(file, request);
+        }
+        request.then(info => showFileDetails(panel, info));
+        return panel;
     }
 
     function renderFileList() {
@@ -241,39 +624,45 @@ document.addEventListener("DOMContentLoaded", function () {
             fileItem.style.backgroundColor = "transparent";
             
             // Number indicator
-            let numberSpan = document.createElement("span");
-            numberSpan.textContent = (index + 1).toString();
-            numberSpan.style.backgroundColor = "#38BDF8";
-            numberSpan.style.color = "white";
-            numberSpan.style.borderRadius = "50%";
-            numberSpan.style.width = "24px";
-            numberSpan.style.height = "24px";
-            numberSpan.style.display = "flex";
-            numberSpan.style.alignItems = "center";
-            numberSpan.style.justifyContent = "center";
-            numberSpan.style.fontSize = "14px";
-            numberSpan.style.fontWeight = "bold";
-            numberSpan.style.minWidth = "24px";
-            
-            fileItem.appendChild(numberSpan);
+            fileItem.appendChild(createNumberBadge(index));
             
             // File name and size
             let fileLabel = document.createElement("span");
             fileLabel.textContent = `${formatFileName(file.name)} (${(file.size / 1024).toFixed(2)} KB)`;
             fileLabel.style.flex = "1";
             fileItem.appendChild(fileLabel);
-            
+
+            // Details button: format, size, colour and metadata from /api/inspect
+            let detailsBtn = document.createElement("button");
+            detailsBtn.className = "details-button";
+            detailsBtn.textContent = openDetails.has(file.name) ? "Hide details" : "Details";
+            detailsBtn.style.marginLeft = "auto";
+            detailsBtn.onclick = function () {
+                if (openDetails.has(file.name)) {
+                    openDetails.delete(file.name);
+                } else {
+                    openDetails.add(file.name);
+                }
+                renderFileList();
+            };
+            fileItem.appendChild(detailsBtn);
+
             // Remove button
             let removeBtn = document.createElement("button");
             removeBtn.textContent = "Remove";
-            removeBtn.style.marginLeft = "auto";
             removeBtn.onclick = function () {
                 selectedFiles.delete(file.name);
+                openDetails.delete(file.name);
                 renderFileList();
                 updateFileCount();
+                refreshPagePicker();
             };
             fileItem.appendChild(removeBtn);
             fileList.appendChild(fileItem);
+
+            if (openDetails.has(file.name)) {
+                fileList.appendChild(createDetailsPanel(file));
+            }
         });
     }
 
@@ -327,7 +716,31 @@ document.addEventListener("DOMContentLoaded", function () {
         });
         formData.append("output_format", format);
         
-        // Show loading state
+        if (format === "svg") {
+            const svgModeSelect = document.getElementById("svgModeSelect");
+            const svgColorsSelect = document.getElementById("svgColorsSelect");
+            if (svgModeSelect) formData.append("svg_mode", svgModeSelect.value);
+            if (svgColorsSelect) formData.append("svg_colors", svgColorsSelect.value);
+        }
+        appendEncoderFields(formData, format);
+        const targetSizeInput = document.getElementById("targetSizeInput");
+        if (targetSizeInput && targetSizeInput.value.trim()) {
+            formData.append("target_size", targetSizeInput.value.trim());
+            const downscaleCheckbox = document.getElementById("allowDownscaleCheckbox");
+            if (downscaleCheckbox && downscaleCheckbox.checked) formData.append("allow_downscale", "true");
+        }
+        const extractFramesCheckbox = document.getElementById("extractFramesCheckbox");
+        const extractFrames = Boolean(extractFramesCheckbox && extractFramesCheckbox.checked);
+        if (extractFrames) formData.append("extract_frames", "true");
+        appendTransformFields(formData);
+        appendImageMetadataFields(formData);
+        appendWatermarkFields(formData);
+        
+        // Show loading state with per-file progress
+        const progressId = createProgressId();
+        formData.append("progress_id", progressId);
+        const progress = showProgressList(Array.from(selectedFiles.values()), progressId);
+        
         const convertBtn = document.querySelector('button[type="submit"]');
         if (convertBtn) {
             convertBtn.textContent = selectedFiles.size === 1 ? "Converting..." : "Converting & Zipping...";
@@ -344,17 +757,20 @@ document.addEventListener("DOMContentLoaded", function () {
                     throw new Error(err.error || "Conversion failed.");
                 });
             }
-            return response.blob();
+            // Set in target size mode for a single file
+            const achievedSize = parseInt(response.headers.get("X-Achieved-Size"), 10);
+            const achievedQuality = response.headers.get("X-Achieved-Quality");
+            return response.blob().then(blob => ({ blob, achievedSize, achievedQuality }));
         })
-        .then(blob => {
+        .then(({ blob, achievedSize, achievedQuality }) => {
             const url = window.URL.createObjectURL(blob);
             let downloadName;
             
             if (selectedFiles.size === 1) {
-                // Single file - use original name with new extension
+                // Single file - use original name with new extension, or a ZIP of its frames
                 const originalFile = Array.from(selectedFiles.values())[0];
                 const nameWithoutExt = originalFile.name.substring(0, originalFile.name.lastIndexOf('.')) || originalFile.name;
-                downloadName = `${nameWithoutExt}.${format}`;
+                downloadName = extractFrames ? `${nameWithoutExt}_frames.zip` : `${nameWithoutExt}.${format}`;
             } else {
                 // Multiple files - ZIP file
                 const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
@@ -366,14 +782,16 @@ document.addEventListener("DOMContentLoaded", function () {
                 downloadLink.download = downloadName;
                 downloadLink.style.display = "block";
                 downloadLink.textContent = `Download ${downloadName}`;
+                if (achievedSize) {
+                    downloadLink.textContent += ` (${formatSize(achievedSize)} at quality ${achievedQuality})`;
+                }
                 
                 // Auto-download the file
                 downloadLink.click();
             }
             
-            // Clear selected files and reset the file list after successful conversion
+            // Clear selected files after successful conversion; the progress list stays as a summary
             selectedFiles.clear();
-            if (fileList) fileList.innerHTML = "";
             updateFileCount();
             
             // Reset button
@@ -385,6 +803,8 @@ document.addEventListener("DOMContentLoaded", function () {
         .catch(error => {
             console.error('Conversion error:', error);
             alert(error.message);
+            progress.stop();
+            renderFileList();
             
             // Reset button
             if (convertBtn) {
@@ -414,8 +834,63 @@ document.addEventListener("DOMContentLoaded", function () {
 
         let formData = new FormData();
         selectedFiles.forEach(file => formData.append("files", file));
+        
+        const strictCheckbox = document.getElementById("strictCheckbox");
+        if (strictCheckbox && strictCheckbox.checked) formData.append("strict", "true");
+        const bookmarksCheckbox = document.getElementById("bookmarksCheckbox");
+        if (bookmarksCheckbox && !bookmarksCheckbox.checked) formData.append("bookmarks", "false");
+        const tocCheckbox = document.getElementById("tocCheckbox");
+        if (tocCheckbox && tocCheckbox.checked) formData.append("toc", "true");
+        const framesSelect = document.getElementById("framesSelect");
+        if (framesSelect && framesSelect.value !== "first") {
+            const framesInput = document.getElementById("framesInput");
+            formData.append("frames", framesSelect.value === "custom" ? framesInput.value.trim() : framesSelect.value);
+        }
+        const compressSelect = document.getElementById("compressSelect");
+        if (compressSelect && compressSelect.value) formData.append("compress", compressSelect.value);
+        appendPassword(formData);
+        appendWatermarkFields(formData);
+        appendMetadataFields(formData);
+        appendImageMetadataFields(formData);
+        
+        // Page numbers, headers and footers
+        const headerFooterFields = {
+            page_number_format: "pageNumberFormatSelect",
+            page_number_position: "pageNumberPositionSelect",
+            page_number_start: "pageNumberStartInput",
+            header_text: "headerTextInput",
+            footer_text: "footerTextInput",
+            header_footer_font_size: "headerFooterFontSizeSelect"
+        };
+        Object.entries(headerFooterFields).forEach(([field, id]) => {
+            const element = document.getElementById(id);
+            if (element) formData.append(field, element.value.trim());
+        });
+        
+        // Page layout for images
+        const layoutFields = {
+            page_size: "pageSizeSelect",
+            orientation: "orientationSelect",
+            margin: "marginSelect",
+            fit: "fitSelect",
+            images_per_page: "imagesPerPageSelect"
+        };
+        Object.entries(layoutFields).forEach(([field, id]) => {
+            const element = document.getElementById(id);
+            if (element) formData.append(field, element.value);
+        });
+        if (pageSizeSelect && pageSizeSelect.value === "custom") {
+            formData.append("page_width", document.getElementById("pageWidthInput").value);
+            formData.append("page_height", document.getElementById("pageHeightInput").value);
+        }
 
-        // Show loading state
+        // Show loading state with per-file progress
+        const progressId = createProgressId();
+        formData.append("progress_id", progressId);
+        const progress = showProgressList(Array.from(selectedFiles.values()), progressId);
+        let manifest = [];
+        let failedCount = 0;
+        
         const combineBtn = document.querySelector('button[onclick="combinePDFs()"]');
         if (combineBtn) {
             combineBtn.textContent = "Combining...";
@@ -429,9 +904,14 @@ document.addEventListener("DOMContentLoaded", function () {
         .then(response => {
             if (!response.ok) {
                 return response.json().then(err => {
-                    throw new Error(err.error || "Combination failed.");
+                    const combineError = new Error(err.error || "Combination failed.");
+                    combineError.files = err.files;
+                    throw combineError;
                 });
             }
+            // Long manifests only list some of the failed files; X-Combine-Failed has the full count
+            manifest = JSON.parse(decodeURIComponent(response.headers.get("X-Combine-Manifest") || "[]"));
+            failedCount = Number(response.headers.get("X-Combine-Failed") || 0);
             return response.blob();
         })
         .then(blob => {
@@ -446,9 +926,8 @@ document.addEventListener("DOMContentLoaded", function () {
                 downloadLink.textContent = `Download ${downloadName}`;
             }
 
-            // Clear selected files and reset the file list
+            // Clear selected files; the progress list stays as a summary
             selectedFiles.clear();
-            if (fileList) fileList.innerHTML = "";
             updateFileCount();
             
             // Reset button
@@ -456,10 +935,24 @@ document.addEventListener("DOMContentLoaded", function () {
                 combineBtn.textContent = "Combine to PDF";
                 combineBtn.disabled = false;
             }
+            
+            // Tell the user which files are missing from the PDF
+            const listedFailures = manifest.filter(entry => entry.status === "failed");
+            const unlisted = failedCount - listedFailures.length;
+            if (listedFailures.length > 0 || unlisted > 0) {
+                listedFailures.forEach(entry => progress.markFailed(entry.index, entry.error));
+                const failedFiles = [describeFailedFiles(manifest), unlisted > 0 ? `...and ${unlisted} more` : ""].filter(Boolean).join("\n");
+                alert(`The PDF was created, but these files could not be included:\n\n${failedFiles}`);
+            }
         })
         .catch(error => {
             console.error("Combine error:", error);
-            alert(error.message || "An error occurred during combination. Please try again.");
+            const failedFiles = describeFailedFiles(error.files);
+            alert(failedFiles
+                ? `${error.message}\n\n${failedFiles}`
+                : error.message || "An error occurred during combination. Please try again.");
+            progress.stop();
+            renderFileList();
             
             // Reset button
             if (combineBtn) {
@@ -494,6 +987,7 @@ document.addEventListener("DOMContentLoaded", function () {
         });
         
         formData.append("output_format", format);
+        appendPassword(formData);
         
         // Show loading state
         const convertBtn = document.querySelector('button[type="submit"]');
@@ -512,13 +1006,14 @@ document.addEventListener("DOMContentLoaded", function () {
                     throw new Error(err.error || "PDF to Word conversion failed.");
                 });
             }
-            return response.blob();
+            const fallbackName = selectedFiles.size === 1 
+                ? Array.from(selectedFiles.values())[0].name.replace(/\.[^/.]+$/, "") + "." + format
+                : "converted_files.zip";
+            const fileName = getDownloadName(response, fallbackName);
+            return response.blob().then(blob => ({ blob, fileName }));
         })
-        .then(blob => {
+        .then(({ blob, fileName }) => {
             const url = window.URL.createObjectURL(blob);
-            const fileName = selectedFiles.size === 1 
-                ? Array.from(selectedFiles.values())[0].name.replace(/\.[^/.]+$/, "") + "." + format
-                : "converted_files." + (format === "docx" ? "zip" : format);
                 
             const downloadLink = document.getElementById("downloadLink");
             if (downloadLink) {
@@ -547,8 +1042,7 @@ document.addEventListener("DOMContentLoaded", function () {
         });
     };
 
-    // PDF to Images conversion function - COMMENTED OUT (Vercel not supporting this feature)
-    /*
+    // PDF to Images conversion function
     window.convertPdfToImages = function (event) {
         event.preventDefault();
         if (selectedFiles.size === 0) {
@@ -574,6 +1068,11 @@ document.addEventListener("DOMContentLoaded", function () {
         
         formData.append("output_format", format);
         
+        const dpiSelect = document.getElementById("dpiSelect");
+        const pageRangeInput = document.getElementById("pageRangeInput");
+        if (dpiSelect) formData.append("dpi", dpiSelect.value);
+        if (pageRangeInput && pageRangeInput.value.trim()) formData.append("pages", pageRangeInput.value.trim());
+        
         // Show loading state
         const convertBtn = document.querySelector('button[type="submit"]');
         if (convertBtn) {
@@ -591,20 +1090,22 @@ document.addEventListener("DOMContentLoaded", function () {
                     throw new Error(err.error || "PDF to Images conversion failed.");
                 });
             }
-            return response.blob();
-        })
-        .then(blob => {
-            const url = window.URL.createObjectURL(blob);
+            // The server sends a single image or a ZIP; take the name it chose
             const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-            const fileName = selectedFiles.size === 1 
+            const fallbackName = selectedFiles.size === 1 
                 ? Array.from(selectedFiles.values())[0].name.replace(/\.[^/.]+$/, "") + "_images.zip"
                 : `pdf_to_images_${timestamp}.zip`;
+            const fileName = getDownloadName(response, fallbackName);
+            return response.blob().then(blob => ({ blob, fileName }));
+        })
+        .then(({ blob, fileName }) => {
+            const url = window.URL.createObjectURL(blob);
                 
             const downloadLink = document.getElementById("downloadLink");
             if (downloadLink) {
                 downloadLink.href = url;
                 downloadLink.download = fileName;
-                downloadLink.textContent = "Download Images";
+                downloadLink.textContent = `Download ${fileName}`;
                 downloadLink.style.display = "block";
                 downloadLink.click();
             }
@@ -631,5 +1132,585 @@ document.addEventListener("DOMContentLoaded", function () {
             }
         });
     };
-    */
+
+    // ---------- Page picker (pdf-pages.html) ----------
+    // Shows thumbnails of the first selected PDF; reordering, rotating, duplicating, deleting and splitting
+    // pages rewrites the page plan, e.g. "3,1r90,1;2" (see backend/utils/pagePlan.js).
+    const pageGrid = document.getElementById("pageGrid");
+    const pagePlanInput = document.getElementById("pagePlanInput");
+    const pagePickerHint = document.getElementById("pagePickerHint");
+    let pickerFile = null;
+    let pickerPages = []; // {pageNumber, rotation, thumbnail, splitAfter}
+    let pickerThumbnails = {};
+
+    function refreshPagePicker() {
+        if (!pageGrid) return;
+        const firstPdf = Array.from(selectedFiles.values()).find(file => file.name.toLowerCase().endsWith(".pdf")) || null;
+        if (firstPdf === pickerFile) return;
+        
+        pickerFile = firstPdf;
+        pickerPages = [];
+        pageGrid.innerHTML = "";
+        if (pagePlanInput) pagePlanInput.value = "";
+        if (!pickerFile) {
+            pagePickerHint.style.display = "none";
+            return;
+        }
+        
+        pagePickerHint.style.display = "block";
+        pagePickerHint.textContent = "Loading pages...";
+        
+        let formData = new FormData();
+        formData.append("file", pickerFile);
+        const requestedFile = pickerFile;
+        
+        fetch(`${API_BASE_URL}/pdf-pages/preview`, {
+            method: "POST",
+            body: formData
+        })
+        .then(response => response.json().then(data => {
+            if (!response.ok) throw new Error(data.error || "Could not load pages.");
+            return data;
+        }))
+        .then(data => {
+            if (requestedFile !== pickerFile) return; // selection changed while loading
+            pickerThumbnails = {};
+            data.pages.forEach(page => { pickerThumbnails[page.pageNumber] = page.thumbnail; });
+            pickerPages = Array.from({ length: data.pageCount }, (_, i) => ({ pageNumber: i + 1, rotation: 0, splitAfter: false }));
+            pagePickerHint.textContent = selectedFiles.size > 1
+                ? `Pages of ${data.name}. The plan is applied to every selected PDF.`
+                : `Pages of ${data.name}. Drag to reorder.`;
+            renderPagePicker();
+        })
+        .catch(error => {
+            console.error("Page preview error:", error);
+            pagePickerHint.textContent = `${error.message} You can still type a page plan below.`;
+        });
+    }
+
+    // Turns the picker state into a plan string, writing runs like 4,5,6 as 4-6
+    function buildPagePlan(pages) {
+        const groups = [[]];
+        pages.forEach((page, index) => {
+            const group = groups[groups.length - 1];
+            const last = group[group.length - 1];
+            if (last && last.rotation === page.rotation && page.pageNumber === last.end + 1) {
+                last.end = page.pageNumber;
+            } else {
+                group.push({ start: page.pageNumber, end: page.pageNumber, rotation: page.rotation });
+            }
+            if (page.splitAfter && index < pages.length - 1) groups.push([]);
+        });
+        
+        return groups.map(group => group.map(run => {
+            const range = run.start === run.end ? `${run.start}` : `${run.start}-${run.end}`;
+            return run.rotation ? `${range}r${run.rotation}` : range;
+        }).join(",")).join(";");
+    }
+
+    function renderPagePicker() {
+        pageGrid.innerHTML = "";
+        if (pagePlanInput) pagePlanInput.value = buildPagePlan(pickerPages);
+        
+        let dragIndex = null;
+        pickerPages.forEach((page, index) => {
+            let thumb = document.createElement("div");
+            thumb.className = "page-thumb" + (page.splitAfter ? " split-after" : "");
+            thumb.draggable = true;
+            
+            if (pickerThumbnails[page.pageNumber]) {
+                let img = document.createElement("img");
+                img.src = pickerThumbnails[page.pageNumber];
+                img.alt = `Page ${page.pageNumber}`;
+                img.style.transform = `rotate(${page.rotation}deg)`;
+                thumb.appendChild(img);
+            }
+            
+            let label = document.createElement("div");
+            label.textContent = `Page ${page.pageNumber}`;
+            thumb.appendChild(label);
+            
+            const addButton = (text, title, onClick) => {
+                let button = document.createElement("button");
+                button.type = "button";
+                button.textContent = text;
+                button.title = title;
+                button.onclick = function () {
+                    onClick();
+                    renderPagePicker();
+                };
+                thumb.appendChild(button);
+            };
+            addButton("\u27F2", "Rotate left", () => { page.rotation = (page.rotation + 270) % 360; });
+            addButton("\u27F3", "Rotate right", () => { page.rotation = (page.rotation + 90) % 360; });
+            addButton("\u29C9", "Duplicate", () => { pickerPages.splice(index + 1, 0, { ...page, splitAfter: false }); });
+            addButton("\u2715", "Delete", () => {
+                if (pickerPages.length === 1) {
+                    alert("At least one page has to remain.");
+                    return;
+                }
+                pickerPages.splice(index, 1);
+            });
+            addButton("\u2702", "Start a new file after this page", () => { page.splitAfter = !page.splitAfter; });
+            
+            // Drag and drop reordering
+            thumb.addEventListener("dragstart", () => {
+                dragIndex = index;
+                thumb.classList.add("dragging");
+            });
+            thumb.addEventListener("dragend", () => thumb.classList.remove("dragging"));
+            thumb.addEventListener("dragover", event => event.preventDefault());
+            thumb.addEventListener("drop", event => {
+                event.preventDefault();
+                if (dragIndex === null || dragIndex === index) return;
+                const [moved] = pickerPages.splice(dragIndex, 1);
+                pickerPages.splice(index, 0, moved);
+                renderPagePicker();
+            });
+            
+            pageGrid.appendChild(thumb);
+        });
+    }
+
+    window.organizePdfPages = function (event) {
+        event.preventDefault();
+        const pdfFiles = Array.from(selectedFiles.values()).filter(file => file.name.toLowerCase().endsWith(".pdf"));
+        if (pdfFiles.length === 0) {
+            alert("Please select at least one PDF file.");
+            return;
+        }
+        
+        let formData = new FormData();
+        pdfFiles.forEach(file => formData.append("files", file));
+        formData.append("plan", pagePlanInput ? pagePlanInput.value.trim() : "");
+        
+        // Show loading state
+        const submitBtn = document.querySelector('button[type="submit"]');
+        if (submitBtn) {
+            submitBtn.textContent = "Applying...";
+            submitBtn.disabled = true;
+        }
+        
+        fetch(`${API_BASE_URL}/pdf-pages`, {
+            method: "POST",
+            body: formData
+        })
+        .then(response => {
+            if (!response.ok) {
+                return response.json().then(err => {
+                    throw new Error(err.error || "Page editing failed.");
+                });
+            }
+            const fileName = getDownloadName(response, "edited.pdf");
+            return response.blob().then(blob => ({ blob, fileName }));
+        })
+        .then(({ blob, fileName }) => {
+            const url = window.URL.createObjectURL(blob);
+            
+            if (downloadLink) {
+                downloadLink.href = url;
+                downloadLink.download = fileName;
+                downloadLink.textContent = `Download ${fileName}`;
+                downloadLink.style.display = "block";
+                downloadLink.click();
+            }
+            
+            // Reset button
+            if (submitBtn) {
+                submitBtn.textContent = "Apply Page Plan";
+                submitBtn.disabled = false;
+            }
+        })
+        .catch(error => {
+            console.error("Page editing error:", error);
+            alert(error.message || "An error occurred while editing pages. Please try again.");
+            
+            // Reset button
+            if (submitBtn) {
+                submitBtn.textContent = "Apply Page Plan";
+                submitBtn.disabled = false;
+            }
+        });
+    };
+
+
+    // PDF split function
+    window.splitPdfFiles = function (event) {
+        event.preventDefault();
+        const pdfFiles = Array.from(selectedFiles.values()).filter(file => file.name.toLowerCase().endsWith(".pdf"));
+        if (pdfFiles.length === 0) {
+            alert("Please select at least one PDF file.");
+            return;
+        }
+        
+        const strategy = splitStrategySelect ? splitStrategySelect.value : "single";
+        let formData = new FormData();
+        pdfFiles.forEach(file => formData.append("files", file));
+        formData.append("strategy", strategy);
+        if (strategy === "every") formData.append("pages_per_file", document.getElementById("pagesPerFileInput").value);
+        if (strategy === "ranges") formData.append("ranges", document.getElementById("splitRangesInput").value.trim());
+        
+        // Show loading state
+        const splitBtn = document.querySelector('button[type="submit"]');
+        if (splitBtn) {
+            splitBtn.textContent = "Splitting...";
+            splitBtn.disabled = true;
+        }
+        
+        fetch(`${API_BASE_URL}/split`, {
+            method: "POST",
+            body: formData
+        })
+        .then(response => {
+            if (!response.ok) {
+                return response.json().then(err => {
+                    throw new Error(err.error || "Split failed.");
+                });
+            }
+            const fileName = getDownloadName(response, "split.zip");
+            return response.blob().then(blob => ({ blob, fileName }));
+        })
+        .then(({ blob, fileName }) => {
+            const url = window.URL.createObjectURL(blob);
+            
+            if (downloadLink) {
+                downloadLink.href = url;
+                downloadLink.download = fileName;
+                downloadLink.textContent = `Download ${fileName}`;
+                downloadLink.style.display = "block";
+                downloadLink.click();
+            }
+            
+            // Clear selected files and reset the file list after a successful split
+            selectedFiles.clear();
+            if (fileList) fileList.innerHTML = "";
+            updateFileCount();
+            
+            // Reset button
+            if (splitBtn) {
+                splitBtn.textContent = "Split PDF";
+                splitBtn.disabled = false;
+            }
+        })
+        .catch(error => {
+            console.error("Split error:", error);
+            alert(error.message || "An error occurred while splitting. Please try again.");
+            
+            // Reset button
+            if (splitBtn) {
+                splitBtn.textContent = "Split PDF";
+                splitBtn.disabled = false;
+            }
+        });
+    };
+
+
+    // PDF compression function
+    window.compressPdfFiles = function (event) {
+        event.preventDefault();
+        const pdfFiles = Array.from(selectedFiles.values()).filter(file => file.name.toLowerCase().endsWith(".pdf"));
+        if (pdfFiles.length === 0) {
+            alert("Please select at least one PDF file.");
+            return;
+        }
+        
+        let formData = new FormData();
+        pdfFiles.forEach(file => formData.append("files", file));
+        const presetSelect = document.getElementById("compressPresetSelect");
+        if (presetSelect) formData.append("preset", presetSelect.value);
+        
+        // Show loading state
+        const compressBtn = document.querySelector('button[type="submit"]');
+        if (compressBtn) {
+            compressBtn.textContent = "Compressing...";
+            compressBtn.disabled = true;
+        }
+        
+        fetch(`${API_BASE_URL}/compress-pdf`, {
+            method: "POST",
+            body: formData
+        })
+        .then(response => {
+            if (!response.ok) {
+                return response.json().then(err => {
+                    throw new Error(err.error || "Compression failed.");
+                });
+            }
+            const fileName = getDownloadName(response, "compressed.pdf");
+            const originalSize = parseInt(response.headers.get("X-Original-Size"), 10);
+            const compressedSize = parseInt(response.headers.get("X-Compressed-Size"), 10);
+            return response.blob().then(blob => ({ blob, fileName, originalSize, compressedSize }));
+        })
+        .then(({ blob, fileName, originalSize, compressedSize }) => {
+            const url = window.URL.createObjectURL(blob);
+            
+            if (downloadLink) {
+                downloadLink.href = url;
+                downloadLink.download = fileName;
+                downloadLink.textContent = `Download ${fileName}`;
+                if (originalSize && compressedSize) {
+                    const saved = Math.round((1 - compressedSize / originalSize) * 100);
+                    downloadLink.textContent += ` (${formatSize(originalSize)} → ${formatSize(compressedSize)}, ${saved}% smaller)`;
+                }
+                downloadLink.style.display = "block";
+                downloadLink.click();
+            }
+            
+            // Clear selected files and reset the file list after a successful compression
+            selectedFiles.clear();
+            if (fileList) fileList.innerHTML = "";
+            updateFileCount();
+            
+            // Reset button
+            if (compressBtn) {
+                compressBtn.textContent = "Compress PDF";
+                compressBtn.disabled = false;
+            }
+        })
+        .catch(error => {
+            console.error("Compression error:", error);
+            alert(error.message || "An error occurred while compressing. Please try again.");
+            
+            // Reset button
+            if (compressBtn) {
+                compressBtn.textContent = "Compress PDF";
+                compressBtn.disabled = false;
+            }
+        });
+    };
+
+
+    // Sends the selected PDFs to a PDF tool endpoint and downloads the result
+    function submitPdfTool(endpoint, formData, labels) {
+        const submitBtn = document.querySelector('button[type="submit"]');
+        if (submitBtn) {
+            submitBtn.textContent = labels.busy;
+            submitBtn.disabled = true;
+        }
+        const resetButton = () => {
+            if (submitBtn) {
+                submitBtn.textContent = labels.idle;
+                submitBtn.disabled = false;
+            }
+        };
+        
+        fetch(`${API_BASE_URL}${endpoint}`, {
+            method: "POST",
+            body: formData
+        })
+        .then(response => {
+            if (!response.ok) {
+                return response.json().then(err => {
+                    throw new Error(err.error || `${labels.idle} failed.`);
+                });
+            }
+            const fileName = getDownloadName(response, labels.fallbackName);
+            return response.blob().then(blob => ({ blob, fileName }));
+        })
+        .then(({ blob, fileName }) => {
+            if (downloadLink) {
+                downloadLink.href = window.URL.createObjectURL(blob);
+                downloadLink.download = fileName;
+                downloadLink.textContent = `Download ${fileName}`;
+                downloadLink.style.display = "block";
+                downloadLink.click();
+            }
+            
+            // Clear selected files and reset the file list after success
+            selectedFiles.clear();
+            if (fileList) fileList.innerHTML = "";
+            updateFileCount();
+            resetButton();
+        })
+        .catch(error => {
+            console.error(`${labels.idle} error:`, error);
+            alert(error.message || "An error occurred. Please try again.");
+            resetButton();
+        });
+    }
+
+    function getSelectedPdfFiles() {
+        const pdfFiles = Array.from(selectedFiles.values()).filter(file => file.name.toLowerCase().endsWith(".pdf"));
+        if (pdfFiles.length === 0) {
+            alert("Please select at least one PDF file.");
+        }
+        return pdfFiles;
+    }
+
+    // PDF password protection function
+    window.protectPdfFiles = function (event) {
+        event.preventDefault();
+        const pdfFiles = getSelectedPdfFiles();
+        if (pdfFiles.length === 0) return;
+        
+        const userPassword = document.getElementById("userPasswordInput").value;
+        const ownerPassword = document.getElementById("ownerPasswordInput").value;
+        if (!userPassword && !ownerPassword) {
+            alert("Please enter a password to open the PDF, an owner password or both.");
+            return;
+        }
+        
+        let formData = new FormData();
+        pdfFiles.forEach(file => formData.append("files", file));
+        formData.append("user_password", userPassword);
+        formData.append("owner_password", ownerPassword);
+        formData.append("allow_print", document.getElementById("allowPrintCheckbox").checked ? "true" : "false");
+        formData.append("allow_copy", document.getElementById("allowCopyCheckbox").checked ? "true" : "false");
+        formData.append("allow_modify", document.getElementById("allowModifyCheckbox").checked ? "true" : "false");
+        
+        submitPdfTool("/protect-pdf", formData, { busy: "Protecting...", idle: "Protect PDF", fallbackName: "protected.pdf" });
+    };
+
+    // PDF unlock function
+    window.unlockPdfFiles = function (event) {
+        event.preventDefault();
+        const pdfFiles = getSelectedPdfFiles();
+        if (pdfFiles.length === 0) return;
+        
+        let formData = new FormData();
+        pdfFiles.forEach(file => formData.append("files", file));
+        appendPassword(formData);
+        
+        submitPdfTool("/unlock-pdf", formData, { busy: "Unlocking...", idle: "Unlock PDF", fallbackName: "unlocked.pdf" });
+    };
+
+    // Watermark function
+    window.watermarkFiles = function (event) {
+        event.preventDefault();
+        if (selectedFiles.size === 0) {
+            alert("Please select at least one file.");
+            return;
+        }
+        
+        const textInput = document.getElementById("watermarkTextInput");
+        const imageInput = document.getElementById("watermarkImageInput");
+        if (!textInput.value.trim() && imageInput.files.length === 0) {
+            alert("Please enter watermark text or choose a watermark image.");
+            return;
+        }
+        
+        let formData = new FormData();
+        selectedFiles.forEach(file => formData.append("files", file));
+        appendWatermarkFields(formData);
+        appendPassword(formData);
+        
+        submitPdfTool("/watermark", formData, { busy: "Adding watermark...", idle: "Add Watermark", fallbackName: "watermarked" });
+    };
+
+    // Shows the page, encryption and font details of an inspected PDF
+    function showPdfInfo(info) {
+        const pdfInfo = document.getElementById("pdfInfo");
+        if (!pdfInfo) return;
+        pdfInfo.innerHTML = "";
+        const addLine = (label, text) => {
+            const line = document.createElement("p");
+            const strong = document.createElement("strong");
+            strong.textContent = `${label}: `;
+            line.appendChild(strong);
+            line.appendChild(document.createTextNode(text));
+            pdfInfo.appendChild(line);
+        };
+        
+        addLine("File", `${info.name} (PDF ${info.pdfVersion || "?"}, ${info.pageCount} page${info.pageCount === 1 ? "" : "s"})`);
+        
+        // Group pages by size; sizes are in points (1/72 inch)
+        const sizes = new Map();
+        info.pages.forEach(page => {
+            const key = `${Math.round(page.width)} × ${Math.round(page.height)} pt (${Math.round(page.width / 72 * 25.4)} × ${Math.round(page.height / 72 * 25.4)} mm)`;
+            sizes.set(key, (sizes.get(key) || 0) + 1);
+        });
+        addLine("Page sizes", Array.from(sizes.entries()).map(([size, count]) => `${size} × ${count}`).join(", "));
+        
+        if (info.encryption) {
+            const allowed = ["print", "copy", "modify"].filter(permission => info.encryption.permissions[permission]);
+            addLine("Encryption", `${info.encryption.algorithm}, ${info.encryption.needsPassword ? "password needed to open" : "opens without a password"}, allows ${allowed.length > 0 ? allowed.join(", ") : "nothing"}`);
+        } else {
+            addLine("Encryption", "None");
+        }
+        
+        addLine("Fonts", info.fonts.length === 0 ? "None" : info.fonts
+            .map(font => `${font.name} (${font.type}${font.embedded ? font.subset ? ", embedded subset" : ", embedded" : ", not embedded"})`)
+            .join(", "));
+        pdfInfo.style.display = "block";
+    }
+
+    // PDF metadata inspection function (first selected PDF)
+    window.readPdfMetadata = function () {
+        const pdfFiles = getSelectedPdfFiles();
+        if (pdfFiles.length === 0) return;
+        
+        let formData = new FormData();
+        formData.append("files", pdfFiles[0]);
+        appendPassword(formData);
+        
+        const readBtn = document.getElementById("readMetadataBtn");
+        if (readBtn) {
+            readBtn.textContent = "Reading...";
+            readBtn.disabled = true;
+        }
+        
+        fetch(`${API_BASE_URL}/pdf-metadata/inspect`, {
+            method: "POST",
+            body: formData
+        })
+        .then(response => response.json())
+        .then(data => {
+            const info = data.files && data.files[0];
+            if (!info || info.error) {
+                throw new Error((info && info.error) || data.error || "Could not read the PDF.");
+            }
+            showPdfInfo(info);
+            
+            const fields = {
+                title: "metadataTitleInput",
+                author: "metadataAuthorInput",
+                subject: "metadataSubjectInput",
+                keywords: "metadataKeywordsInput",
+                creator: "metadataCreatorInput",
+                producer: "metadataProducerInput",
+                creationDate: "metadataCreationDateInput",
+                modificationDate: "metadataModificationDateInput"
+            };
+            Object.entries(fields).forEach(([key, id]) => {
+                const input = document.getElementById(id);
+                if (!input) return;
+                let value = info.metadata[key] || "";
+                if (value && input.type === "datetime-local") {
+                    // ISO 8601 (UTC) to the local time shown by the input
+                    const date = new Date(value);
+                    value = new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+                }
+                input.value = value;
+                input.dataset.loaded = "true";
+            });
+        })
+        .catch(error => {
+            console.error("Error:", error);
+            alert(`Could not read the PDF: ${error.message}`);
+        })
+        .finally(() => {
+            if (readBtn) {
+                readBtn.textContent = "Read Properties";
+                readBtn.disabled = false;
+            }
+        });
+    };
+
+    // PDF metadata editing function
+    window.savePdfMetadata = function (event) {
+        event.preventDefault();
+        const pdfFiles = getSelectedPdfFiles();
+        if (pdfFiles.length === 0) return;
+        
+        let formData = new FormData();
+        pdfFiles.forEach(file => formData.append("files", file));
+        appendMetadataFields(formData);
+        if (!Array.from(formData.keys()).some(key => key !== "files")) {
+            alert("Please fill in at least one field, or read the properties of the PDF first.");
+            return;
+        }
+        appendPassword(formData);
+        
+        submitPdfTool("/pdf-metadata", formData, { busy: "Saving...", idle: "Save Metadata", fallbackName: "edited.pdf" });
+    };
 });
\ No newline at end of file